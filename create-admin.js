@@ -0,0 +1,29 @@
+// create-admin.js
+// Creates an admin account (e.g. the first superadmin).
+// Usage: npm run create-admin -- <email> <password> [role]
+// role is one of support, compliance, finance, superadmin (default superadmin)
+const pool = require('./db');
+const admins = require('./services/admins');
+
+async function run() {
+  const [email, password, role = 'superadmin'] = process.argv.slice(2);
+  if (!email || !password) {
+    console.error('Usage: npm run create-admin -- <email> <password> [role]');
+    process.exitCode = 1;
+    return;
+  }
+  if (!admins.ROLES.includes(role)) {
+    console.error(`Unknown role "${role}". Use one of: ${admins.ROLES.join(', ')}`);
+    process.exitCode = 1;
+    return;
+  }
+  const admin = await admins.create({ email, password, role });
+  console.log(`✅ Created ${admin.role} admin #${admin.id} (${admin.email})`);
+}
+
+run()
+  .catch(err => {
+    console.error('❌ Failed to create admin:', err.message);
+    process.exitCode = 1;
+  })
+  .finally(() => pool.end());
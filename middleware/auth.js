@@ -1,40 +1,110 @@
 require('dotenv').config(); // <-- ADD THIS
 const jwt = require('jsonwebtoken');
+const sessions = require('../services/sessions');
+const admins = require('../services/admins');
+const kyc = require('../services/kyc');
+const pool = require('../db');
 
-const ADMIN_API_TOKEN = process.env.ADMIN_API_TOKEN || 'yourSecureAdminTokenHere1234'; // <-- ADD THIS
 const JWT_SECRET = process.env.JWT_SECRET; // <-- ADD THIS
 
+function bearerToken(req) {
+  const authHeader = req.headers['authorization'];
+  return authHeader && authHeader.split(' ')[1];
+}
+
+// Verify an access token and its session. Resolves to the token payload, or
+// rejects with an Error whose `status` is the HTTP status to answer with.
+async function verifyAccessToken(token) {
+  if (!token) throw Object.assign(new Error("No token provided"), { status: 401 });
+  if (!JWT_SECRET) throw Object.assign(new Error("Server missing JWT secret"), { status: 500 });
+
+  let user;
+  try {
+    user = jwt.verify(token, JWT_SECRET);
+  } catch {
+    throw Object.assign(new Error("Token invalid"), { status: 403 });
+  }
+  // Tokens issued before sessions existed carry no `sid` and cannot be revoked
+  if (!user.sid || !(await sessions.isActive(user.sid))) {
+    throw Object.assign(new Error("Session expired or revoked"), { status: 401 });
+  }
+  return user;
+}
+
 // Middleware to authenticate JWT tokens
-function authenticateToken(req, res, next) {
-  const authHeader = req.headers['authorization'];
-  const token = authHeader && authHeader.split(' ')[1];
-  // Updated check for process.env.JWT_SECRET
-  if (!token) return res.status(401).json({ error: "No token provided" });
-  if (!JWT_SECRET) return res.status(500).json({ error: "Server missing JWT secret" });
-
-  jwt.verify(token, JWT_SECRET, (err, user) => { // <-- Use variable
-    if (err) return res.status(403).json({ error: "Token invalid" });
-    req.user = user;
-    next();
-  });
+async function authenticateToken(req, res, next) {
+  try {
+    req.user = await verifyAccessToken(bearerToken(req));
+  } catch (err) {
+    return res.status(err.status || 500).json({ error: err.message });
+  }
+  next();
+}
+
+// Verify an admin token and that the admin's role grants `permission` (omit
+// it to accept any active admin). Resolves to the admin row, or rejects with
+// an Error carrying `status`.
+async function verifyAdmin(token, permission) {
+  const admin = await admins.verifyToken(token);
+  if (permission && !admins.hasPermission(admin.role, permission)) {
+    throw Object.assign(new Error(`Forbidden: requires ${permission}`), { status: 403 });
+  }
+  return admin;
+}
+
+// True when the request carries an admin token rather than a user token. Used
+// by the few endpoints that serve both (e.g. GET /api/deposits).
+function isAdminRequest(req) {
+  const payload = jwt.decode(bearerToken(req) || '');
+  return !!payload && payload.typ === 'admin';
+}
+
+// Middleware for admin endpoints: `Authorization: Bearer <admin token>` from
+// POST /api/admin/login, and a role that grants `permission`.
+function requireAdmin(permission) {
+  return async (req, res, next) => {
+    try {
+      req.admin = admins.toAdmin(await verifyAdmin(bearerToken(req), permission));
+    } catch (err) {
+      return res.status(err.status || 500).json({ error: err.message });
+    }
+    next();
+  };
 }
 
-// --- ADD THIS NEW FUNCTION ---
-// This middleware is for backend-to-backend communication.
-// It checks for the secret admin token.
-function authenticateAdminToken(req, res, next) {
-  const token = req.headers['x-admin-token'];
-  if (!token) {
-    return res.status(401).json({ error: 'Missing admin token' });
-  }
-  if (token !== ADMIN_API_TOKEN) {
-    return res.status(403).json({ error: 'Invalid admin token' });
-  }
-  next();
+// Middleware for features that need a verified identity; goes after
+// authenticateToken. `level` is 'pending' (documents submitted) or
+// 'approved'. With `when`, an async (req) => boolean, the check only applies
+// to requests it returns true for (e.g. conversions above a USD amount).
+// Users below the level get 403 with code KYC_REQUIRED so the frontend can
+// send them to verification.
+function requireKyc(level, { when } = {}) {
+  if (!kyc.LEVELS.includes(level)) throw new Error(`Unknown KYC level: ${level}`);
+  return async (req, res, next) => {
+    try {
+      if (when && !(await when(req))) return next();
+      const { rows } = await pool.query('SELECT kyc_status FROM users WHERE id = $1', [req.user.id]);
+      const status = rows[0]?.kyc_status || null;
+      if (!kyc.meetsLevel(status, level)) {
+        return res.status(403).json({
+          error: level === 'approved' ? "Identity verification required" : "Please submit your identity documents first",
+          code: 'KYC_REQUIRED',
+          required_level: level,
+          kyc_status: kyc.levelOf(status),
+        });
+      }
+    } catch (err) {
+      return res.status(500).json({ error: "Could not check KYC status" });
+    }
+    next();
+  };
 }
 
 // Export as object for easy extension later
-module.exports = { 
+module.exports = {
   authenticateToken,
-  authenticateAdminToken // <-- ADD THIS
+  verifyAccessToken,
+  requireAdmin,
+  isAdminRequest,
+  requireKyc,
 };
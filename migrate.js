@@ -0,0 +1,53 @@
+// migrate.js
+// Applies the SQL files in ./migrations in order, once each.
+// Usage: npm run migrate (or require('./migrate').migrate(), as the tests do)
+const fs = require('fs');
+const path = require('path');
+const pool = require('./db');
+
+const MIGRATIONS_DIR = path.join(__dirname, 'migrations');
+
+async function migrate({ log = console.log } = {}) {
+  await pool.query(
+    `CREATE TABLE IF NOT EXISTS schema_migrations (
+       name TEXT PRIMARY KEY,
+       applied_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+     )`
+  );
+  const { rows } = await pool.query('SELECT name FROM schema_migrations');
+  const applied = new Set(rows.map(r => r.name));
+
+  const files = fs.readdirSync(MIGRATIONS_DIR)
+    .filter(f => f.endsWith('.sql'))
+    .sort();
+
+  for (const file of files) {
+    if (applied.has(file)) continue;
+    const sql = fs.readFileSync(path.join(MIGRATIONS_DIR, file), 'utf8');
+    const client = await pool.connect();
+    try {
+      await client.query('BEGIN');
+      await client.query(sql);
+      await client.query('INSERT INTO schema_migrations (name) VALUES ($1)', [file]);
+      await client.query('COMMIT');
+      log(`✅ Applied ${file}`);
+    } catch (err) {
+      await client.query('ROLLBACK');
+      console.error(`❌ Migration ${file} failed:`, err.message);
+      throw err;
+    } finally {
+      client.release();
+    }
+  }
+}
+
+if (require.main === module) {
+  migrate()
+    .then(() => pool.end())
+    .catch(() => {
+      pool.end();
+      process.exit(1);
+    });
+}
+
+module.exports = { migrate };
@@ -0,0 +1,46 @@
+-- Double-entry ledger. user_balances and earn_wallet become projections of
+-- the 'user:main' and 'user:earn' accounts.
+
+CREATE TABLE IF NOT EXISTS ledger_entries (
+  id BIGSERIAL PRIMARY KEY,
+  ref_type TEXT NOT NULL,
+  ref_id TEXT,
+  memo TEXT,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+-- One entry per source event (e.g. a deposit can only be credited once)
+CREATE UNIQUE INDEX IF NOT EXISTS ledger_entries_ref_idx
+  ON ledger_entries (ref_type, ref_id);
+
+CREATE TABLE IF NOT EXISTS ledger_lines (
+  id BIGSERIAL PRIMARY KEY,
+  entry_id BIGINT NOT NULL REFERENCES ledger_entries(id),
+  account TEXT NOT NULL,
+  user_id INTEGER,
+  coin TEXT NOT NULL,
+  amount NUMERIC(36, 8) NOT NULL
+);
+
+CREATE INDEX IF NOT EXISTS ledger_lines_entry_idx ON ledger_lines (entry_id);
+CREATE INDEX IF NOT EXISTS ledger_lines_account_idx ON ledger_lines (user_id, account, coin);
+
+-- Opening balances: import whatever the wallets hold today so the journal
+-- and the projections agree from day one.
+WITH entry AS (
+  INSERT INTO ledger_entries (ref_type, ref_id, memo)
+  VALUES ('opening_balance', 'baseline', 'Imported from user_balances and earn_wallet')
+  RETURNING id
+),
+wallets AS (
+  SELECT 'user:main' AS account, user_id, coin, balance FROM user_balances WHERE balance <> 0
+  UNION ALL
+  SELECT 'user:earn' AS account, user_id, coin, balance FROM earn_wallet WHERE balance <> 0
+)
+INSERT INTO ledger_lines (entry_id, account, user_id, coin, amount)
+SELECT entry.id, w.account, w.user_id, w.coin, w.balance
+FROM entry, wallets w
+UNION ALL
+SELECT entry.id, 'system:opening', NULL, w.coin, -SUM(w.balance)
+FROM entry, wallets w
+GROUP BY entry.id, w.coin;
@@ -0,0 +1,13 @@
+-- Trades are settled by services/tradeSettlement.js once expires_at passes.
+
+ALTER TABLE trades ADD COLUMN IF NOT EXISTS expires_at TIMESTAMPTZ;
+ALTER TABLE trades ADD COLUMN IF NOT EXISTS settled_at TIMESTAMPTZ;
+
+-- Backfill so trades stuck PENDING from before the worker existed get settled
+UPDATE trades
+SET expires_at = "timestamp"::timestamptz + duration * INTERVAL '1 second'
+WHERE expires_at IS NULL;
+
+CREATE INDEX IF NOT EXISTS trades_pending_expiry_idx
+  ON trades (expires_at)
+  WHERE result = 'PENDING';
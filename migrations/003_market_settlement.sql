@@ -0,0 +1,12 @@
+-- Trades settle strictly on observed market quotes. Both quotes are kept on
+-- the row with their source and observation time.
+
+ALTER TABLE trades ADD COLUMN IF NOT EXISTS start_price_source TEXT;
+ALTER TABLE trades ADD COLUMN IF NOT EXISTS start_price_at TIMESTAMPTZ;
+ALTER TABLE trades ADD COLUMN IF NOT EXISTS end_price NUMERIC;
+ALTER TABLE trades ADD COLUMN IF NOT EXISTS end_price_source TEXT;
+ALTER TABLE trades ADD COLUMN IF NOT EXISTS end_price_at TIMESTAMPTZ;
+
+-- Outcome overrides are gone
+DROP TABLE IF EXISTS user_trade_modes;
+DELETE FROM settings WHERE key = 'TRADE_MODE';
@@ -0,0 +1,19 @@
+-- One-time codes get their own table (purpose, hash, expiry, attempts).
+
+CREATE TABLE IF NOT EXISTS otp_codes (
+  id BIGSERIAL PRIMARY KEY,
+  user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+  purpose TEXT NOT NULL,
+  code_hash TEXT NOT NULL,
+  expires_at TIMESTAMPTZ NOT NULL,
+  attempts INTEGER NOT NULL DEFAULT 0,
+  max_attempts INTEGER NOT NULL,
+  consumed_at TIMESTAMPTZ,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS otp_codes_lookup_idx
+  ON otp_codes (user_id, purpose, created_at DESC);
+
+-- The old single, never-expiring code column is retired
+ALTER TABLE users DROP COLUMN IF EXISTS otp;
@@ -0,0 +1,31 @@
+-- Admin accounts with roles, replacing the shared ADMIN_API_TOKEN.
+-- token_version is bumped on password change / deactivation, which
+-- invalidates every admin token issued before.
+
+CREATE TABLE IF NOT EXISTS admin_users (
+  id SERIAL PRIMARY KEY,
+  email TEXT NOT NULL UNIQUE,
+  name TEXT,
+  password_hash TEXT NOT NULL,
+  role TEXT NOT NULL CHECK (role IN ('support', 'compliance', 'finance', 'superadmin')),
+  active BOOLEAN NOT NULL DEFAULT TRUE,
+  token_version INTEGER NOT NULL DEFAULT 0,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  last_login_at TIMESTAMPTZ
+);
+
+-- Carry over admins from the old users.is_admin / users.password_hash columns,
+-- if this database has them.
+DO $$
+BEGIN
+  IF EXISTS (SELECT 1 FROM information_schema.columns
+             WHERE table_name = 'users' AND column_name = 'is_admin')
+     AND EXISTS (SELECT 1 FROM information_schema.columns
+                 WHERE table_name = 'users' AND column_name = 'password_hash') THEN
+    INSERT INTO admin_users (email, name, password_hash, role)
+    SELECT LOWER(email), username, password_hash, 'superadmin'
+    FROM users
+    WHERE is_admin = TRUE AND password_hash IS NOT NULL
+    ON CONFLICT (email) DO NOTHING;
+  END IF;
+END $$;
@@ -0,0 +1,9 @@
+-- Withdrawal requests now move funds from user_balances.balance into
+-- user_balances.frozen (ledger account 'user:frozen'). funds_frozen marks the
+-- withdrawals created that way; older pending rows never froze anything and
+-- are still paid from the main balance on approval.
+
+ALTER TABLE user_balances ADD COLUMN IF NOT EXISTS frozen NUMERIC NOT NULL DEFAULT 0;
+UPDATE user_balances SET frozen = 0 WHERE frozen IS NULL;
+
+ALTER TABLE withdrawals ADD COLUMN IF NOT EXISTS funds_frozen BOOLEAN NOT NULL DEFAULT FALSE;
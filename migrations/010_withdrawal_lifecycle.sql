@@ -0,0 +1,48 @@
+-- Withdrawal lifecycle:
+--   requested -> under_review -> approved -> broadcasting -> completed
+-- with rejected / cancelled (before approval) and failed (after approval) as
+-- the other terminal states. Every change is recorded in
+-- withdrawal_status_history.
+
+ALTER TABLE withdrawals ADD COLUMN IF NOT EXISTS tx_hash TEXT;
+ALTER TABLE withdrawals ADD COLUMN IF NOT EXISTS rejection_reason TEXT;
+ALTER TABLE withdrawals ADD COLUMN IF NOT EXISTS updated_at TIMESTAMPTZ;
+
+-- 'pending' becomes 'requested'; an old 'approved' was already paid out
+UPDATE withdrawals SET status = 'requested' WHERE status = 'pending';
+UPDATE withdrawals SET status = 'completed' WHERE status = 'approved';
+
+ALTER TABLE withdrawals ALTER COLUMN status SET DEFAULT 'requested';
+ALTER TABLE withdrawals DROP CONSTRAINT IF EXISTS withdrawals_status_check;
+ALTER TABLE withdrawals ADD CONSTRAINT withdrawals_status_check CHECK (status IN (
+  'requested', 'under_review', 'approved', 'broadcasting',
+  'completed', 'failed', 'rejected', 'cancelled'
+));
+
+CREATE TABLE IF NOT EXISTS withdrawal_status_history (
+  id BIGSERIAL PRIMARY KEY,
+  withdrawal_id INTEGER NOT NULL REFERENCES withdrawals(id) ON DELETE CASCADE,
+  from_status TEXT,
+  to_status TEXT NOT NULL,
+  actor_type TEXT NOT NULL CHECK (actor_type IN ('user', 'admin', 'system')),
+  actor_id INTEGER,
+  note TEXT,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS withdrawal_status_history_withdrawal_idx
+  ON withdrawal_status_history (withdrawal_id, created_at);
+
+-- Existing rows get their creation as the first history entry, plus the
+-- current status when it is past 'requested'
+INSERT INTO withdrawal_status_history (withdrawal_id, from_status, to_status, actor_type, created_at)
+SELECT w.id, NULL, 'requested', 'user', w.created_at
+FROM withdrawals w
+WHERE NOT EXISTS (SELECT 1 FROM withdrawal_status_history h WHERE h.withdrawal_id = w.id);
+
+INSERT INTO withdrawal_status_history (withdrawal_id, from_status, to_status, actor_type, note)
+SELECT w.id, 'requested', w.status, 'system', 'backfilled'
+FROM withdrawals w
+WHERE w.status <> 'requested'
+  AND NOT EXISTS (SELECT 1 FROM withdrawal_status_history h
+                  WHERE h.withdrawal_id = w.id AND h.to_status = w.status);
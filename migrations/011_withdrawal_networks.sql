@@ -0,0 +1,5 @@
+-- Network, memo/tag and network fee of each withdrawal (see services/networks.js)
+
+ALTER TABLE withdrawals ADD COLUMN IF NOT EXISTS network TEXT;
+ALTER TABLE withdrawals ADD COLUMN IF NOT EXISTS memo TEXT;
+ALTER TABLE withdrawals ADD COLUMN IF NOT EXISTS fee NUMERIC NOT NULL DEFAULT 0;
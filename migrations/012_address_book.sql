@@ -0,0 +1,30 @@
+-- Saved withdrawal addresses, confirmed by email and usable only after a
+-- cool-down, plus the per-user "whitelist only" setting.
+
+-- Email codes can be tied to one object (e.g. one address-book entry)
+ALTER TABLE otp_codes ADD COLUMN IF NOT EXISTS subject TEXT;
+
+CREATE TABLE IF NOT EXISTS withdrawal_addresses (
+  id SERIAL PRIMARY KEY,
+  user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+  coin TEXT NOT NULL,
+  network TEXT NOT NULL,
+  address TEXT NOT NULL,
+  memo TEXT,
+  label TEXT,
+  confirmed_at TIMESTAMPTZ,
+  usable_after TIMESTAMPTZ NOT NULL,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+CREATE UNIQUE INDEX IF NOT EXISTS withdrawal_addresses_unique_idx
+  ON withdrawal_addresses (user_id, coin, network, address, COALESCE(memo, ''));
+
+-- whitelist_off_after: when the user switched whitelist-only off, the switch
+-- takes effect only after the cool-down
+CREATE TABLE IF NOT EXISTS withdrawal_settings (
+  user_id INTEGER PRIMARY KEY REFERENCES users(id) ON DELETE CASCADE,
+  whitelist_only BOOLEAN NOT NULL DEFAULT FALSE,
+  whitelist_off_after TIMESTAMPTZ,
+  updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
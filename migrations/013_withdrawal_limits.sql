@@ -0,0 +1,16 @@
+-- Withdrawal limits: each request records its USD value at request time, and
+-- admins can override the KYC-tier limits for individual users.
+
+ALTER TABLE withdrawals ADD COLUMN IF NOT EXISTS amount_usd NUMERIC;
+
+-- NULL in a limit column means "use the tier default"
+CREATE TABLE IF NOT EXISTS withdrawal_limit_overrides (
+  user_id INTEGER PRIMARY KEY REFERENCES users(id) ON DELETE CASCADE,
+  daily_usd NUMERIC,
+  monthly_usd NUMERIC,
+  max_per_day INTEGER,
+  note TEXT,
+  set_by INTEGER REFERENCES admin_users(id),
+  expires_at TIMESTAMPTZ,
+  updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
@@ -0,0 +1,54 @@
+-- On-chain deposit detection (services/depositWatcher).
+--
+-- chain_transfers holds every incoming transfer a chain adapter reported for
+-- an address in deposit_addresses:
+--   pending   -- waiting for the network's confirmation threshold
+--   unmatched -- confirmed, but no user could be attributed yet
+--   credited  -- credited through a deposits row (deposit_id)
+
+-- 'manual' = submitted by the user, 'chain' = created by the watcher/admin
+-- from a detected transfer (no screenshot)
+ALTER TABLE deposits ADD COLUMN IF NOT EXISTS source TEXT NOT NULL DEFAULT 'manual';
+ALTER TABLE deposits ALTER COLUMN screenshot DROP NOT NULL;
+
+CREATE TABLE IF NOT EXISTS chain_transfers (
+  id BIGSERIAL PRIMARY KEY,
+  adapter TEXT NOT NULL,
+  coin TEXT NOT NULL,
+  network TEXT NOT NULL,
+  tx_hash TEXT NOT NULL,
+  -- output (UTXO chains) or transfer position within the transaction
+  output_index INTEGER NOT NULL DEFAULT 0,
+  from_address TEXT,
+  to_address TEXT NOT NULL,
+  amount NUMERIC(36, 8) NOT NULL,
+  memo TEXT,
+  block_height BIGINT,
+  confirmations INTEGER NOT NULL DEFAULT 0,
+  status TEXT NOT NULL DEFAULT 'pending' CHECK (status IN ('pending', 'unmatched', 'credited')),
+  deposit_id INTEGER REFERENCES deposits(id) ON DELETE SET NULL,
+  user_id INTEGER REFERENCES users(id) ON DELETE SET NULL,
+  detected_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  credited_at TIMESTAMPTZ
+);
+
+CREATE UNIQUE INDEX IF NOT EXISTS chain_transfers_tx_idx
+  ON chain_transfers (coin, network, tx_hash, output_index);
+CREATE INDEX IF NOT EXISTS chain_transfers_open_idx
+  ON chain_transfers (status) WHERE status <> 'credited';
+-- a deposit is backed by at most one transfer
+CREATE UNIQUE INDEX IF NOT EXISTS chain_transfers_deposit_idx
+  ON chain_transfers (deposit_id) WHERE deposit_id IS NOT NULL;
+
+-- Where each watched address was last scanned up to (adapter-specific cursor)
+CREATE TABLE IF NOT EXISTS deposit_watch_cursors (
+  coin TEXT NOT NULL,
+  network TEXT NOT NULL,
+  address TEXT NOT NULL,
+  adapter TEXT NOT NULL,
+  cursor TEXT,
+  last_polled_at TIMESTAMPTZ,
+  last_error TEXT,
+  PRIMARY KEY (coin, network, address)
+);
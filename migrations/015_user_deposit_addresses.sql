@@ -0,0 +1,30 @@
+-- Per-user deposit addresses derived from the configured extended public keys
+-- (services/hdWallet.js). An address is the key's child 0/<derivation_index>;
+-- key_fingerprint says which key, so rotating a key starts fresh addresses
+-- while the old ones stay attributable.
+
+CREATE TABLE IF NOT EXISTS user_deposit_addresses (
+  id SERIAL PRIMARY KEY,
+  user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+  coin TEXT NOT NULL,
+  network TEXT NOT NULL,
+  address_type TEXT NOT NULL,
+  key_fingerprint TEXT NOT NULL,
+  derivation_index INTEGER NOT NULL,
+  address TEXT NOT NULL,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+CREATE UNIQUE INDEX IF NOT EXISTS user_deposit_addresses_user_idx
+  ON user_deposit_addresses (user_id, coin, network, key_fingerprint);
+CREATE UNIQUE INDEX IF NOT EXISTS user_deposit_addresses_address_idx
+  ON user_deposit_addresses (coin, network, address);
+
+-- Next free derivation index per key. Indexes are handed out in order and
+-- never reused, which keeps wallets within their address gap limit.
+CREATE TABLE IF NOT EXISTS hd_derivation_counters (
+  address_type TEXT NOT NULL,
+  key_fingerprint TEXT NOT NULL,
+  next_index INTEGER NOT NULL DEFAULT 0,
+  PRIMARY KEY (address_type, key_fingerprint)
+);
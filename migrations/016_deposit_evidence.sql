@@ -0,0 +1,27 @@
+-- Deposit evidence: every deposit request carries the transaction hash (one
+-- deposit per hash), and uploaded files are recorded with a SHA-256 of their
+-- content so a screenshot re-used for another deposit is flagged.
+
+ALTER TABLE deposits ADD COLUMN IF NOT EXISTS tx_hash TEXT;
+ALTER TABLE deposits ADD COLUMN IF NOT EXISTS screenshot_sha256 TEXT;
+
+-- older deposits have no hash
+CREATE UNIQUE INDEX IF NOT EXISTS deposits_tx_hash_idx
+  ON deposits (tx_hash) WHERE tx_hash IS NOT NULL;
+CREATE INDEX IF NOT EXISTS deposits_screenshot_sha256_idx
+  ON deposits (screenshot_sha256) WHERE screenshot_sha256 IS NOT NULL;
+
+CREATE TABLE IF NOT EXISTS uploaded_files (
+  id BIGSERIAL PRIMARY KEY,
+  bucket TEXT NOT NULL,
+  path TEXT NOT NULL,
+  url TEXT NOT NULL,
+  sha256 TEXT NOT NULL,
+  size INTEGER NOT NULL,
+  content_type TEXT,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+CREATE UNIQUE INDEX IF NOT EXISTS uploaded_files_path_idx ON uploaded_files (bucket, path);
+CREATE INDEX IF NOT EXISTS uploaded_files_sha256_idx ON uploaded_files (bucket, sha256);
+CREATE INDEX IF NOT EXISTS uploaded_files_url_idx ON uploaded_files (url);
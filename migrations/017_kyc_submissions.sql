@@ -0,0 +1,39 @@
+-- Every KYC attempt is kept in kyc_submissions. users.kyc_status stays as
+-- the user's current status (the latest submission's), which the rest of
+-- the app reads.
+
+CREATE TABLE IF NOT EXISTS kyc_submissions (
+  id SERIAL PRIMARY KEY,
+  user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+  status TEXT NOT NULL DEFAULT 'pending' CHECK (status IN ('pending', 'approved', 'rejected')),
+  -- NULL only for submissions carried over from the users columns
+  document_type TEXT CHECK (document_type IN ('passport', 'national_id', 'drivers_licence')),
+  country TEXT,
+  document_number TEXT,
+  first_name TEXT,
+  last_name TEXT,
+  date_of_birth DATE,
+  selfie TEXT,
+  id_card TEXT,
+  id_card_back TEXT,
+  -- shown to the user
+  rejection_reason TEXT,
+  -- internal, admins only
+  reviewer_note TEXT,
+  reviewed_by INTEGER REFERENCES admin_users(id),
+  reviewed_at TIMESTAMPTZ,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS kyc_submissions_user_idx ON kyc_submissions (user_id, created_at DESC);
+CREATE INDEX IF NOT EXISTS kyc_submissions_status_idx ON kyc_submissions (status, created_at);
+-- at most one submission under review per user
+CREATE UNIQUE INDEX IF NOT EXISTS kyc_submissions_pending_idx
+  ON kyc_submissions (user_id) WHERE status = 'pending';
+
+-- Carry over what the users columns hold today
+INSERT INTO kyc_submissions (user_id, status, selfie, id_card)
+SELECT u.id, LOWER(u.kyc_status), u.kyc_selfie, u.kyc_id_card
+FROM users u
+WHERE LOWER(u.kyc_status) IN ('pending', 'approved', 'rejected')
+  AND NOT EXISTS (SELECT 1 FROM kyc_submissions s WHERE s.user_id = u.id);
@@ -0,0 +1,23 @@
+-- KYC documents are referenced by their key in the private `kyc` bucket
+-- instead of a public URL. Strip the Supabase storage URL prefix (public or
+-- signed) and any query string, leaving the object key.
+
+UPDATE users SET kyc_selfie = regexp_replace(regexp_replace(kyc_selfie, '\?.*$', ''), '^https?://[^/]+/storage/v1/object/(public|sign|authenticated)/kyc/', '')
+WHERE kyc_selfie ~ '^https?://';
+UPDATE users SET kyc_id_card = regexp_replace(regexp_replace(kyc_id_card, '\?.*$', ''), '^https?://[^/]+/storage/v1/object/(public|sign|authenticated)/kyc/', '')
+WHERE kyc_id_card ~ '^https?://';
+
+UPDATE kyc_submissions SET selfie = regexp_replace(regexp_replace(selfie, '\?.*$', ''), '^https?://[^/]+/storage/v1/object/(public|sign|authenticated)/kyc/', '')
+WHERE selfie ~ '^https?://';
+UPDATE kyc_submissions SET id_card = regexp_replace(regexp_replace(id_card, '\?.*$', ''), '^https?://[^/]+/storage/v1/object/(public|sign|authenticated)/kyc/', '')
+WHERE id_card ~ '^https?://';
+UPDATE kyc_submissions SET id_card_back = regexp_replace(regexp_replace(id_card_back, '\?.*$', ''), '^https?://[^/]+/storage/v1/object/(public|sign|authenticated)/kyc/', '')
+WHERE id_card_back ~ '^https?://';
+
+-- On a Supabase database, make sure the bucket itself is private
+DO $$
+BEGIN
+  IF to_regclass('storage.buckets') IS NOT NULL THEN
+    UPDATE storage.buckets SET public = false WHERE id = 'kyc';
+  END IF;
+END $$;
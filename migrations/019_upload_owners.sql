@@ -0,0 +1,7 @@
+-- Uploads through /api/upload belong to the user who made them: signed URLs
+-- are only issued to the owner, and re-uploading the same content only
+-- returns the user's own earlier copy. Older rows have no owner.
+
+ALTER TABLE uploaded_files ADD COLUMN IF NOT EXISTS user_id INTEGER REFERENCES users(id) ON DELETE SET NULL;
+
+CREATE INDEX IF NOT EXISTS uploaded_files_owner_idx ON uploaded_files (bucket, user_id, sha256);
@@ -0,0 +1,34 @@
+-- Moves between the main and earn wallets get a source record, so their
+-- ledger entries reference it like every other entry (ref_type
+-- 'earn_transfer', ref_id = earn_transfers.id).
+
+CREATE TABLE IF NOT EXISTS earn_transfers (
+  id BIGSERIAL PRIMARY KEY,
+  user_id INTEGER NOT NULL,
+  coin TEXT NOT NULL,
+  amount NUMERIC(36, 8) NOT NULL CHECK (amount > 0),
+  direction TEXT NOT NULL CHECK (direction IN ('deposit', 'withdraw')),
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS earn_transfers_user_idx ON earn_transfers (user_id, created_at DESC);
+
+-- Give the transfers posted without a reference their record
+DO $$
+DECLARE
+  e RECORD;
+  transfer_id BIGINT;
+BEGIN
+  FOR e IN
+    SELECT le.id, le.created_at, l.user_id, l.coin, l.amount
+    FROM ledger_entries le
+    JOIN ledger_lines l ON l.entry_id = le.id AND l.account = 'user:earn'
+    WHERE le.ref_type = 'earn_transfer' AND le.ref_id IS NULL
+    ORDER BY le.id
+  LOOP
+    INSERT INTO earn_transfers (user_id, coin, amount, direction, created_at)
+    VALUES (e.user_id, e.coin, ABS(e.amount), CASE WHEN e.amount > 0 THEN 'deposit' ELSE 'withdraw' END, e.created_at)
+    RETURNING id INTO transfer_id;
+    UPDATE ledger_entries SET ref_id = transfer_id::text WHERE id = e.id;
+  END LOOP;
+END $$;
@@ -0,0 +1,9 @@
+-- The deposit watcher looks at an open transfer again once next_check_at has
+-- passed: pending transfers every tick, least recently checked first;
+-- unmatched ones only every DEPOSIT_UNMATCHED_RECHECK_MS, so a backlog of
+-- unclaimed transfers can't crowd out new deposits.
+
+ALTER TABLE chain_transfers ADD COLUMN IF NOT EXISTS next_check_at TIMESTAMPTZ NOT NULL DEFAULT NOW();
+
+CREATE INDEX IF NOT EXISTS chain_transfers_next_check_idx
+  ON chain_transfers (next_check_at) WHERE status IN ('pending', 'unmatched');
@@ -0,0 +1,153 @@
+const express = require('express');
+const router = express.Router();
+const pool = require('../db');
+const { authenticateToken } = require('../middleware/auth');
+const passwords = require('../services/passwords');
+const addressBook = require('../services/addressBook');
+
+router.use(authenticateToken);
+
+// Failed addressBook call ({ code, error }) or otp result ({ reason }) -> response
+function reject(res, result) {
+  if (result.reason === 'throttled') {
+    res.set('Retry-After', String(result.retryAfter));
+    return res.status(429).json({
+      error: `Please wait ${result.retryAfter} seconds before requesting another code.`,
+      retry_after: result.retryAfter,
+    });
+  }
+  if (result.reason === 'too_many_attempts') {
+    return res.status(429).json({ error: 'Too many wrong attempts. Please request a new code.' });
+  }
+  if (result.reason === 'expired') {
+    return res.status(400).json({ error: 'Code expired. Please request a new one.' });
+  }
+  if (result.reason) {
+    return res.status(400).json({ error: 'Invalid code', attempts_left: result.attemptsLeft });
+  }
+  const status = result.code === 'ADDRESS_NOT_FOUND' ? 404 : result.code === 'ADDRESS_EXISTS' ? 409 : 400;
+  const { ok, ...body } = result;
+  return res.status(status).json(body);
+}
+
+// GET /api/withdrawal-addresses?coin=USDT
+router.get('/', async (req, res) => {
+  try {
+    const addresses = await addressBook.list(req.user.id, req.query.coin || null);
+    res.json({ addresses, cooldown_hours: addressBook.COOLDOWN_HOURS });
+  } catch (err) {
+    res.status(500).json({ error: 'Database error' });
+  }
+});
+
+// POST /api/withdrawal-addresses { coin, network, address, destination_tag | memo, label }
+router.post('/', async (req, res) => {
+  const { coin, network, address, label } = req.body;
+  if (!coin || !address) return res.status(400).json({ error: 'coin and address are required' });
+  try {
+    const result = await addressBook.add(req.user, {
+      coin,
+      network,
+      address,
+      memo: req.body.destination_tag ?? req.body.memo,
+      label,
+    });
+    if (!result.ok) return reject(res, result);
+    const { confirmation } = result;
+    if (!confirmation.ok) {
+      res.set('Retry-After', String(confirmation.retryAfter));
+      return res.status(201).json({
+        address: result.entry,
+        confirmation_sent: false,
+        retry_after: confirmation.retryAfter,
+        message: 'Address saved, but no confirmation code could be sent. Request a new code to confirm it.',
+      });
+    }
+    res.status(201).json({
+      address: result.entry,
+      confirmation_sent: true,
+      message: 'Address saved. Enter the code we emailed you to confirm it.',
+    });
+  } catch (err) {
+    console.error('Address book add error:', err);
+    res.status(500).json({ error: 'Database error' });
+  }
+});
+
+// POST /api/withdrawal-addresses/:id/confirm { code }
+router.post('/:id/confirm', async (req, res) => {
+  if (!req.body.code) return res.status(400).json({ error: 'code is required' });
+  try {
+    const result = await addressBook.confirm(req.user.id, req.params.id, req.body.code);
+    if (!result.ok) return reject(res, result);
+    res.json({ address: result.entry });
+  } catch (err) {
+    console.error('Address confirm error:', err);
+    res.status(500).json({ error: 'Database error' });
+  }
+});
+
+// POST /api/withdrawal-addresses/:id/resend -- new confirmation code
+router.post('/:id/resend', async (req, res) => {
+  try {
+    const result = await addressBook.resendConfirmation(req.user, req.params.id);
+    if (!result.ok) return reject(res, result);
+    res.json({ message: 'Confirmation code sent. Please check your email.' });
+  } catch (err) {
+    res.status(500).json({ error: 'Database error' });
+  }
+});
+
+// PATCH /api/withdrawal-addresses/:id { label }
+router.patch('/:id', async (req, res) => {
+  if (!/^\d+$/.test(req.params.id)) return res.status(404).json({ error: 'Address not found' });
+  try {
+    const entry = await addressBook.rename(req.user.id, req.params.id, req.body.label);
+    if (!entry) return res.status(404).json({ error: 'Address not found' });
+    res.json({ address: entry });
+  } catch (err) {
+    res.status(500).json({ error: 'Database error' });
+  }
+});
+
+router.delete('/:id', async (req, res) => {
+  if (!/^\d+$/.test(req.params.id)) return res.status(404).json({ error: 'Address not found' });
+  try {
+    const removed = await addressBook.remove(req.user.id, req.params.id);
+    if (!removed) return res.status(404).json({ error: 'Address not found' });
+    res.json({ success: true });
+  } catch (err) {
+    res.status(500).json({ error: 'Database error' });
+  }
+});
+
+// GET /api/withdrawal-addresses/settings
+router.get('/settings', async (req, res) => {
+  try {
+    res.json(await addressBook.getSettings(req.user.id));
+  } catch (err) {
+    res.status(500).json({ error: 'Database error' });
+  }
+});
+
+// PUT /api/withdrawal-addresses/settings { whitelist_only, password }
+// Switching whitelist-only off needs the password and applies after the cool-down.
+router.put('/settings', async (req, res) => {
+  const { whitelist_only, password } = req.body;
+  if (typeof whitelist_only !== 'boolean') {
+    return res.status(400).json({ error: 'whitelist_only must be true or false' });
+  }
+  try {
+    if (!whitelist_only) {
+      const { rows } = await pool.query('SELECT password FROM users WHERE id = $1', [req.user.id]);
+      if (!rows[0] || !(await passwords.verify(password, rows[0].password))) {
+        return res.status(401).json({ error: 'Password is incorrect' });
+      }
+    }
+    res.json(await addressBook.setWhitelistOnly(req.user.id, whitelist_only));
+  } catch (err) {
+    res.status(500).json({ error: 'Database error' });
+  }
+});
+
+module.exports = router;
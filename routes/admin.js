@@ -1,158 +1,416 @@
 // routes/admin.js
 
-const { authenticateToken } = require('../middleware/auth');
+const { requireAdmin } = require('../middleware/auth');
 const express = require('express');
 const router = express.Router();
 const pool = require('../db');
 const multer = require('multer');
-const fs = require('fs');
-const path = require('path');
-const ADMIN_API_TOKEN = process.env.ADMIN_API_TOKEN;
-
-// --- Admin API key middleware ---
-function requireAdminApiKey(req, res, next) {
-  if (req.headers['x-admin-token'] === ADMIN_API_TOKEN) {
-    return next();
+const ledger = require('../services/ledger');
+const withdrawals = require('../services/withdrawals');
+const priceOracle = require('../services/priceOracle');
+const passwords = require('../services/passwords');
+const admins = require('../services/admins');
+const auditLog = require('../services/auditLog');
+const withdrawalLimits = require('../services/withdrawalLimits');
+const depositWatcher = require('../services/depositWatcher');
+const adminLists = require('../services/adminLists');
+const deposits = require('../services/deposits');
+const kyc = require('../services/kyc');
+const storage = require('../services/storage');
+const uploads = require('../services/uploads');
+
+// --- Admin login: returns a bearer token for every other /api/admin route ---
+router.post('/login', async (req, res) => {
+  const { email, password } = req.body;
+  if (!email || !password) return res.status(400).json({ error: "Missing email or password" });
+  try {
+    const result = await admins.login(email, password);
+    if (!result) return res.status(401).json({ error: "Invalid email or password" });
+    req.admin = result.admin;
+    await auditLog.record(pool, req, { action: 'admin.login', targetType: 'admin', targetId: result.admin.id });
+    res.json(result);
+  } catch (err) {
+    res.status(500).json({ error: "DB error" });
   }
-  return res.status(403).json({ error: "Admin token missing or invalid" });
-}
+});
+
+// --- Current admin ---
+router.get('/me', requireAdmin(), (req, res) => {
+  const permissions = req.admin.role === 'superadmin' ? ['*'] : admins.ROLE_PERMISSIONS[req.admin.role];
+  res.json({ ...req.admin, permissions });
+});
 
-// --- GET all users (admin panel) ---
-router.get('/users', requireAdminApiKey, async (req, res) => {
+// --- GET users (admin panel), paged ---
+// ?limit=&cursor=&sort=id|created_at&order=&status=<kyc status>&verified=&from=&to=&q=
+router.get('/users', requireAdmin('users:read'), async (req, res) => {
   try {
-    const result = await pool.query(
-  `SELECT 
-    u.id, u.username, u.email, u.password, u.verified, u.kyc_status, u.kyc_selfie, u.kyc_id_card,
-    u.created_at,
-    tm.mode AS trade_mode
-   FROM users u
-   LEFT JOIN user_trade_modes tm ON u.id = tm.user_id
-   ORDER BY u.id DESC`
-);
-    res.json(result.rows);
+    res.json(await adminLists.users(req.query));
   } catch (err) {
+    if (err.status) return res.status(err.status).json({ error: err.message });
     res.status(500).json({ message: 'Failed to fetch users' });
   }
 });
 
 
-// --- Approve/Reject KYC (admin) ---
-router.post('/kyc-status', requireAdminApiKey, async (req, res) => {
-  const { user_id, status } = req.body;
-  if (!user_id || !['approved', 'rejected', 'pending'].includes(status)) {
-    return res.status(400).json({ error: "Invalid input" });
+// --- Password hashing migration progress (admin) ---
+// GET /api/admin/password-migration -- accounts still holding a plain-text
+// password; they are hashed on the user's next login (services/passwords.js)
+router.get('/password-migration', requireAdmin('users:read'), async (req, res) => {
+  try {
+    const unmigrated = await passwords.countUnmigrated();
+    res.json({ unmigrated, done: unmigrated === 0 });
+  } catch (err) {
+    res.status(500).json({ error: "DB error" });
+  }
+});
+
+// --- KYC submissions (admin), paged ---
+// ?limit=&cursor=&sort=id|created_at&order=&status=&document_type=&country=&user_id=&from=&to=&q=
+router.get('/kyc-submissions', requireAdmin('kyc:read'), async (req, res) => {
+  try {
+    res.json(await adminLists.kycSubmissions(req.query));
+  } catch (err) {
+    if (err.status) return res.status(err.status).json({ error: err.message });
+    res.status(500).json({ error: "DB error" });
   }
+});
+
+router.get('/kyc-submissions/:id', requireAdmin('kyc:read'), async (req, res) => {
   try {
-    await pool.query(
-      `UPDATE users SET kyc_status = $1 WHERE id = $2`,
-      [status, user_id]
-    );
-    res.json({ success: true });
+    const submission = await kyc.get(req.params.id);
+    if (!submission) return res.status(404).json({ error: "KYC submission not found" });
+    res.json(submission);
   } catch (err) {
     res.status(500).json({ error: "DB error" });
   }
 });
 
+// --- Short-lived signed URLs for a KYC submission's documents (admin) ---
+// The files are private; every URL issued is audited.
+router.get('/kyc-submissions/:id/files', requireAdmin('kyc:files'), async (req, res) => {
+  try {
+    const submission = await kyc.get(req.params.id);
+    if (!submission) return res.status(404).json({ error: "KYC submission not found" });
+    const signed = await kyc.signedFiles(submission);
+    await auditLog.record(pool, req, {
+      action: 'kyc.files_view',
+      targetType: 'kyc_submission',
+      targetId: submission.id,
+      after: {
+        user_id: submission.user_id,
+        files: kyc.FILE_FIELDS.filter(f => submission[f]),
+        expires_in: signed.expires_in,
+      },
+    });
+    res.json({ submission_id: submission.id, ...signed });
+  } catch (err) {
+    console.error("KYC signed URL error:", err);
+    res.status(500).json({ error: "Could not sign KYC files" });
+  }
+});
+
+// --- Approve/Reject KYC (admin) ---
+// Body: { submission_id (or user_id for their pending one), status: approved|rejected, reason?, note? }
+// Same handler as POST /api/kyc/admin/status; see kyc.reviewRequest.
+router.post('/kyc-status', requireAdmin('kyc:review'), async (req, res) => {
+  const { status, body } = await kyc.reviewRequest(req);
+  res.status(status).json(body);
+});
+
 // --- Approve/Reject Deposit (admin) ---
-router.post('/deposits/:id/status', requireAdminApiKey, async (req, res) => {
+// Same review as PUT /api/deposits/:id/status (services/deposits.js): only a
+// pending deposit can change, and repeating a review is a no-op.
+router.post('/deposits/:id/status', requireAdmin('deposits:review'), async (req, res) => {
   const { status } = req.body;
   const { id } = req.params;
-  if (!["approved", "rejected", "pending"].includes(status)) {
+  if (!["approved", "rejected"].includes(status)) {
     return res.status(400).json({ error: "Invalid status" });
   }
+  const client = await pool.connect();
   try {
-    const { rows } = await pool.query('SELECT * FROM deposits WHERE id = $1', [id]);
-    const deposit = rows[0];
-    if (!deposit) return res.status(404).json({ error: "Deposit not found" });
-
-    await pool.query('UPDATE deposits SET status = $1 WHERE id = $2', [status, id]);
-
-    if (status === "approved") {
-      await pool.query(
-        `INSERT INTO user_balances (user_id, coin, balance)
-         VALUES ($1, $2, $3)
-         ON CONFLICT (user_id, coin) DO UPDATE SET balance = user_balances.balance + EXCLUDED.balance`,
-        [deposit.user_id, deposit.coin, deposit.amount]
-      );
-      return res.json({ success: true, balanceAdded: true });
-    } else {
-      return res.json({ success: true, balanceAdded: false });
+    await client.query('BEGIN');
+    const result = await deposits.review(client, id, status);
+    if (!result.ok) {
+      await client.query('ROLLBACK');
+      const { status: code, body } = deposits.failureResponse(result, status);
+      return res.status(code).json(body);
+    }
+    if (!result.unchanged) {
+      await auditLog.record(client, req, {
+        action: 'deposit.status',
+        targetType: 'deposit',
+        targetId: result.deposit.id,
+        before: { status: result.before },
+        after: { status },
+      });
     }
+    await client.query('COMMIT');
+    res.json({ success: true, unchanged: result.unchanged, balanceAdded: status === "approved" && !result.unchanged });
   } catch (err) {
+    await client.query('ROLLBACK');
     res.status(500).json({ error: "Database error" });
+  } finally {
+    client.release();
   }
 });
 
-// --- Approve/Reject Withdrawal (admin) ---
-router.post('/withdrawals/:id/status', requireAdminApiKey, async (req, res) => {
-  const { status } = req.body;
+// --- On-chain deposits seen by the deposit watcher (admin) ---
+// GET /api/admin/chain-deposits?status=pending|unmatched|credited
+router.get('/chain-deposits', requireAdmin('deposits:read'), async (req, res) => {
+  const { status } = req.query;
+  if (status && !['pending', 'unmatched', 'credited'].includes(status)) {
+    return res.status(400).json({ error: "Invalid status" });
+  }
+  try {
+    const { rows } = await pool.query(
+      `SELECT ct.*, u.email AS user_email
+       FROM chain_transfers ct
+       LEFT JOIN users u ON u.id = ct.user_id
+       WHERE ($1::text IS NULL OR ct.status = $1)
+       ORDER BY ct.detected_at DESC
+       LIMIT 500`,
+      [status || null]
+    );
+    res.json(rows);
+  } catch (err) {
+    res.status(500).json({ error: "DB error: " + err.message });
+  }
+});
+
+// GET /api/admin/chain-deposits/watcher -- adapters and per-address scan state
+router.get('/chain-deposits/watcher', requireAdmin('deposits:read'), async (req, res) => {
+  try {
+    res.json(await depositWatcher.getStatus());
+  } catch (err) {
+    res.status(500).json({ error: "DB error: " + err.message });
+  }
+});
+
+// POST /api/admin/chain-deposits/:id/assign { user_id }
+// Credits a confirmed transfer nobody claimed to the given user.
+router.post('/chain-deposits/:id/assign', requireAdmin('deposits:review'), async (req, res) => {
+  const userId = Number(req.body.user_id);
+  if (!userId) return res.status(400).json({ error: "Missing user ID" });
+  if (!/^\d+$/.test(req.params.id)) return res.status(404).json({ error: "Transfer not found" });
+
+  const client = await pool.connect();
+  try {
+    await client.query('BEGIN');
+    const { rows } = await client.query('SELECT * FROM chain_transfers WHERE id = $1 FOR UPDATE', [req.params.id]);
+    const transfer = rows[0];
+    if (!transfer) {
+      await client.query('ROLLBACK');
+      return res.status(404).json({ error: "Transfer not found" });
+    }
+    if (transfer.status !== 'unmatched') {
+      await client.query('ROLLBACK');
+      return res.status(400).json({ error: `Only unmatched transfers can be assigned (this one is ${transfer.status})` });
+    }
+    const { rows: users } = await client.query('SELECT id FROM users WHERE id = $1', [userId]);
+    if (!users[0]) {
+      await client.query('ROLLBACK');
+      return res.status(404).json({ error: "User not found" });
+    }
+
+    const credited = await depositWatcher.assign(client, transfer, userId);
+    await auditLog.record(client, req, {
+      action: 'deposit.assign',
+      targetType: 'deposit',
+      targetId: credited.deposit_id,
+      after: { chain_transfer_id: transfer.id, tx_hash: transfer.tx_hash, user_id: userId, coin: transfer.coin, amount: transfer.amount },
+    });
+    await client.query('COMMIT');
+    res.json({ success: true, transfer: credited });
+  } catch (err) {
+    await client.query('ROLLBACK');
+    if (err.status) return res.status(err.status).json({ error: err.message });
+    res.status(500).json({ error: "DB error: " + err.message });
+  } finally {
+    client.release();
+  }
+});
+
+// --- Withdrawal lifecycle (admin) ---
+// Body: { status, tx_hash?, reason? }; see services/withdrawals.js for the
+// allowed transitions. Same review as POST /api/withdrawals/:id/status.
+router.post('/withdrawals/:id/status', requireAdmin('withdrawals:review'), async (req, res) => {
+  const { status, tx_hash, reason } = req.body;
   const { id } = req.params;
-  if (!["approved", "rejected", "pending"].includes(status)) {
+  if (!withdrawals.STATUSES.includes(status)) {
     return res.status(400).json({ error: "Invalid status" });
   }
+  const client = await pool.connect();
   try {
-    const { rows } = await pool.query('SELECT * FROM withdrawals WHERE id = $1', [id]);
-    const withdrawal = rows[0];
-    if (!withdrawal) return res.status(404).json({ error: "Withdrawal not found" });
-
-    const { rows: statusRows } = await pool.query('SELECT status FROM withdrawals WHERE id = $1', [id]);
-    const row = statusRows[0];
-    if (!row) return res.status(500).json({ error: "Database error" });
-
-    if (row.status !== 'approved' && status === "approved") {
-      const { rows: balRows } = await pool.query(
-        'SELECT balance FROM user_balances WHERE user_id = $1 AND coin = $2',
-        [withdrawal.user_id, withdrawal.coin]
-      );
-      const userBal = balRows[0];
-      if (!userBal) return res.status(500).json({ error: "User balance not found" });
-      if (parseFloat(userBal.balance) < parseFloat(withdrawal.amount)) {
-        return res.status(400).json({ error: "Insufficient balance" });
-      }
-      await pool.query('UPDATE withdrawals SET status = $1 WHERE id = $2', [status, id]);
-      await pool.query(
-        'UPDATE user_balances SET balance = balance - $1 WHERE user_id = $2 AND coin = $3',
-        [withdrawal.amount, withdrawal.user_id, withdrawal.coin]
-      );
-      return res.json({ success: true, balanceReduced: true });
-    } else {
-      await pool.query('UPDATE withdrawals SET status = $1 WHERE id = $2', [status, id]);
-      res.json({ success: true, balanceReduced: false });
+    await client.query('BEGIN');
+    // Completing pays out the frozen funds; rejected/failed release them
+    const result = await withdrawals.review(client, id, status, { type: 'admin', id: req.admin.id }, {
+      txHash: tx_hash,
+      reason,
+    });
+    if (!result.ok) {
+      await client.query('ROLLBACK');
+      const { status: code, body } = withdrawals.failureResponse(result, result.withdrawal, status);
+      return res.status(code).json(body);
     }
+    if (!result.unchanged) {
+      await auditLog.record(client, req, {
+        action: 'withdrawal.status',
+        targetType: 'withdrawal',
+        targetId: result.withdrawal.id,
+        before: { status: result.before.status, tx_hash: result.before.tx_hash },
+        after: { status, tx_hash: result.withdrawal.tx_hash, reason: reason || null },
+      });
+    }
+    await client.query('COMMIT');
+    res.json({
+      success: true,
+      unchanged: result.unchanged,
+      balanceReduced: status === "completed" && !result.unchanged,
+      withdrawal: result.withdrawal,
+    });
+  } catch (err) {
+    await client.query('ROLLBACK');
+    res.status(500).json({ error: "Database error" });
+  } finally {
+    client.release();
+  }
+});
+
+// --- Bulk approve/reject (admin) ---
+// Each item runs in its own transaction, so one failure doesn't stop the
+// rest; the response has a result per id.
+const BULK_MAX = 100;
+
+function bulkIds(body) {
+  const ids = Array.isArray(body.ids) ? body.ids : [];
+  if (ids.length === 0 || ids.length > BULK_MAX || !ids.every(id => /^\d+$/.test(String(id)))) {
+    return null;
+  }
+  return [...new Set(ids.map(Number))];
+}
+
+// fn(client, id) -> { ok: true, ...result } or { ok: false, error }
+async function runBulk(ids, fn) {
+  const results = [];
+  for (const id of ids) {
+    const client = await pool.connect();
+    try {
+      await client.query('BEGIN');
+      const result = await fn(client, id);
+      await client.query(result.ok ? 'COMMIT' : 'ROLLBACK');
+      results.push({ id, ...result });
+    } catch (err) {
+      await client.query('ROLLBACK');
+      results.push({ id, ok: false, error: "Database error" });
+    } finally {
+      client.release();
+    }
+  }
+  const succeeded = results.filter(r => r.ok).length;
+  return { succeeded, failed: results.length - succeeded, results };
+}
+
+// POST /api/admin/deposits/bulk-status { ids: [..], status: approved|rejected }
+router.post('/deposits/bulk-status', requireAdmin('deposits:review'), async (req, res) => {
+  const { status } = req.body;
+  const ids = bulkIds(req.body);
+  if (!ids) return res.status(400).json({ error: `ids must be 1-${BULK_MAX} deposit ids` });
+  if (!["approved", "rejected"].includes(status)) return res.status(400).json({ error: "Invalid status" });
+
+  try {
+    res.json(await runBulk(ids, async (client, id) => {
+      const result = await deposits.review(client, id, status);
+      if (!result.ok) return { ok: false, error: deposits.failureResponse(result, status).body.error };
+      if (!result.unchanged) {
+        await auditLog.record(client, req, {
+          action: 'deposit.status',
+          targetType: 'deposit',
+          targetId: id,
+          before: { status: result.before },
+          after: { status },
+        });
+      }
+      return { ok: true, status, unchanged: result.unchanged };
+    }));
+  } catch (err) {
+    res.status(500).json({ error: "Database error" });
+  }
+});
+
+// POST /api/admin/withdrawals/bulk-status { ids: [..], status: approved|rejected, reason? }
+router.post('/withdrawals/bulk-status', requireAdmin('withdrawals:review'), async (req, res) => {
+  const { status, reason } = req.body;
+  const ids = bulkIds(req.body);
+  if (!ids) return res.status(400).json({ error: `ids must be 1-${BULK_MAX} withdrawal ids` });
+  if (!["approved", "rejected"].includes(status)) return res.status(400).json({ error: "Invalid status" });
+
+  try {
+    res.json(await runBulk(ids, async (client, id) => {
+      const result = await withdrawals.review(client, id, status, { type: 'admin', id: req.admin.id }, { reason });
+      if (!result.ok) {
+        return { ok: false, error: withdrawals.failureResponse(result, result.withdrawal, status).body.error };
+      }
+      if (!result.unchanged) {
+        await auditLog.record(client, req, {
+          action: 'withdrawal.status',
+          targetType: 'withdrawal',
+          targetId: id,
+          before: { status: result.before.status, tx_hash: result.before.tx_hash },
+          after: { status, tx_hash: result.withdrawal.tx_hash, reason: reason || null },
+        });
+      }
+      return { ok: true, status, unchanged: result.unchanged };
+    }));
   } catch (err) {
     res.status(500).json({ error: "Database error" });
   }
 });
 
 // --- Delete User (Admin) ---
-// Deletes user, balances, trades, deposits, withdrawals, user_trade_modes, and KYC info
-router.delete('/users/:id', requireAdminApiKey, async (req, res) => {
+// Deletes user, balances, trades, deposits, withdrawals, and KYC info
+router.delete('/users/:id', requireAdmin('users:delete'), async (req, res) => {
   const userId = req.params.id;
   if (!userId) return res.status(400).json({ error: "Missing user ID" });
 
   const client = await pool.connect();
   try {
     await client.query('BEGIN');
-    // Delete user KYC file references, if needed (optional: remove files from disk)
-    const kycRes = await client.query('SELECT kyc_selfie, kyc_id_card FROM users WHERE id = $1', [userId]);
-    const { kyc_selfie, kyc_id_card } = kycRes.rows[0] || {};
-    // Optionally, delete files from disk
-    [kyc_selfie, kyc_id_card].forEach(filePath => {
-      if (filePath && fs.existsSync(path.join(__dirname, '..', filePath))) {
-        fs.unlinkSync(path.join(__dirname, '..', filePath));
-      }
-    });
+    // Snapshot for the audit log
+    const { rows: userRows } = await client.query(
+      'SELECT id, username, email, verified, kyc_status, created_at FROM users WHERE id = $1',
+      [userId]
+    );
+    if (!userRows[0]) {
+      await client.query('ROLLBACK');
+      return res.status(404).json({ error: "User not found" });
+    }
+    const { rows: balances } = await client.query(
+      'SELECT coin, balance FROM user_balances WHERE user_id = $1 ORDER BY coin',
+      [userId]
+    );
+
+    // KYC documents are removed from storage once the delete is committed
+    const kycFiles = await kyc.fileKeysFor(client, userId);
+
+    // Zero the user's ledger accounts so the journal still reconciles
+    await ledger.close(client, userId);
 
     // Delete in correct order due to foreign key constraints
     await client.query(`DELETE FROM user_balances WHERE user_id = $1`, [userId]);
+    await client.query(`DELETE FROM earn_wallet WHERE user_id = $1`, [userId]);
     await client.query(`DELETE FROM trades WHERE user_id = $1`, [userId]);
     await client.query(`DELETE FROM deposits WHERE user_id = $1`, [userId]);
     await client.query(`DELETE FROM withdrawals WHERE user_id = $1`, [userId]);
-    await client.query(`DELETE FROM user_trade_modes WHERE user_id = $1`, [userId]);
-    // If you have a separate kyc table, delete here
-    // await client.query(`DELETE FROM kyc WHERE user_id = $1`, [userId]);
+    await client.query(`DELETE FROM kyc_submissions WHERE user_id = $1`, [userId]);
     await client.query(`DELETE FROM users WHERE id = $1`, [userId]);
+    await auditLog.record(client, req, {
+      action: 'user.delete',
+      targetType: 'user',
+      targetId: userId,
+      before: { ...userRows[0], balances },
+    });
     await client.query('COMMIT');
+    await kyc.removeFiles(kycFiles);
     res.json({ success: true, message: "User and all related data deleted" });
   } catch (err) {
     await client.query('ROLLBACK');
@@ -163,130 +421,100 @@ router.delete('/users/:id', requireAdminApiKey, async (req, res) => {
 });
 
 
-// --- Set/remove user trade-mode override (admin) ---
-router.post('/users/:id/trade-mode', requireAdminApiKey, async (req, res) => {
-  const { id } = req.params;
-  const { mode } = req.body;
-  if (mode !== "WIN" && mode !== "LOSE" && mode !== null && mode !== "") {
-    return res.status(400).json({ error: "Invalid mode" });
-  }
+// --- CHANGE ADMIN PASSWORD (secure) ---
+// Change password route (POST /api/admin/change-password). Signs the admin
+// out everywhere, this token included.
+router.post('/change-password', requireAdmin(), async (req, res) => {
+  const { currentPassword, newPassword } = req.body;
+
+  if (!currentPassword || !newPassword)
+    return res.status(400).json({ error: "Missing required fields" });
+
   try {
-    if (mode) {
-      await pool.query(
-        `INSERT INTO user_trade_modes (user_id, mode) VALUES ($1, $2)
-         ON CONFLICT (user_id) DO UPDATE SET mode = EXCLUDED.mode`,
-        [id, mode]
-      );
-      res.json({ success: true, mode });
-    } else {
-      await pool.query(
-        `DELETE FROM user_trade_modes WHERE user_id = $1`,
-        [id]
-      );
-      res.json({ success: true, removed: true });
-    }
+    const { rows } = await pool.query(`SELECT password_hash FROM admin_users WHERE id = $1`, [req.admin.id]);
+    const valid = rows[0] && await passwords.verify(currentPassword, rows[0].password_hash);
+    if (!valid) return res.status(401).json({ error: "Current password is incorrect" });
+
+    await admins.setPassword(req.admin.id, newPassword);
+    await auditLog.record(pool, req, { action: 'admin.password_change', targetType: 'admin', targetId: req.admin.id });
+    res.json({ success: true, message: "Password changed successfully!", relogin: true });
   } catch (err) {
-    res.status(500).json({ error: "Failed to set/remove mode" });
+    res.status(500).json({ error: "DB error: " + err.message });
   }
 });
 
-// --- Get current user trade mode (admin) ---
-router.get('/users/:id/trade-mode', requireAdminApiKey, async (req, res) => {
-  const { id } = req.params;
+// --- Admin accounts (superadmin) ---
+router.get('/admins', requireAdmin('admins:manage'), async (req, res) => {
   try {
-    const { rows } = await pool.query(
-      `SELECT mode FROM user_trade_modes WHERE user_id = $1`,
-      [id]
-    );
-    res.json({ mode: rows.length > 0 ? rows[0].mode : null });
+    res.json(await admins.list());
   } catch (err) {
-    res.status(500).json({ error: "DB error" });
+    res.status(500).json({ error: "DB error: " + err.message });
   }
 });
 
-// --- CHANGE ADMIN PASSWORD (secure) ---
-const bcrypt = require('bcrypt');
-
-// Change password route (POST /api/admin/change-password)
-router.post('/change-password', requireAdminApiKey, async (req, res) => {
-  const { email, currentPassword, newPassword } = req.body;
-
-  if (!email || !currentPassword || !newPassword)
-    return res.status(400).json({ error: "Missing required fields" });
-
+router.post('/admins', requireAdmin('admins:manage'), async (req, res) => {
+  const { email, name, password, role } = req.body;
+  if (!email || !password || !role) return res.status(400).json({ error: "Missing email, password or role" });
+  if (!admins.ROLES.includes(role)) return res.status(400).json({ error: "Invalid role" });
   try {
-    // 1. Get the admin user by email
-    const { rows } = await pool.query(`SELECT id, password_hash FROM users WHERE email = $1 AND is_admin = TRUE`, [email]);
-    const user = rows[0];
-    if (!user) return res.status(404).json({ error: "Admin not found" });
-
-    // 2. Check current password
-    const valid = await bcrypt.compare(currentPassword, user.password_hash);
-    if (!valid) return res.status(401).json({ error: "Current password is incorrect" });
-
-    // 3. Hash new password & update in DB
-    const newHash = await bcrypt.hash(newPassword, 10);
-    await pool.query(`UPDATE users SET password_hash = $1 WHERE id = $2`, [newHash, user.id]);
+    const admin = await admins.create({ email, name, password, role });
+    await auditLog.record(pool, req, { action: 'admin.create', targetType: 'admin', targetId: admin.id, after: admin });
+    res.status(201).json(admin);
+  } catch (err) {
+    if (err.code === '23505') return res.status(409).json({ error: "An admin with this email already exists" });
+    res.status(500).json({ error: "DB error: " + err.message });
+  }
+});
 
-    res.json({ success: true, message: "Password changed successfully!" });
+// PATCH /api/admin/admins/:id { role?, active? }
+router.patch('/admins/:id', requireAdmin('admins:manage'), async (req, res) => {
+  const id = Number(req.params.id);
+  const { role, active } = req.body;
+  if (role !== undefined && !admins.ROLES.includes(role)) return res.status(400).json({ error: "Invalid role" });
+  if (active !== undefined && typeof active !== 'boolean') return res.status(400).json({ error: "active must be a boolean" });
+  if (id === req.admin.id) return res.status(400).json({ error: "You cannot change your own role or status" });
+  try {
+    const before = await admins.get(id);
+    const admin = await admins.update(id, { role, active });
+    if (!admin) return res.status(404).json({ error: "Admin not found" });
+    await auditLog.record(pool, req, {
+      action: 'admin.update',
+      targetType: 'admin',
+      targetId: id,
+      before: before && { role: before.role, active: before.active },
+      after: { role: admin.role, active: admin.active },
+    });
+    res.json(admin);
   } catch (err) {
     res.status(500).json({ error: "DB error: " + err.message });
   }
 });
 
 
-// --- GET all trades (admin panel) ---
-router.get('/trades', requireAdminApiKey, async (req, res) => {
+// --- GET trades (admin panel), paged ---
+// ?limit=&cursor=&sort=id|timestamp|amount&order=&status=<result>&coin=&user_id=&from=&to=&min_amount=&max_amount=&q=
+router.get('/trades', requireAdmin('trades:read'), async (req, res) => {
   try {
-    const result = await pool.query(
-      `SELECT 
-          t.id,
-          t.user_id,
-          u.username,
-          t.coin,
-          t.direction,
-          t.amount,
-          t.result,
-          t.approved,
-          t.created_at,
-          t.timestamp,
-          t.start_price,
-          t.profit,
-          t.duration
-       FROM trades t
-       LEFT JOIN users u ON t.user_id = u.id
-       ORDER BY t.id DESC`
-    );
-    res.json(result.rows);
+    res.json(await adminLists.trades(req.query));
   } catch (err) {
+    if (err.status) return res.status(err.status).json({ error: err.message });
     res.status(500).json({ message: 'Failed to fetch trades', detail: err.message });
   }
 });
 
-// --- GET all withdrawals (admin panel) ---
-router.get('/withdrawals', requireAdminApiKey, async (req, res) => {
+// --- GET withdrawals (admin panel), paged ---
+// ?limit=&cursor=&sort=id|created_at|amount|amount_usd&order=&status=&coin=&network=&user_id=&from=&to=&min_amount=&max_amount=&q=
+router.get('/withdrawals', requireAdmin('withdrawals:read'), async (req, res) => {
   try {
-    const result = await pool.query(
-      `SELECT 
-        id,
-        user_id,
-        coin,
-        amount,
-        address,
-        network,
-        created_at,
-        status
-      FROM withdrawals
-      ORDER BY id DESC`
-    );
-    res.json(result.rows);
+    res.json(await adminLists.withdrawals(req.query));
   } catch (err) {
+    if (err.status) return res.status(err.status).json({ error: err.message });
     res.status(500).json({ message: 'Failed to fetch withdrawals', detail: err.message });
   }
 });
 
 // --- GET all deposit addresses (for WalletPage.js) ---
-router.get('/deposit-addresses', requireAdminApiKey, async (req, res) => {
+router.get('/deposit-addresses', requireAdmin('settings:read'), async (req, res) => {
   try {
     const result = await pool.query(
       `SELECT coin, address, qr_url FROM deposit_addresses ORDER BY coin`
@@ -298,30 +526,73 @@ router.get('/deposit-addresses', requireAdminApiKey, async (req, res) => {
 });
 
 // --- Admin: Add/Update deposit address (with QR image upload) ---
-const depositUploadsDir = path.resolve(__dirname, '../uploads');
-if (!fs.existsSync(depositUploadsDir)) {
-  fs.mkdirSync(depositUploadsDir, { recursive: true });
-}
-const depositQrStorage = multer.diskStorage({
-  destination: depositUploadsDir,
-  filename: (req, file, cb) => {
-    const safeCoin = req.body.coin.replace(/[^a-z0-9]/gi, '_');
-    cb(null, safeCoin + '_' + Date.now() + path.extname(file.originalname));
+// QR images go to the public "deposit-qr" storage bucket (services/storage).
+// Older entries still point at /uploads.
+const DEPOSIT_QR_BUCKET = 'deposit-qr';
+const DEPOSIT_QR_TYPES = ['image/png', 'image/jpeg', 'image/webp', 'image/gif'];
+const depositQrUpload = multer({ storage: multer.memoryStorage(), limits: { fileSize: 2 * 1024 * 1024 } });
+
+// Save several wallets at once: a JSON array of { coin, address, qr_url }.
+// All or nothing.
+async function saveDepositAddresses(req, res) {
+  const wallets = req.body;
+  if (!wallets.every(w => w && w.coin && w.address)) {
+    return res.status(400).json({ error: 'Each wallet needs a coin and an address' });
   }
-});
-const depositQrUpload = multer({ storage: depositQrStorage });
+  const client = await pool.connect();
+  try {
+    await client.query('BEGIN');
+    for (const wallet of wallets) {
+      const { rows: beforeRows } = await client.query(
+        'SELECT address, qr_url FROM deposit_addresses WHERE coin = $1 FOR UPDATE',
+        [wallet.coin]
+      );
+      await client.query(
+        `INSERT INTO deposit_addresses (coin, address, qr_url, updated_at)
+         VALUES ($1, $2, $3, NOW())
+         ON CONFLICT (coin)
+           DO UPDATE SET address = EXCLUDED.address, qr_url = EXCLUDED.qr_url, updated_at = NOW()`,
+        [wallet.coin, wallet.address, wallet.qr_url ?? null]
+      );
+      await auditLog.record(client, req, {
+        action: 'deposit_address.update',
+        targetType: 'deposit_address',
+        targetId: wallet.coin,
+        before: beforeRows[0] || null,
+        after: { address: wallet.address, qr_url: wallet.qr_url ?? null },
+      });
+    }
+    await client.query('COMMIT');
+    res.json({ success: true, message: 'Deposit wallet settings updated' });
+  } catch (err) {
+    await client.query('ROLLBACK');
+    res.status(500).json({ error: 'DB error: ' + err.message });
+  } finally {
+    client.release();
+  }
+}
 
 // POST /api/admin/deposit-addresses
-router.post('/deposit-addresses', requireAdminApiKey, depositQrUpload.single('qr'), async (req, res) => {
-  const { coin, address } = req.body;
+// Multipart { coin, address, qr? } for one wallet, or a JSON array for many
+// (saveDepositAddresses).
+router.post('/deposit-addresses', requireAdmin('settings:write'), depositQrUpload.single('qr'), async (req, res) => {
+  if (Array.isArray(req.body)) return saveDepositAddresses(req, res);
+  const { coin, address } = req.body || {};
   let qr_url = null;
   if (!coin || !address) return res.status(400).json({ error: 'Missing coin or address' });
 
-  if (req.file) {
-    qr_url = `/uploads/${req.file.filename}`;
-  }
-
   try {
+    if (req.file) {
+      const contentType = uploads.sniffType(req.file.buffer);
+      if (!DEPOSIT_QR_TYPES.includes(contentType)) {
+        return res.status(415).json({ error: 'QR code must be a PNG, JPEG, WebP or GIF image' });
+      }
+      const safeCoin = coin.replace(/[^a-z0-9]/gi, '_');
+      const key = `${safeCoin}_${Date.now()}.${contentType.split('/')[1].replace('jpeg', 'jpg')}`;
+      await storage.put(DEPOSIT_QR_BUCKET, key, req.file.buffer, { contentType });
+      qr_url = storage.publicUrl(DEPOSIT_QR_BUCKET, key);
+    }
+
     let params;
     const hasQr = !!qr_url;
     if (hasQr) {
@@ -336,24 +607,183 @@ router.post('/deposit-addresses', requireAdminApiKey, depositQrUpload.single('qr
            DO UPDATE SET address = $1, qr_url = $3, updated_at = NOW()`
       : `UPDATE deposit_addresses SET address = $1, updated_at = NOW() WHERE coin = $2`;
 
+    const { rows: beforeRows } = await pool.query(
+      'SELECT address, qr_url FROM deposit_addresses WHERE coin = $1',
+      [coin]
+    );
     await pool.query(sql, params);
+    await auditLog.record(pool, req, {
+      action: 'deposit_address.update',
+      targetType: 'deposit_address',
+      targetId: coin,
+      before: beforeRows[0] || null,
+      after: { address, qr_url: hasQr ? qr_url : beforeRows[0]?.qr_url ?? null },
+    });
     res.json({ success: true, coin, address, qr_url });
   } catch (err) {
     res.status(500).json({ error: 'DB error: ' + err.message });
   }
 });
 
-// --- Get ALL user win/lose trade modes (admin) ---
-router.get('/user-win-modes', requireAdminApiKey, async (req, res) => {
+// --- Withdrawal limits per user (tier defaults + override) ---
+// GET /api/admin/users/:id/withdrawal-limits -- effective limits, usage, override
+router.get('/users/:id/withdrawal-limits', requireAdmin('users:read'), async (req, res) => {
+  const userId = Number(req.params.id);
+  if (!userId) return res.status(400).json({ error: "Missing user ID" });
   try {
-    const { rows } = await pool.query(
-      `SELECT u.id, u.username, tm.mode
-       FROM users u
-       LEFT JOIN user_trade_modes tm ON u.id = tm.user_id
-       WHERE tm.mode IS NOT NULL`
+    const status = await withdrawalLimits.getStatus(userId);
+    const override = await withdrawalLimits.getOverride(userId);
+    res.json({ ...status, override });
+  } catch (err) {
+    res.status(500).json({ error: "DB error: " + err.message });
+  }
+});
+
+// PUT /api/admin/users/:id/withdrawal-limits { daily_usd?, monthly_usd?, max_per_day?, note?, expires_at? }
+// Omitted/null limits fall back to the user's KYC tier.
+router.put('/users/:id/withdrawal-limits', requireAdmin('limits:write'), async (req, res) => {
+  const userId = Number(req.params.id);
+  if (!userId) return res.status(400).json({ error: "Missing user ID" });
+  const values = {};
+  for (const key of withdrawalLimits.LIMIT_KEYS) {
+    const value = req.body[key];
+    if (value === undefined || value === null || value === '') continue;
+    if (!(Number(value) >= 0)) return res.status(400).json({ error: `Invalid ${key}` });
+    if (key === 'max_per_day' && !Number.isInteger(Number(value))) {
+      return res.status(400).json({ error: "max_per_day must be a whole number" });
+    }
+    values[key] = Number(value);
+  }
+  if (Object.keys(values).length === 0) {
+    return res.status(400).json({ error: "Set at least one of " + withdrawalLimits.LIMIT_KEYS.join(', ') });
+  }
+  const { note, expires_at } = req.body;
+  if (expires_at && isNaN(Date.parse(expires_at))) return res.status(400).json({ error: "Invalid expires_at date" });
+  try {
+    const { rows } = await pool.query('SELECT id FROM users WHERE id = $1', [userId]);
+    if (!rows[0]) return res.status(404).json({ error: "User not found" });
+    const before = await withdrawalLimits.getOverride(userId);
+    const override = await withdrawalLimits.setOverride(
+      userId,
+      { ...values, note: note || null, expires_at: expires_at || null },
+      req.admin.id
     );
-    res.json(rows);
+    await auditLog.record(pool, req, {
+      action: 'withdrawal_limits.update',
+      targetType: 'user',
+      targetId: userId,
+      before,
+      after: override,
+    });
+    res.json(override);
+  } catch (err) {
+    res.status(500).json({ error: "DB error: " + err.message });
+  }
+});
+
+// DELETE /api/admin/users/:id/withdrawal-limits -- back to the tier defaults
+router.delete('/users/:id/withdrawal-limits', requireAdmin('limits:write'), async (req, res) => {
+  const userId = Number(req.params.id);
+  if (!userId) return res.status(400).json({ error: "Missing user ID" });
+  try {
+    const before = await withdrawalLimits.getOverride(userId);
+    if (!before) return res.status(404).json({ error: "No override set for this user" });
+    await withdrawalLimits.clearOverride(userId);
+    await auditLog.record(pool, req, {
+      action: 'withdrawal_limits.clear',
+      targetType: 'user',
+      targetId: userId,
+      before,
+    });
+    res.json({ success: true });
+  } catch (err) {
+    res.status(500).json({ error: "DB error: " + err.message });
+  }
+});
+
+// --- Ledger: journal vs. wallet projections (admin) ---
+// GET /api/admin/ledger/reconcile?user_id=123 (omit user_id to check everyone)
+router.get('/ledger/reconcile', requireAdmin('ledger:read'), async (req, res) => {
+  const userId = req.query.user_id ? Number(req.query.user_id) : null;
+  try {
+    const mismatches = await ledger.reconcile(userId);
+    res.json({ ok: mismatches.length === 0, mismatches });
+  } catch (err) {
+    res.status(500).json({ error: "DB error: " + err.message });
+  }
+});
+
+// POST /api/admin/ledger/rebuild/:userId -- re-derive wallets from the journal
+router.post('/ledger/rebuild/:userId', requireAdmin('ledger:write'), async (req, res) => {
+  const userId = Number(req.params.userId);
+  if (!userId) return res.status(400).json({ error: "Missing user ID" });
+
+  const client = await pool.connect();
+  try {
+    await client.query('BEGIN');
+    await ledger.rebuild(client, userId);
+    await auditLog.record(client, req, { action: 'ledger.rebuild', targetType: 'user', targetId: userId });
+    await client.query('COMMIT');
+    const mismatches = await ledger.reconcile(userId);
+    res.json({ success: true, mismatches });
+  } catch (err) {
+    await client.query('ROLLBACK');
+    res.status(500).json({ error: "DB error: " + err.message });
+  } finally {
+    client.release();
+  }
+});
+
+// --- Price oracle provider health (admin) ---
+// GET /api/admin/price-oracle/health -- per provider, in the order they are tried
+router.get('/price-oracle/health', requireAdmin('settings:read'), (req, res) => {
+  try {
+    res.json({ providers: priceOracle.getHealth() });
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// --- Audit log (admin) ---
+// GET /api/admin/audit-log?actor_id=&actor_email=&action=&target_type=&target_id=&from=&to=&limit=&offset=
+// `action` matches exactly, or by prefix when it ends in '.' (e.g. action=deposit.)
+const AUDIT_FILTERS = ['actor_id', 'actor_email', 'action', 'target_type', 'target_id', 'from', 'to'];
+
+function auditFilters(query) {
+  const filters = {};
+  for (const key of AUDIT_FILTERS) {
+    if (typeof query[key] === 'string' && query[key] !== '') filters[key] = query[key];
+  }
+  for (const key of ['from', 'to']) {
+    if (filters[key] && isNaN(Date.parse(filters[key]))) {
+      throw Object.assign(new Error(`Invalid ${key} date`), { status: 400 });
+    }
+  }
+  return filters;
+}
+
+router.get('/audit-log', requireAdmin('audit:read'), async (req, res) => {
+  const limit = Math.min(parseInt(req.query.limit) || 100, 500);
+  const offset = Math.max(parseInt(req.query.offset) || 0, 0);
+  try {
+    const { total, entries } = await auditLog.search(auditFilters(req.query), { limit, offset });
+    res.json({ total, limit, offset, entries });
+  } catch (err) {
+    if (err.status) return res.status(err.status).json({ error: err.message });
+    res.status(500).json({ error: "DB error: " + err.message });
+  }
+});
+
+// GET /api/admin/audit-log/export.csv -- same filters, up to 50,000 rows
+router.get('/audit-log/export.csv', requireAdmin('audit:read'), async (req, res) => {
+  try {
+    const { entries } = await auditLog.search(auditFilters(req.query), { limit: 50000, offset: 0 });
+    const stamp = new Date().toISOString().slice(0, 10);
+    res.set('Content-Type', 'text/csv; charset=utf-8');
+    res.set('Content-Disposition', `attachment; filename="audit-log-${stamp}.csv"`);
+    res.send(auditLog.toCsv(entries));
   } catch (err) {
+    if (err.status) return res.status(err.status).json({ error: err.message });
     res.status(500).json({ error: "DB error: " + err.message });
   }
 });
@@ -1,20 +1,67 @@
-const bcrypt = require('bcrypt');
+const passwords = require('../services/passwords');
 const { authenticateToken } = require('../middleware/auth');
 const express = require('express');
 const router = express.Router();
 const pool = require('../db');
-const nodemailer = require('nodemailer');
-const crypto = require('crypto');
-const jwt = require('jsonwebtoken');
-
-// Email transporter
-const transporter = nodemailer.createTransport({
-  service: 'gmail',
-  auth: {
-    user: process.env.EMAIL_USER,
-    pass: process.env.EMAIL_PASS,
-  },
-});
+const otp = require('../services/otp');
+const sessions = require('../services/sessions');
+const twoFactor = require('../services/twoFactor');
+const { sendMail } = require('../services/mailer');
+
+// Issue a code for `purpose` and email it. Returns the otp.issue() result.
+async function sendOtp(user, purpose) {
+  const issued = await otp.issue(user.id, purpose);
+  if (!issued.ok) return issued;
+
+  const greeting = `Hello${user.username ? " " + user.username : ""}`;
+  const mail = purpose === otp.PURPOSES.RESET_PASSWORD
+    ? { subject: 'NovaChain Password Reset OTP', text: `Your NovaChain OTP for password reset is: ${issued.code}` }
+    : { subject: 'NovaChain OTP Verification', text: `${greeting}, your OTP code is: ${issued.code}` };
+  mail.text += `\nThis code expires in ${issued.expiresInMinutes} minutes.`;
+
+  sendMail({ to: user.email, ...mail }).catch(err => {
+    console.error('❌ OTP email error:', err);
+  });
+  return issued;
+}
+
+// Map a failed otp.verify() result to an HTTP response
+function rejectOtp(res, result) {
+  if (result.reason === 'too_many_attempts') {
+    return res.status(429).json({ error: 'Too many wrong attempts. Please request a new OTP.' });
+  }
+  if (result.reason === 'expired') {
+    return res.status(400).json({ error: 'OTP expired. Please request a new one.' });
+  }
+  return res.status(400).json({ error: 'Invalid OTP', attempts_left: result.attemptsLeft });
+}
+
+function rejectThrottled(res, issued) {
+  res.set('Retry-After', String(issued.retryAfter));
+  return res.status(429).json({
+    error: `Please wait ${issued.retryAfter} seconds before requesting another OTP.`,
+    retry_after: issued.retryAfter,
+  });
+}
+
+// Device/IP recorded on a session
+function clientInfo(req) {
+  return { userAgent: req.get('user-agent') || null, ip: req.ip || null };
+}
+
+// Start a session: short-lived access JWT + rotating refresh token
+async function startSession(req, user) {
+  const { token, refresh_token } = await sessions.create(user, clientInfo(req));
+  return {
+    token,
+    refresh_token,
+    user: {
+      id: "NC-" + String(user.id).padStart(7, "0"),
+      username: user.username,
+      email: user.email
+    }
+  };
+}
 
 // Register (random unique ID version, with resend OTP for unverified)
 router.post('/register', async (req, res) => {
@@ -28,21 +75,9 @@ router.post('/register', async (req, res) => {
     if (existing.length > 0) {
       const user = existing[0];
       if (!user.verified) {
-
         // User exists but not verified: re-send OTP and inform user
-        const otp = crypto.randomInt(100000, 999999).toString();
-        await pool.query('UPDATE users SET otp = $1 WHERE email = $2', [otp, email]);
-        
-        // Re-send OTP
-        const mailOptions = {
-          from: process.env.EMAIL_USER,
-          to: email,
-          subject: 'NovaChain OTP Verification',
-          text: `Hello${user.username ? " " + user.username : ""}, your OTP code is: ${otp}`
-        };
-        transporter.sendMail(mailOptions, (err) => {
-          if (err) console.error('❌ OTP email error:', err);
-        });
+        const issued = await sendOtp(user, otp.PURPOSES.VERIFY_EMAIL);
+        if (!issued.ok) return rejectThrottled(res, issued);
         return res.status(200).json({ 
           message: 'Account already exists but not verified. New OTP sent. Please check your email.' 
         });
@@ -53,18 +88,16 @@ router.post('/register', async (req, res) => {
     }
 
     // If here, email does not exist: create user
-    const plainPassword = password; // <-- No bcrypt hash
-    const otp = crypto.randomInt(100000, 999999).toString();
+    const passwordHash = await passwords.hash(password);
 
     // Insert user (let database generate the 'id') and get the new id back
-const newUser = await pool.query(
-  'INSERT INTO users (username, email, password, balance, otp, verified) VALUES ($1, $2, $3, $4, $5, $6) RETURNING id',
-  [username, email, password, 0, otp, false]
-);
-
-// Get the new user's ID to use for inserting balances
-const userId = newUser.rows[0].id;
+    const newUser = await pool.query(
+      'INSERT INTO users (username, email, password, balance, verified) VALUES ($1, $2, $3, $4, $5) RETURNING id',
+      [username, email, passwordHash, 0, false]
+    );
 
+    // Get the new user's ID to use for inserting balances
+    const userId = newUser.rows[0].id;
 
     // Insert balances for all coins (multi-coin support)
     const coins = ["USDT", "BTC", "ETH", "SOL", "XRP", "TON"];
@@ -78,15 +111,7 @@ const userId = newUser.rows[0].id;
     );
 
     // Send OTP Email
-    const mailOptions = {
-      from: process.env.EMAIL_USER,
-      to: email,
-      subject: 'NovaChain OTP Verification',
-      text: `Hello ${username}, your OTP code is: ${otp}`
-    };
-    transporter.sendMail(mailOptions, (err) => {
-      if (err) console.error('❌ OTP email error:', err);
-    });
+    await sendOtp({ id: userId, username, email }, otp.PURPOSES.VERIFY_EMAIL);
 
     res.status(201).json({ message: 'User registered! OTP sent.', userId });
   } catch (err) {
@@ -110,14 +135,8 @@ router.post('/login', async (req, res) => {
       return res.status(400).json({ error: 'Invalid email or password' });
     }
 
-    let match = false;
-    if (user.password.startsWith("$2b$")) {
-      // bcrypt hash
-      match = await bcrypt.compare(password, user.password);
-    } else {
-      // plain text fallback for legacy users
-      match = (password === user.password);
-    }
+    // legacy plain-text passwords are re-hashed here on first successful login
+    const match = await passwords.verifyAndUpgrade(user, password);
     if (!match) {
       return res.status(400).json({ error: 'Invalid email or password' });
     }
@@ -125,38 +144,56 @@ router.post('/login', async (req, res) => {
     if (user.verified === false || user.verified === 0) {
       return res.status(403).json({ error: "Please verify your email with OTP before logging in." });
     }
-    // Create JWT token
-    const payload = { id: user.id, username: user.username, email: user.email };
-    const token = jwt.sign(payload, process.env.JWT_SECRET, { expiresIn: '7d' });
-    res.json({
-      token,
-      user: {
-        id: "NC-" + String(user.id).padStart(7, "0"),
-        username: user.username,
-        email: user.email
-      }
-    });
+    // Enrolled in 2FA: the client must finish with POST /login/2fa
+    if (await twoFactor.isEnabled(user.id)) {
+      return res.json({ mfa_required: true, mfa_token: twoFactor.signMfaToken(user) });
+    }
+    res.json(await startSession(req, user));
   } catch (err) {
     res.status(500).json({ error: 'Database error' });
   }
 });
 
+// Second login step for 2FA users: { mfa_token, code | recovery_code }
+router.post('/login/2fa', async (req, res) => {
+  const { mfa_token, code, recovery_code } = req.body;
+  const userId = twoFactor.verifyMfaToken(mfa_token);
+  if (!userId) {
+    return res.status(401).json({ error: 'Login expired. Please log in again.' });
+  }
+  try {
+    const result = await twoFactor.verify(userId, { code, recoveryCode: recovery_code });
+    if (!result.ok) {
+      const { status, body } = twoFactor.failureResponse(result);
+      return res.status(status).json(body);
+    }
+    const { rows } = await pool.query('SELECT id, username, email FROM users WHERE id = $1', [userId]);
+    if (!rows[0]) return res.status(401).json({ error: 'Login expired. Please log in again.' });
+
+    res.json(await startSession(req, rows[0]));
+  } catch (err) {
+    console.error('2FA login error:', err);
+    res.status(500).json({ error: 'Database error' });
+  }
+});
+
 
 
 
 // OTP Verification (POSTGRES BOOLEAN SAFE)
 router.post('/verify-otp', async (req, res) => {
-  const { email, otp } = req.body;
+  const { email, otp: code } = req.body;
+  if (!email || !code) return res.status(400).json({ error: 'Email and OTP are required.' });
   try {
     const { rows } = await pool.query('SELECT * FROM users WHERE email = $1', [email]);
     const user = rows[0];
     if (!user) return res.status(404).json({ error: 'User not found' });
-    if (user.otp === otp) {
-      await pool.query('UPDATE users SET verified = TRUE WHERE email = $1', [email]);
-      res.json({ message: 'Email verified successfully' });
-    } else {
-      res.status(400).json({ error: 'Invalid OTP' });
-    }
+
+    const result = await otp.verify(user.id, otp.PURPOSES.VERIFY_EMAIL, code);
+    if (!result.ok) return rejectOtp(res, result);
+
+    await pool.query('UPDATE users SET verified = TRUE WHERE id = $1', [user.id]);
+    res.json({ message: 'Email verified successfully' });
   } catch (err) {
     res.status(500).json({ error: err.message });
   }
@@ -169,25 +206,11 @@ router.post('/forgot-password', async (req, res) => {
 
   try {
     const { rows } = await pool.query('SELECT * FROM users WHERE email = $1', [email]);
-    if (rows.length === 0) {
-      // Always return OK for privacy
-      return res.json({ message: "If this email exists, OTP sent" });
+    if (rows.length > 0) {
+      // A throttled request is answered the same way, for privacy
+      await sendOtp(rows[0], otp.PURPOSES.RESET_PASSWORD);
     }
-    const user = rows[0];
-    const otp = crypto.randomInt(100000, 999999).toString();
-    await pool.query('UPDATE users SET otp = $1 WHERE email = $2', [otp, email]);
-
-    // Send email with OTP
-    const mailOptions = {
-      from: process.env.EMAIL_USER,
-      to: email,
-      subject: 'NovaChain Password Reset OTP',
-      text: `Your NovaChain OTP for password reset is: ${otp}`
-    };
-    transporter.sendMail(mailOptions, (err) => {
-      if (err) console.error('❌ OTP email error:', err);
-    });
-
+    // Always return OK for privacy
     return res.json({ message: "If this email exists, OTP sent" });
   } catch (err) {
     console.error('Forgot password error', err);
@@ -197,17 +220,19 @@ router.post('/forgot-password', async (req, res) => {
 
 // --- Reset Password with OTP ---
 router.post('/reset-password', async (req, res) => {
-  const { email, otp, newPassword } = req.body;
-  if (!email || !otp || !newPassword) return res.status(400).json({ error: "All fields required" });
+  const { email, otp: code, newPassword } = req.body;
+  if (!email || !code || !newPassword) return res.status(400).json({ error: "All fields required" });
 
   try {
     const { rows } = await pool.query('SELECT * FROM users WHERE email = $1', [email]);
     if (rows.length === 0) return res.status(400).json({ error: "Invalid email or OTP" });
 
     const user = rows[0];
-    if (user.otp !== otp) return res.status(400).json({ error: "Invalid OTP" });
+    const result = await otp.verify(user.id, otp.PURPOSES.RESET_PASSWORD, code);
+    if (!result.ok) return rejectOtp(res, result);
 
-    await pool.query('UPDATE users SET password = $1, otp = NULL WHERE email = $2', [newPassword, email]);
+    // also logs the account out of every session
+    await passwords.setPassword(user.id, newPassword);
     return res.json({ message: "Password reset successful" });
   } catch (err) {
     console.error('Reset password error', err);
@@ -227,30 +252,87 @@ router.post('/resend-otp', async (req, res) => {
       return res.status(404).json({ error: 'No account with that email.' });
     }
     const user = rows[0];
+    if (user.verified) {
+      return res.status(400).json({ error: 'This account is already verified.' });
+    }
 
-    // Generate a new OTP
-    const otp = crypto.randomInt(100000, 999999).toString();
-    await pool.query('UPDATE users SET otp = $1 WHERE email = $2', [otp, email]);
-
-    // Send OTP Email
-    const mailOptions = {
-      from: process.env.EMAIL_USER,
-      to: email,
-      subject: 'NovaChain OTP Verification',
-      text: `Hello${user.username ? " " + user.username : ""}, your OTP code is: ${otp}`
-    };
-    transporter.sendMail(mailOptions, (err) => {
-      if (err) {
-        console.error('❌ OTP resend email error:', err);
-        return res.status(500).json({ error: 'Failed to send OTP email.' });
-      }
-      res.json({ message: 'OTP code resent. Please check your email.' });
-    });
+    const issued = await otp.issue(user.id, otp.PURPOSES.VERIFY_EMAIL);
+    if (!issued.ok) return rejectThrottled(res, issued);
+
+    try {
+      await sendMail({
+        to: email,
+        subject: 'NovaChain OTP Verification',
+        text: `Hello${user.username ? " " + user.username : ""}, your OTP code is: ${issued.code}\nThis code expires in ${issued.expiresInMinutes} minutes.`
+      });
+    } catch (mailErr) {
+      console.error('❌ OTP resend email error:', mailErr);
+      return res.status(500).json({ error: 'Failed to send OTP email.' });
+    }
+    res.json({ message: 'OTP code resent. Please check your email.' });
   } catch (err) {
     console.error('Resend OTP error:', err);
     res.status(500).json({ error: 'Server error, could not resend OTP.' });
   }
 });
 
+// --- Refresh: exchange a refresh token for a new token pair (rotation) ---
+router.post('/refresh', async (req, res) => {
+  const { refresh_token } = req.body;
+  if (!refresh_token) return res.status(400).json({ error: 'refresh_token is required' });
+  try {
+    const tokens = await sessions.rotate(refresh_token, clientInfo(req));
+    if (!tokens) return res.status(401).json({ error: 'Session expired or revoked. Please log in again.' });
+    res.json({ token: tokens.token, refresh_token: tokens.refresh_token });
+  } catch (err) {
+    console.error('Refresh token error:', err);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+// --- Logout: revoke the current session ---
+router.post('/logout', authenticateToken, async (req, res) => {
+  try {
+    await sessions.revoke(req.user.id, req.user.sid);
+    res.json({ success: true });
+  } catch (err) {
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+// --- Active sessions of the current user ---
+router.get('/sessions', authenticateToken, async (req, res) => {
+  try {
+    const rows = await sessions.list(req.user.id);
+    res.json({ sessions: rows.map(s => ({ ...s, current: s.id === req.user.sid })) });
+  } catch (err) {
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+// --- Revoke all sessions (including this one) ---
+router.delete('/sessions', authenticateToken, async (req, res) => {
+  try {
+    const revoked = await sessions.revokeAll(req.user.id);
+    res.json({ success: true, revoked });
+  } catch (err) {
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+// --- Revoke one session ---
+router.delete('/sessions/:id', authenticateToken, async (req, res) => {
+  if (!/^[0-9a-f-]{36}$/i.test(req.params.id)) {
+    return res.status(404).json({ error: 'Session not found' });
+  }
+  try {
+    const revoked = await sessions.revoke(req.user.id, req.params.id);
+    if (!revoked) return res.status(404).json({ error: 'Session not found' });
+    res.json({ success: true });
+  } catch (err) {
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
 
 module.exports = router;
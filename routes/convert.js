@@ -1,89 +1,10 @@
-// routes/convert.js — Free live prices version (robust, TON alias, 3 fallbacks)
+// routes/convert.js — USDT <-> coin conversions at live oracle prices
 const express = require("express");
 const router = express.Router();
 const pool = require("../db");
-const { authenticateToken } = require("../middleware/auth");
-const axios = require("axios");
-
-// Symbol -> CoinGecko ID (primary)
-const CG_ID = {
-  BTC: "bitcoin",
-  ETH: "ethereum",
-  SOL: "solana",
-  XRP: "ripple",
-  TON: "the-open-network", // some endpoints still use this, we add a toncoin fallback below
-  USDT: "tether",
-};
-
-// normalize inputs like "ton/usdt", "TONUSDT", " ton - usd "
-function normalizeSymbol(input) {
-  if (!input) return "";
-  let s = String(input).trim().toUpperCase().replace(/\s+/g, "");
-
-  // split composite pairs like "TON/USDT" or "eth-usd"
-  if (s.includes("/")) s = s.split("/")[0];
-  if (s.includes("-")) s = s.split("-")[0];
-
-  // only strip the suffix if there's something BEFORE it
-  if (s !== "USDT" && s.endsWith("USDT")) s = s.slice(0, -4);
-  if (s !== "USD"  && s.endsWith("USD"))  s = s.slice(0, -3);
-
-  return s;
-}
-
-// unified live USD price with 3 fallbacks (CoinGecko → Binance → Coinbase)
-async function getSpotUSD(symbol) {
-  const sym = normalizeSymbol(symbol);
-
-  // 1) CoinGecko (with TON alias fallback to "toncoin")
-  try {
-    let id = CG_ID[sym];
-    if (!id && sym === "TON") id = "toncoin"; // alias
-    if (id === "the-open-network") {
-      // try the canonical id first
-      try {
-        const url = `https://api.coingecko.com/api/v3/simple/price?ids=${id}&vs_currencies=usd`;
-        const { data } = await axios.get(url, { timeout: 8000 });
-        const p = Number(data?.[id]?.usd);
-        if (isFinite(p) && p > 0) return p;
-      } catch {
-        /* fall through to alias */
-      }
-      // alias attempt
-      const alias = "toncoin";
-      const url2 = `https://api.coingecko.com/api/v3/simple/price?ids=${alias}&vs_currencies=usd`;
-      const { data: d2 } = await axios.get(url2, { timeout: 8000 });
-      const p2 = Number(d2?.[alias]?.usd);
-      if (isFinite(p2) && p2 > 0) return p2;
-    } else if (id) {
-      const url = `https://api.coingecko.com/api/v3/simple/price?ids=${id}&vs_currencies=usd`;
-      const { data } = await axios.get(url, { timeout: 8000 });
-      const p = Number(data?.[id]?.usd);
-      if (isFinite(p) && p > 0) return p;
-    }
-  } catch {}
-
-  // 2) Binance (USDT proxy)
-  try {
-    const url = `https://api.binance.com/api/v3/ticker/price?symbol=${sym}USDT`;
-    const { data } = await axios.get(url, { timeout: 8000 });
-    const p = Number(data?.price);
-    if (isFinite(p) && p > 0) return p;
-  } catch {}
-
-  // 3) Coinbase (USD spot)
-  try {
-    const url = `https://api.coinbase.com/v2/prices/${sym}-USD/spot`;
-    const { data } = await axios.get(url, {
-      timeout: 8000,
-      headers: { "CB-VERSION": "2023-01-01" },
-    });
-    const p = Number(data?.data?.amount);
-    if (isFinite(p) && p > 0) return p;
-  } catch {}
-
-  throw new Error("PRICE_UNAVAILABLE");
-}
+const { authenticateToken, requireKyc } = require("../middleware/auth");
+const priceOracle = require("../services/priceOracle");
+const ledger = require("../services/ledger");
 
 // simple decimals by coin for display/storage (feel free to adjust)
 function coinDecimals(sym) {
@@ -92,13 +13,33 @@ function coinDecimals(sym) {
   return 8; // BTC/ETH/SOL etc.
 }
 
-router.post("/", authenticateToken, async (req, res) => {
+// Conversions worth more than this (USD) need an approved KYC
+const KYC_CONVERT_LIMIT_USD = Number(process.env.KYC_CONVERT_LIMIT_USD) || 1000;
+
+// Is the amount being converted worth more than the KYC limit? An invalid
+// amount is left to the route to reject. When the USD value can't be worked
+// out (unknown coin, no price) the answer is yes: KYC is required.
+async function isLargeConversion(req) {
+  const fromSym = priceOracle.normalizeSymbol(req.body.from_coin);
+  const amt = Number(req.body.amount);
+  if (!isFinite(amt) || amt <= 0) return false;
+  if (fromSym === "USDT") return amt > KYC_CONVERT_LIMIT_USD;
+  try {
+    const price = await priceOracle.getSpotUSD(fromSym);
+    if (!(price > 0)) return true;
+    return amt * price > KYC_CONVERT_LIMIT_USD;
+  } catch (err) {
+    return true;
+  }
+}
+
+router.post("/", authenticateToken, requireKyc("approved", { when: isLargeConversion }), async (req, res) => {
   try {
     const { from_coin, to_coin, amount } = req.body;
     const user_id = req.user.id;
 
-    const fromSym = normalizeSymbol(from_coin);
-    const toSym = normalizeSymbol(to_coin);
+    const fromSym = priceOracle.normalizeSymbol(from_coin);
+    const toSym = priceOracle.normalizeSymbol(to_coin);
     const amt = Number(amount);
 
     if (!fromSym || !toSym || !isFinite(amt) || amt <= 0) {
@@ -121,10 +62,10 @@ router.post("/", authenticateToken, async (req, res) => {
     let rateUSD;
     if (fromSym === "USDT") {
       // buying the target coin with USDT → need target coin USD price
-      rateUSD = await getSpotUSD(toSym);
+      rateUSD = await priceOracle.getSpotUSD(toSym);
     } else {
       // selling a coin to USDT → need that coin USD price
-      rateUSD = await getSpotUSD(fromSym);
+      rateUSD = await priceOracle.getSpotUSD(fromSym);
     }
 
     // compute received
@@ -138,36 +79,51 @@ router.post("/", authenticateToken, async (req, res) => {
       received = amt * rateUSD;
       received = Number(received.toFixed(coinDecimals("USDT")));
     }
-
-    // balance check
-    const { rows } = await pool.query(
-      "SELECT balance FROM user_balances WHERE user_id = $1 AND coin = $2",
-      [user_id, fromSym]
-    );
-    const balance = Number(rows[0]?.balance || 0);
-    if (!isFinite(balance) || balance < amt) {
-      return res.status(400).json({ error: "Insufficient balance." });
+    if (!isFinite(received) || received <= 0) {
+      return res.status(400).json({ error: "Amount too small to convert." });
     }
 
-    // update balances (simple two updates; wrap in transaction if you want strict atomicity)
-    await pool.query(
-      "UPDATE user_balances SET balance = balance - $1 WHERE user_id = $2 AND coin = $3",
-      [amt, user_id, fromSym]
-    );
-    await pool.query(
-      `INSERT INTO user_balances (user_id, coin, balance)
-       VALUES ($1, $2, $3)
-       ON CONFLICT (user_id, coin)
-       DO UPDATE SET balance = user_balances.balance + EXCLUDED.balance`,
-      [user_id, toSym, received]
-    );
-
-    // record conversion
-    await pool.query(
-      `INSERT INTO conversions (user_id, from_coin, to_coin, amount, received, rate)
-       VALUES ($1, $2, $3, $4, $5, $6)`,
-      [user_id, fromSym, toSym, amt, received, rateUSD]
-    );
+    const client = await pool.connect();
+    try {
+      await client.query("BEGIN");
+
+      // balance check
+      const { rows } = await client.query(
+        "SELECT balance FROM user_balances WHERE user_id = $1 AND coin = $2 FOR UPDATE",
+        [user_id, fromSym]
+      );
+      const balance = Number(rows[0]?.balance || 0);
+      if (!isFinite(balance) || balance < amt) {
+        await client.query("ROLLBACK");
+        return res.status(400).json({ error: "Insufficient balance." });
+      }
+
+      // record conversion
+      const { rows: convRows } = await client.query(
+        `INSERT INTO conversions (user_id, from_coin, to_coin, amount, received, rate)
+         VALUES ($1, $2, $3, $4, $5, $6) RETURNING id`,
+        [user_id, fromSym, toSym, amt, received, rateUSD]
+      );
+
+      // update balances through the journal (one leg per coin)
+      await ledger.post(client, {
+        refType: "conversion",
+        refId: convRows[0].id,
+        lines: [
+          { account: "user:main", userId: user_id, coin: fromSym, amount: -amt },
+          { account: ledger.SYSTEM.CONVERSIONS, coin: fromSym, amount: amt },
+          { account: ledger.SYSTEM.CONVERSIONS, coin: toSym, amount: -received },
+          { account: "user:main", userId: user_id, coin: toSym, amount: received },
+        ],
+      });
+
+      await client.query("COMMIT");
+    } catch (err) {
+      await client.query("ROLLBACK");
+      throw err;
+    } finally {
+      client.release();
+    }
 
     res.json({ success: true, received, rate: rateUSD });
   } catch (err) {
@@ -1,10 +1,20 @@
 const express = require('express');
 const router = express.Router();
 const pool = require('../db');
-const { authenticateToken, authenticateAdminToken } = require('../middleware/auth');
-const jwt = require('jsonwebtoken');
+const { authenticateToken, requireAdmin, isAdminRequest, verifyAccessToken } = require('../middleware/auth');
+const deposits = require('../services/deposits');
+const depositAddresses = require('../services/depositAddresses');
+const uploads = require('../services/uploads');
+const adminLists = require('../services/adminLists');
+const auditLog = require('../services/auditLog');
 require('dotenv').config();
 
+// --- User submits a deposit for review ---
+// Body: { coin, amount, address, tx_hash, screenshot }. `screenshot` is the
+// url (or path) of a file the user uploaded to the deposit bucket through
+// POST /api/upload. A transaction hash can back only one deposit; a
+// screenshot whose content was already used for another deposit is accepted
+// but flagged in the admin list.
 router.post(
   '/',
   authenticateToken,
@@ -13,46 +23,100 @@ router.post(
     const { coin, amount, address, screenshot } = req.body; 
 
     console.log("🔍 BACKEND: Received deposit request:", {
-      user_id, coin, amount, address, screenshot
+      user_id, coin, amount, address, tx_hash: req.body.tx_hash, screenshot
     });
 
-    if (!user_id || !coin || !amount || !address || !screenshot) {
+    if (!user_id || !coin || !amount || !address || !screenshot || !req.body.tx_hash) {
       console.log("❌ BACKEND: Missing required fields");
       return res.status(400).json({ error: 'Missing required fields' });
     }
+    const tx_hash = deposits.normalizeTxHash(req.body.tx_hash);
+    if (!tx_hash) {
+      return res.status(400).json({ error: 'Invalid transaction hash', code: 'INVALID_TX_HASH' });
+    }
     try {
       console.log("🔍 BACKEND: Attempting to insert into database...");
-      
+
+      const evidence = await uploads.findOwnedByUrl(uploads.DEPOSIT_BUCKET, screenshot, user_id);
+      if (!evidence) {
+        return res.status(400).json({
+          error: 'Screenshot must be a file you uploaded for this deposit',
+          code: 'INVALID_SCREENSHOT',
+        });
+      }
       const result = await pool.query(
-        `INSERT INTO deposits (user_id, coin, amount, address, screenshot, status)
-         VALUES ($1, $2, $3, $4, $5, $6) RETURNING id`,
-        [user_id, coin, amount, address, screenshot, 'pending']
+        `INSERT INTO deposits (user_id, coin, amount, address, screenshot, tx_hash, screenshot_sha256, status)
+         VALUES ($1, $2, $3, $4, $5, $6, $7, $8) RETURNING id`,
+        [user_id, coin, amount, address, evidence.url, tx_hash, evidence.sha256, 'pending']
       );
       
       console.log("✅ BACKEND: Deposit created successfully, ID:", result.rows[0].id);
       res.json({ success: true, id: result.rows[0].id });
     } catch (err) {
+      if (err.code === '23505') {
+        return res.status(409).json({
+          error: 'A deposit with this transaction hash has already been submitted',
+          code: 'DUPLICATE_TX_HASH',
+        });
+      }
       console.error("❌ BACKEND: DEPOSIT CREATE FAILED:", err);
       console.error("❌ BACKEND: SQL Error details:", err.message);
-      console.error("❌ BACKEND: SQL Query that failed:");
-      console.error(`INSERT INTO deposits (user_id, coin, amount, address, screenshot, status) VALUES (${user_id}, ${coin}, ${amount}, ${address}, ${screenshot}, 'pending')`);
       res.status(500).json({ error: 'Database error', detail: err.message });
     }
   }
 );
 
+// --- Deposit addresses for the logged-in user ---
+// Personal addresses (credited automatically once confirmed) where an
+// extended public key is configured, the shared address otherwise. Replaces
+// /api/public/deposit-addresses for logged-in users. Personal addresses not
+// created yet are listed with address: null; see the POST below.
+router.get('/addresses', authenticateToken, async (req, res) => {
+  try {
+    res.json(await depositAddresses.listForUser(req.user.id));
+  } catch (err) {
+    console.error("Deposit addresses error:", err);
+    res.status(500).json({ error: 'Failed to fetch deposit addresses' });
+  }
+});
+
+// POST /api/deposit/addresses/:coin/:network -- the user's personal address,
+// created on the first call and returned as is afterwards
+router.post('/addresses/:coin/:network', authenticateToken, async (req, res) => {
+  const coin = String(req.params.coin).toUpperCase();
+  const network = String(req.params.network).toUpperCase();
+  try {
+    const personal = await depositAddresses.getOrCreate(req.user.id, coin, network);
+    if (!personal) {
+      return res.status(404).json({ error: `No personal deposit address for ${coin} on ${network}` });
+    }
+    res.json({ coin, network, address: personal.address, qr_url: null, personal: true });
+  } catch (err) {
+    console.error("Deposit address create error:", err);
+    res.status(500).json({ error: 'Failed to create deposit address' });
+  }
+});
+
 // --- Get all deposits (SECURED for admin view or user view) ---
-router.get('/', async (req, res) => {
-  // --- Admin view (checks for x-admin-token) ---
-  if (req.headers['x-admin-token'] && req.headers['x-admin-token'] === process.env.ADMIN_API_TOKEN) {
+// Admin view: requests with an admin bearer token. Paged and filtered, see
+// services/adminLists.js.
+router.get(
+  '/',
+  (req, res, next) => (isAdminRequest(req) ? next() : next('route')),
+  requireAdmin('deposits:read'),
+  async (req, res) => {
     try {
-      const result = await pool.query('SELECT * FROM deposits ORDER BY created_at DESC');
-      return res.json(result.rows);
+      // paged, with duplicate-screenshot flags for review
+      return res.json(await adminLists.deposits(req.query));
     } catch (err) {
+      if (err.status) return res.status(err.status).json({ error: err.message });
       return res.status(500).json({ error: 'Database error (admin)' });
     }
   }
+);
 
+// User view: own deposits only
+router.get('/', async (req, res) => {
   // --- User view (checks for JWT) ---
   try {
     if (!req.headers.authorization) {
@@ -61,7 +125,7 @@ router.get('/', async (req, res) => {
     let user_id = null;
     try {
       const token = req.headers.authorization.split(' ')[1];
-      const decoded = jwt.verify(token, process.env.JWT_SECRET);
+      const decoded = await verifyAccessToken(token);
       user_id = decoded.id || decoded.user_id;
     } catch (e) {
       return res.status(401).json({ error: "User not authenticated" });
@@ -78,10 +142,11 @@ router.get('/', async (req, res) => {
   }
 });
 
-// --- Admin: Approve/Reject deposit by id (SECURED + FIXED) ---
+// --- Admin: Approve/Reject deposit by id ---
+// Same review as POST /api/admin/deposits/:id/status (services/deposits.js)
 router.put(
   '/:id/status',
-  authenticateAdminToken,
+  requireAdmin('deposits:review'),
   async (req, res) => {
     const { status } = req.body;
     const { id } = req.params;
@@ -92,52 +157,25 @@ router.put(
     const client = await pool.connect();
 
     try {
-      const { rows } = await client.query('SELECT * FROM deposits WHERE id = $1 FOR UPDATE', [id]);
-      const deposit = rows[0];
-      if (!deposit) return res.status(404).json({ error: "Deposit not found" });
-
-      if (deposit.status === "approved" || deposit.status === "rejected") {
-        return res.status(400).json({ error: `Deposit is already ${deposit.status}` });
-      }
-
       await client.query('BEGIN');
 
-      await client.query('UPDATE deposits SET status = $1 WHERE id = $2', [status, id]);
-
-      if (status === "approved") {
-        await client.query(
-          `INSERT INTO user_balances (user_id, coin, balance)
-           VALUES ($1, $2, $3)
-           ON CONFLICT (user_id, coin) DO UPDATE
-           SET balance = user_balances.balance + EXCLUDED.balance`,
-          [deposit.user_id, deposit.coin, deposit.amount]
-        );
-
-        const { rows: balanceRows } = await client.query(
-          `SELECT balance FROM user_balances WHERE user_id = $1 AND coin = $2`,
-          [deposit.user_id, deposit.coin]
-        );
-        const newBalance = balanceRows[0] ? parseFloat(balanceRows[0].balance) : 0;
-
-        let price_usd = 1;
-        if (deposit.coin !== "USDT") {
-          const { rows: priceRows } = await client.query(
-            `SELECT price_usd FROM prices WHERE symbol = $1 ORDER BY updated_at DESC LIMIT 1`,
-            [deposit.coin]
-          );
-          price_usd = priceRows[0] ? parseFloat(priceRows[0].price_usd) : 1;
-          if (!price_usd || isNaN(price_usd)) price_usd = 1;
-        }
-
-        await client.query(
-          `INSERT INTO balance_history (user_id, coin, balance, price_usd, timestamp)
-           VALUES ($1, $2, $3, $4, NOW())`,
-          [deposit.user_id, deposit.coin, newBalance, price_usd]
-        );
+      const result = await deposits.review(client, id, status);
+      if (!result.ok) {
+        await client.query('ROLLBACK');
+        const { status: code, body } = deposits.failureResponse(result, status);
+        return res.status(code).json(body);
+      }
+      if (!result.unchanged) {
+        await auditLog.record(client, req, {
+          action: 'deposit.status',
+          targetType: 'deposit',
+          targetId: result.deposit.id,
+          before: { status: result.before },
+          after: { status },
+        });
       }
-
       await client.query('COMMIT');
-      res.json({ success: true, message: `Deposit ${id} ${status}` });
+      res.json({ success: true, unchanged: result.unchanged, message: `Deposit ${id} ${status}` });
 
     } catch (err) {
       await client.query('ROLLBACK');
@@ -3,7 +3,8 @@
 const express = require('express');
 const router = express.Router();
 const pool = require('../db'); // Use 'pool' to match your balance.js
-const { authenticateToken } = require('../middleware/auth'); // Use 'authenticateToken' to match your balance.js
+const { authenticateToken, requireKyc } = require('../middleware/auth'); // Use 'authenticateToken' to match your balance.js
+const ledger = require('../services/ledger');
 
 // ---
 // GET /api/earn/balance
@@ -30,8 +31,9 @@ router.get('/balance', authenticateToken, async (req, res) => {
 // ---
 // POST /api/earn/deposit (Save)
 // Moves funds from the main 'user_balances' wallet to the 'earn_wallet'
+// Needs an approved KYC
 // ---
-router.post('/deposit', authenticateToken, async (req, res) => {
+router.post('/deposit', authenticateToken, requireKyc('approved'), async (req, res) => {
   const userId = req.user.id;
   const { coin, amount } = req.body;
   const depositAmount = parseFloat(amount);
@@ -57,22 +59,23 @@ router.post('/deposit', authenticateToken, async (req, res) => {
       return res.status(400).json({ success: false, error: "Insufficient funds in main wallet." });
     }
 
-    // 2. Subtract from MAIN wallet (user_balances)
-    await client.query(
-      "UPDATE user_balances SET balance = balance - $1 WHERE user_id = $2 AND coin = $3",
-      [depositAmount, userId, coin]
-    );
-
-    // 3. Add to EARN wallet (using PostgreSQL's ON CONFLICT)
-    await client.query(
-      `INSERT INTO earn_wallet (user_id, coin, balance) 
-       VALUES ($1, $2, $3) 
-       ON CONFLICT (user_id, coin) 
-       DO UPDATE SET balance = earn_wallet.balance + $3`,
+    // 2. Move from MAIN wallet (user_balances) to EARN wallet (earn_wallet)
+    const { rows: transferRows } = await client.query(
+      `INSERT INTO earn_transfers (user_id, coin, amount, direction)
+       VALUES ($1, $2, $3, 'deposit') RETURNING id`,
       [userId, coin, depositAmount]
     );
-
-    // 4. If all good, commit the transaction
+    await ledger.post(client, {
+      refType: 'earn_transfer',
+      refId: transferRows[0].id,
+      memo: 'earn deposit',
+      lines: [
+        { account: 'user:main', userId, coin, amount: -depositAmount },
+        { account: 'user:earn', userId, coin, amount: depositAmount },
+      ],
+    });
+
+    // 3. If all good, commit the transaction
     await client.query('COMMIT');
     res.json({ success: true });
 
@@ -115,23 +118,23 @@ router.post('/withdraw', authenticateToken, async (req, res) => {
       return res.status(400).json({ success: false, error: "Insufficient funds in savings." });
     }
 
-    // 2. Subtract from EARN wallet
-    await client.query(
-      "UPDATE earn_wallet SET balance = balance - $1 WHERE user_id = $2 AND coin = $3",
-      [redeemAmount, userId, coin]
-    );
-
-    // 3. Add to MAIN wallet (user_balances)
-    // This assumes your user_balances table ALSO has a unique key on (user_id, coin)
-    await client.query(
-      `INSERT INTO user_balances (user_id, coin, balance) 
-       VALUES ($1, $2, $3) 
-       ON CONFLICT (user_id, coin) 
-       DO UPDATE SET balance = user_balances.balance + $3`,
+    // 2. Move from EARN wallet back to MAIN wallet (user_balances)
+    const { rows: transferRows } = await client.query(
+      `INSERT INTO earn_transfers (user_id, coin, amount, direction)
+       VALUES ($1, $2, $3, 'withdraw') RETURNING id`,
       [userId, coin, redeemAmount]
     );
-
-    // 4. If all good, commit the transaction
+    await ledger.post(client, {
+      refType: 'earn_transfer',
+      refId: transferRows[0].id,
+      memo: 'earn withdraw',
+      lines: [
+        { account: 'user:earn', userId, coin, amount: -redeemAmount },
+        { account: 'user:main', userId, coin, amount: redeemAmount },
+      ],
+    });
+
+    // 3. If all good, commit the transaction
     await client.query('COMMIT');
     res.json({ success: true });
 
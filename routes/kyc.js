@@ -2,77 +2,92 @@ const express = require('express');
 const router = express.Router();
 const pool = require('../db');
 const multer = require('multer');
-const { authenticateToken } = require('../middleware/auth'); // Adjust path if needed
-const supabase = require('../utils/supabaseClient');
+const { authenticateToken, requireAdmin } = require('../middleware/auth'); // Adjust path if needed
+const kyc = require('../services/kyc');
 
 
 // Multer in-memory storage (not disk)
-const upload = multer({ storage: multer.memoryStorage() });
+const upload = multer({ storage: multer.memoryStorage(), limits: { fileSize: kyc.FILE_SPEC.maxBytes } });
 
-// --------- Submit new KYC (User uploads selfie + id_card) ---------
+// --------- Submit new KYC (User uploads selfie + id_card [+ id_card_back]) ---------
+// Body: document_type (passport | national_id | drivers_licence), country
+// (ISO alpha-2), document_number, first_name, last_name, date_of_birth
+// (YYYY-MM-DD). Each submission is kept; see services/kyc.js.
 router.post(
   '/',
   authenticateToken,
   upload.fields([
     { name: 'selfie', maxCount: 1 },
-    { name: 'id_card', maxCount: 1 }
+    { name: 'id_card', maxCount: 1 },
+    { name: 'id_card_back', maxCount: 1 }
   ]),
   async (req, res) => {
     const user_id = req.user.id;
     const selfieFile = req.files?.selfie ? req.files.selfie[0] : null;
     const idCardFile = req.files?.id_card ? req.files.id_card[0] : null;
+    const idCardBackFile = req.files?.id_card_back ? req.files.id_card_back[0] : null;
 
     if (!selfieFile || !idCardFile) {
       return res.status(400).json({ error: 'Missing required files' });
     }
+    for (const file of [selfieFile, idCardFile, idCardBackFile]) {
+      if (!file) continue;
+      const checked = kyc.validateFile(file);
+      if (!checked.ok) return res.status(checked.status).json({ error: `${file.fieldname}: ${checked.error}` });
+    }
+    let details;
     try {
-        // Block resubmission while already under review or verified
-     const current = await pool.query(
-       "SELECT kyc_status FROM users WHERE id = $1",
-       [user_id]
-     );
-     const nowStatus = (current.rows?.[0]?.kyc_status || "unverified").toLowerCase();
-     if (nowStatus === "pending" || nowStatus === "approved") {
-       return res.status(409).json({ error: 'Already under automated review' });
-     }
-
-      // Unique filenames for KYC files
-      const selfieFilename = `${user_id}-selfie-${Date.now()}-${selfieFile.originalname.replace(/\s/g, "_")}`;
-      const idCardFilename = `${user_id}-idcard-${Date.now()}-${idCardFile.originalname.replace(/\s/g, "_")}`;
-
-      // Upload selfie to Supabase
-      const { error: selfieError } = await supabase.storage.from('kyc').upload(selfieFilename, selfieFile.buffer, {
-        contentType: selfieFile.mimetype,
-        upsert: true,
-      });
-      // Upload id_card to Supabase
-      const { error: idCardError } = await supabase.storage.from('kyc').upload(idCardFilename, idCardFile.buffer, {
-        contentType: idCardFile.mimetype,
-        upsert: true,
-      });
-      if (selfieError || idCardError) {
-        return res.status(500).json({ error: selfieError?.message || idCardError?.message });
+      details = kyc.validateDetails(req.body);
+    } catch (err) {
+      return res.status(err.status || 400).json({ error: err.message });
+    }
+    try {
+      // Block resubmission while already under review or verified
+      const current = await pool.query(
+        "SELECT kyc_status FROM users WHERE id = $1",
+        [user_id]
+      );
+      const nowStatus = (current.rows?.[0]?.kyc_status || "unverified").toLowerCase();
+      if (nowStatus === "pending" || nowStatus === "approved") {
+        return res.status(409).json({ error: nowStatus === "pending" ? 'Already under review' : 'Already verified' });
       }
 
-      // Get public URLs
-      const { data: selfieUrlObj } = supabase.storage.from('kyc').getPublicUrl(selfieFilename);
-      const { data: idCardUrlObj } = supabase.storage.from('kyc').getPublicUrl(idCardFilename);
+      // Store each file in the private bucket; only the keys go into the DB
+      const keys = {};
+      try {
+        for (const [field, file] of [['selfie', selfieFile], ['id_card', idCardFile], ['id_card_back', idCardBackFile]]) {
+          if (file) keys[field] = await kyc.storeFile(user_id, field, file);
+        }
+      } catch (err) {
+        await kyc.removeFiles(Object.values(keys));
+        throw err;
+      }
 
-      // Save public URLs to DB
-      await pool.query(
-        `UPDATE users
-         SET kyc_status = 'pending', kyc_selfie = $1, kyc_id_card = $2
-         WHERE id = $3`,
-        [selfieUrlObj.publicUrl, idCardUrlObj.publicUrl, user_id]
-      );
-      res.json({ success: true, selfieUrl: selfieUrlObj.publicUrl, idCardUrl: idCardUrlObj.publicUrl });
+      const client = await pool.connect();
+      try {
+        await client.query('BEGIN');
+        const submission = await kyc.submit(client, user_id, details, keys);
+        await client.query('COMMIT');
+        res.json({ success: true, submission_id: submission.id, status: submission.status });
+      } catch (err) {
+        await client.query('ROLLBACK');
+        // nothing references the stored files now
+        await kyc.removeFiles(Object.values(keys));
+        throw err;
+      } finally {
+        client.release();
+      }
     } catch (err) {
-      res.status(500).json({ error: 'Database error' });
+      if (err.status) return res.status(err.status).json({ error: err.message });
+      console.error("KYC submit error:", err);
+      res.status(500).json({ error: 'Could not store KYC submission' });
     }
   }
 );
 
 // --------- Get KYC status (user, JWT protected) ---------
+// The current status plus the latest submission, with the rejection reason
+// when it was turned down.
 router.get('/status', authenticateToken, async (req, res) => {
   const user_id = req.user.id;
   try {
@@ -81,27 +96,31 @@ router.get('/status', authenticateToken, async (req, res) => {
       [user_id]
     );
     if (!rows[0]) return res.json({ status: "unverified" });
-    res.json({ status: rows[0].kyc_status || "unverified" });
+    const latest = await kyc.latestFor(user_id);
+    res.json({
+      status: rows[0].kyc_status || "unverified",
+      rejection_reason: latest && latest.status === 'rejected' ? latest.rejection_reason : null,
+      submission: latest,
+    });
   } catch (err) {
     res.status(500).json({ error: 'Database error' });
   }
 });
 
-// --------- ADMIN: Approve/Reject KYC status ---------
-router.post('/admin/status', async (req, res) => {
-  const { user_id, status } = req.body;
-  if (!user_id || !['approved', 'rejected', 'pending'].includes(status)) {
-    return res.status(400).json({ error: "Invalid input" });
-  }
+// --------- Get KYC submission history (user, JWT protected) ---------
+router.get('/submissions', authenticateToken, async (req, res) => {
   try {
-    await pool.query(
-      `UPDATE users SET kyc_status = $1 WHERE id = $2`,
-      [status, user_id]
-    );
-    res.json({ success: true });
+    res.json(await kyc.historyFor(req.user.id));
   } catch (err) {
-    res.status(500).json({ error: "Database error" });
+    res.status(500).json({ error: 'Database error' });
   }
 });
 
+// --------- ADMIN: Approve/Reject a KYC submission ---------
+// Same handler as POST /api/admin/kyc-status; see kyc.reviewRequest.
+router.post('/admin/status', requireAdmin('kyc:review'), async (req, res) => {
+  const { status, body } = await kyc.reviewRequest(req);
+  res.status(status).json(body);
+});
+
 module.exports = router;
@@ -3,15 +3,9 @@ const router = express.Router();
 const pool = require('../db');
 const { authenticateToken } = require('../middleware/auth');
 const multer = require('multer');
-const fs = require('fs');
-const path = require('path');
-const bcrypt = require('bcrypt');
-const { createClient } = require('@supabase/supabase-js');
-const supabase = createClient(process.env.SUPABASE_URL, process.env.SUPABASE_SERVICE_KEY);
-
-// Ensure uploads dir exists
-const UPLOADS_DIR = path.join(__dirname, '../uploads');
-if (!fs.existsSync(UPLOADS_DIR)) fs.mkdirSync(UPLOADS_DIR);
+const passwords = require('../services/passwords');
+const storage = require('../services/storage');
+const uploads = require('../services/uploads');
 
 // Multer storage, limits and file type filter
 const upload = multer({
@@ -44,10 +38,10 @@ router.get('/', authenticateToken, async (req, res) => {
 
     let avatarUrl = "/logo192_new.png";
     if (row.avatar && typeof row.avatar === "string" && row.avatar.length > 0) {
-      // Always serve public URL directly
-      avatarUrl = row.avatar.startsWith("http")
+      // Stored as a full URL (older uploads) or as the key in the avatar bucket
+      avatarUrl = row.avatar.startsWith("http") || row.avatar.startsWith("/")
         ? row.avatar
-        : `https://zgnefojwdijycgcqngke.supabase.co/storage/v1/object/public/avatar/${row.avatar}?t=${Date.now()}`;
+        : `${storage.publicUrl('avatar', row.avatar)}?t=${Date.now()}`;
     }
 
     res.json({
@@ -84,47 +78,38 @@ router.post('/avatar', authenticateToken, async (req, res, next) => {
   next();
 });
 
-// 2. Handle multipart upload avatar update (SUPABASE VERSION)
+// 2. Handle multipart upload avatar update (services/storage)
 router.post('/avatar', authenticateToken, upload.single('avatar'), async (req, res) => {
   const userId = req.user.id;
   if (!req.file) return res.status(400).json({ error: "No file uploaded" });
+  const checked = uploads.validate('avatar', req.file);
+  if (!checked.ok) return res.status(checked.status).json({ error: checked.error });
 
   try {
     // Build unique filename for storage
-    const ext = path.extname(req.file.originalname);
-    const supabaseFilename = `${userId}-${Date.now()}${ext}`;
-
-    // Upload file buffer to Supabase Storage "avatar" bucket
-    const { error: uploadError } = await supabase.storage
-      .from('avatar')
-      .upload(supabaseFilename, req.file.buffer, {
-        contentType: req.file.mimetype,
-        upsert: true
-      });
-
-    if (uploadError) {
-      return res.status(500).json({ error: "Failed to upload to Supabase Storage" });
+    const avatarKey = `${userId}-${Date.now()}.${checked.extension}`;
+
+    // Store the file in the "avatar" bucket
+    try {
+      await storage.put('avatar', avatarKey, req.file.buffer, { contentType: checked.contentType, upsert: true });
+    } catch (err) {
+      return res.status(500).json({ error: "Failed to store avatar" });
     }
 
-    // Delete old avatar from Supabase Storage (optional, for cleanup)
+    // Delete old avatar from storage (optional, for cleanup)
     const { rows } = await pool.query("SELECT avatar FROM users WHERE id = $1", [userId]);
     const oldAvatar = rows[0]?.avatar;
-    if (oldAvatar && oldAvatar !== supabaseFilename) {
-      await supabase.storage.from('avatar').remove([oldAvatar]).catch(()=>{});
+    if (oldAvatar && oldAvatar !== avatarKey && !oldAvatar.startsWith("http") && !oldAvatar.startsWith("/")) {
+      await storage.remove('avatar', [oldAvatar]).catch(()=>{});
     }
 
-    // Update DB with new Supabase storage path (just the filename)
+    // Update DB with the new storage key (just the filename)
     await pool.query(
       "UPDATE users SET avatar = $1 WHERE id = $2",
-      [supabaseFilename, userId]
+      [avatarKey, userId]
     );
 
-    // Get public URL
-    const { data: publicUrlData } = supabase.storage
-      .from('avatar')
-      .getPublicUrl(supabaseFilename);
-
-    res.json({ success: true, avatar: publicUrlData.publicUrl });
+    res.json({ success: true, avatar: storage.publicUrl('avatar', avatarKey) });
   } catch (err) {
     res.status(500).json({ error: err.message || "Failed to update avatar" });
   }
@@ -146,20 +131,14 @@ router.post('/change-password', authenticateToken, async (req, res) => {
       return res.status(400).json({ error: "Incorrect old password" });
     }
 
-    let match = false;
-    if (stored.startsWith("$2")) {
-      match = await bcrypt.compare(old_password, stored);
-    } else {
-      match = (old_password === stored);
-    }
-
+    const match = await passwords.verify(old_password, stored);
     if (!match) {
       return res.status(400).json({ error: "Incorrect old password" });
     }
 
-    const newHash = await bcrypt.hash(new_password, 10);
-    await pool.query("UPDATE users SET password = $1 WHERE id = $2", [newHash, userId]);
-    res.json({ success: true, message: "Password changed successfully" });
+    // every session (this one included) is revoked; the client logs in again
+    await passwords.setPassword(userId, new_password);
+    res.json({ success: true, message: "Password changed successfully. Please log in again.", relogin: true });
   } catch (err) {
     res.status(500).json({ error: "Failed to change password" });
   }
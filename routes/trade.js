@@ -1,32 +1,17 @@
-// routes/trade.js — FREE live pricing (CoinGecko + Binance)
+// routes/trade.js — prices come from services/priceOracle
 require("dotenv").config();
 const express = require("express");
 const router = express.Router();
-const axios = require("axios");
 const pool = require("../db");
-const { authenticateToken } = require("../middleware/auth"); // keep if used
+const ledger = require("../services/ledger");
+const priceOracle = require("../services/priceOracle");
+const adminLists = require("../services/adminLists");
+const { authenticateToken, requireAdmin } = require("../middleware/auth");
 
 /* -------------------- Helpers -------------------- */
 const ALLOWED_COINS = ["BTC", "ETH", "SOL", "XRP", "TON"];
 const ALLOWED_FOREX = ["XAU", "XAG", "WTI", "NATGAS", "XCU"];
 
-// Normalize "btc/usdt", "BTCUSDT", "btc-usdt" -> "BTC"
-function normalizeSymbol(input) {
-  if (!input) return "";
-  let s = String(input).trim().toUpperCase().replace(/\s+/g, "");
-
-  // split composite pairs like "TON/USDT" or "eth-usd"
-  if (s.includes("/")) s = s.split("/")[0];
-  if (s.includes("-")) s = s.split("-")[0];
-
-  // only strip the suffix if there's something BEFORE it
-  if (s !== "USDT" && s.endsWith("USDT")) s = s.slice(0, -4);
-  if (s !== "USD"  && s.endsWith("USD"))  s = s.slice(0, -3);
-
-  return s;
-}
-
-
 // "buy"/"sell" -> "BUY"/"SELL"
 function normalizeDirection(input) {
   const d = String(input || "").trim().toUpperCase();
@@ -36,144 +21,6 @@ function normalizeDirection(input) {
   return d.includes("SELL") ? "SELL" : "BUY";
 }
 
-const TWELVE_API_KEY = process.env.TWELVE_API_KEY;
-
-// API Symbol -> Twelve Data Symbol (must be UPPERCASE)
-const TWELVE_SYMBOL = {
-  XAU: "XAU/USD",
-  XAG: "XAG/USD",
-  WTI: "CL=F",
-  NATGAS: "NG=F",
-  XCU: "HG=F",
-};
-
-// Helper to check if it's a known Forex/Commodity
-function isForexOrCommodity(sym) {
-  return !!TWELVE_SYMBOL[sym]; // Check uppercase symbol
-}
-
-async function getSpotUSD(symbol) {
-  const sym = String(symbol || "").toUpperCase(); // sym is "BTC", "XAU", etc.
-
-  // --- Check if Forex/Commodity (Twelve Data) ---
-  if (isForexOrCommodity(sym)) {
-    try {
-      if (!TWELVE_API_KEY) throw new Error("Twelve Data API Key not configured");
-      const twelveSymbol = TWELVE_SYMBOL[sym]; // e.g., "XAU/USD"
-      const priceUrl = `https://api.twelvedata.com/price?symbol=${twelveSymbol}&apikey=${TWELVE_API_KEY}`;
-      
-      console.log(`Fetching Twelve Data price for ${sym} (${twelveSymbol})`);
-      const { data: priceResponse } = await axios.get(priceUrl, { timeout: 7000 });
-      
-      const price = Number(priceResponse?.price);
-      if (isFinite(price) && price > 0) {
-        console.log(`Success (Twelve Data) ${sym}: ${price}`);
-        return price;
-      }
-      throw new Error("Invalid price from Twelve Data");
-    } catch (err) {
-      console.error(`Twelve Data fetch failed for ${sym}: ${err.message}`);
-      // Throw error because we know it's not crypto
-      throw new Error(`LIVE_PRICE_UNAVAILABLE (Forex: ${sym})`);
-    }
-  }
-
-  // --- Check if Crypto (CoinGecko, Binance, Coinbase) ---
-  const cgId = CG_ID[sym];
-  if (cgId) {
-    try {
-      const url = `https://api.coingecko.com/api/v3/simple/price?ids=${cgId}&vs_currencies=usd`;
-      const { data } = await axios.get(url, { timeout: 7000 });
-      const price = Number(data?.[cgId]?.usd);
-      if (isFinite(price) && price > 0) return price;
-    } catch {}
-  }
-
-  // ----- Binance Fallback -----
-  try {
-    const url = `https://api.binance.com/api/v3/ticker/price?symbol=${sym}USDT`;
-    const { data } = await axios.get(url, { timeout: 7000 });
-    const price = Number(data?.price);
-    if (isFinite(price) && price > 0) return price;
-  } catch {}
-
-  // ----- Coinbase Fallback -----
-  try {
-    const url = `https://api.coinbase.com/v2/prices/${sym}-USD/spot`;
-    const { data } = await axios.get(url, {
-      timeout: 7000,
-      headers: { "CB-VERSION": "2023-01-01" },
-    });
-    const price = Number(data?.data?.amount);
-    if (isFinite(price) && price > 0) return price;
-  } catch {}
-
-  throw new Error(`LIVE_PRICE_UNAVAILABLE (Crypto/All: ${sym})`);
-}
-
-// --- Fake result price helpers (tiny, realistic gap) ---
-function _priceDecimals(sym) {
-  if (sym === "XRP" || sym === "TON") return 4;
-  // All Commodities use 2 decimals
-  if (ALLOWED_FOREX.includes(sym)) return 2;
-  // Default (BTC, ETH, SOL)
-  return 2;
-}
-// WITH THIS (and pass 'sym' as an argument):
-function _calcGap(startPrice, sym) {
-  const pct = 0.0002 + Math.random() * 0.0006; // 0.02%–0.08%
-  let minTick;
-
-  if (ALLOWED_FOREX.includes(sym)) {
-    minTick = 0.01; // e.g., Gold $3978.37 -> $3978.38
-  } else if (sym === "XRP" || sym === "TON") {
-    minTick = 0.0001;
-  } else if (sym === "SOL") {
-    minTick = 0.01;
-  } else {
-    minTick = 0.1; // Default for BTC, ETH
-  }
-  
-  const raw = startPrice * pct;
-  return Math.max(raw, minTick);
-}
-function _fakeResultPrice(startPrice, direction, result, symbol) {
-  const gap = _calcGap(startPrice);
-  let p;
-  if (result === "WIN") {
-    p = direction === "BUY" ? startPrice + gap : startPrice - gap;
-  } else {
-    p = direction === "BUY" ? startPrice - gap : startPrice + gap;
-  }
-  return Number(p.toFixed(_priceDecimals(symbol)));
-}
-
-async function getUserTradeMode(user_id) {
-  const { rows } = await pool.query("SELECT mode FROM user_trade_modes WHERE user_id = $1", [user_id]);
-  return (rows[0] && rows[0].mode) || null;
-}
-async function getTradeMode() {
-  const { rows } = await pool.query("SELECT value FROM settings WHERE key = 'TRADE_MODE'");
-  return (rows[0] && rows[0].value) || "AUTO";
-}
-
-/* -------------------- Admin: set global trade mode -------------------- */
-router.post("/set-trade-mode", async (req, res) => {
-  const { mode } = req.body;
-  if (!["AUTO", "ALL_WIN", "ALL_LOSE"].includes(mode)) {
-    return res.status(400).json({ error: "Invalid trade mode" });
-  }
-  try {
-    await pool.query(
-      "INSERT INTO settings (key, value) VALUES ('TRADE_MODE', $1) ON CONFLICT (key) DO UPDATE SET value = EXCLUDED.value",
-      [mode]
-    );
-    res.json({ success: true, mode });
-  } catch {
-    res.status(500).json({ error: "Failed to update mode" });
-  }
-});
-
 /* -------------------- POST /api/trade -------------------- */
 router.post("/", async (req, res) => {
   try {
@@ -182,7 +29,7 @@ router.post("/", async (req, res) => {
       return res.status(400).json({ error: "Missing trade data" });
     }
 
-    const normSymbol = normalizeSymbol(symbol || "BTC");  // e.g., "BTC"
+    const normSymbol = priceOracle.normalizeSymbol(symbol || "BTC");  // e.g., "BTC"
     const normDirection = normalizeDirection(direction);  // "BUY"/"SELL"
 
     if (!ALLOWED_COINS.includes(normSymbol) && !ALLOWED_FOREX.includes(normSymbol)) {
@@ -192,164 +39,73 @@ router.post("/", async (req, res) => {
     const safeDuration = Math.max(5, Math.min(120, Number(duration)));
     const safeAmount = Math.max(1, Number(amount));
 
-    // Check user and balance
+    // Check user (the balance is checked under lock below)
     const userRes = await pool.query("SELECT * FROM users WHERE id = $1", [user_id]);
     const user = userRes.rows[0];
     if (!user) return res.status(404).json({ error: "User not found" });
 
-    const usdtRes = await pool.query(
-      "SELECT * FROM user_balances WHERE user_id = $1 AND coin = 'USDT'",
-      [user_id]
-    );
-    const usdt = usdtRes.rows[0];
-    if (!usdt || parseFloat(usdt.balance) < safeAmount) {
-      return res.status(400).json({ error: "Insufficient USDT" });
+    // 1) Start quote: trades only open on a real market price
+    let startQuote;
+    try {
+      startQuote = await priceOracle.getQuote(normSymbol, { maxAgeMs: 2000 });
+    } catch (err) {
+      return res.status(503).json({ error: "LIVE_PRICE_UNAVAILABLE", symbol: normSymbol });
     }
+    const start_price = startQuote.price;
 
-// (optional) client-side price from the UI we can trust as a last resort
-const client_price = Number(req.body.client_price);
-
-let start_price = NaN;
-try {
-  start_price = await getSpotUSD(normSymbol);
-} catch { /* fall through */ }
-
-// If server fetch failed, but client provided a sane price, use it
-if (!isFinite(start_price) || start_price <= 0) {
-  if (isFinite(client_price) && client_price > 0) {
-    start_price = client_price;
-  } else {
-    // final hard fallback so trades never break
-    const fallback = { BTC: 65000, ETH: 3400, SOL: 140, XRP: 0.6, TON: 7.0 };
-    start_price = fallback[normSymbol] || 1;
-  }
-}
-
-// normalize decimals for display consistency
-const entryDecimals = (normSymbol === "XRP" || normSymbol === "TON") ? 4 : 2;
-start_price = Number(start_price.toFixed(entryDecimals));
-
-
-    // 2) Deduct stake
-    await pool.query(
-      "UPDATE user_balances SET balance = balance - $1 WHERE user_id = $2 AND coin = 'USDT'",
-      [safeAmount, user_id]
-    );
-
-    // 3) Save pending trade
+    // 2) Save pending trade and deduct stake (one transaction)
     const timestamp = new Date().toISOString();
-    const insertTradeRes = await pool.query(
-      `INSERT INTO trades 
-        (user_id, symbol, direction, amount, duration, start_price, result, profit, result_price, timestamp)
-        VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10)
-        RETURNING id`,
-      [user.id, normSymbol, normDirection, safeAmount, safeDuration, start_price, "PENDING", 0, null, timestamp]
-    );
-    const trade_id = insertTradeRes.rows[0].id;
-
-// 4) Finish trade after countdown using ADMIN/AUTO mode and FAKE result price
-setTimeout(async () => {
-  try {
-    // mode (user override > global)
-    let mode = await getUserTradeMode(user_id);
-    if (!mode) mode = await getTradeMode();
-
-    // WITH THIS (Fixed Payout Map):
-    // Fixed Payout Map from Frontend UI (in decimal)
-    const FIXED_PROFIT_MAP = {
-      30: 0.30,  // 30%
-      60: 0.50,  // 50%
-      90: 0.70,  // 70%
-      120: 1.00, // 100%
-    };
-
-    // Calculate payout percent from the fixed map
-    // Default to 30% if duration is not 30, 60, 90, or 120 (e.g., if safeDuration was clamped to 5s)
-    let profitRate = FIXED_PROFIT_MAP[safeDuration] || 0.30; 
-    
-    // Convert rate to percentage (e.g., 0.30 -> 30)
-    let percent = profitRate * 100;
-
-    // We may still look at the market to decide AUTO result,
-    // but we will NOT use it for displayed result_price.
-    let end_price_for_decision = start_price;
+    let trade_id;
+    const client = await pool.connect();
     try {
-      end_price_for_decision = await getSpotUSD(normSymbol);
-    } catch {
-      /* ignore – fall back to start_price for decision */
-    }
-
-    // decide result
-    let result;
-    if (mode === "WIN" || mode === "ALL_WIN") {
-      result = "WIN";
-    } else if (mode === "LOSE" || mode === "ALL_LOSE") {
-      result = "LOSE";
-    } else {
-      const wentUp = end_price_for_decision >= start_price;
-      const buyWins = normDirection === "BUY" && wentUp;
-      const sellWins = normDirection === "SELL" && !wentUp;
-      result = (buyWins || sellWins) ? "WIN" : "LOSE";
-    }
-
-    // compute profit (binary: win = +amount * percent, loss = -amount)
-    let profit = Number((safeAmount * percent / 100).toFixed(2));
-    if (result === "LOSE") profit = -safeAmount;
-
-// --- compute a tiny, realistic fake result price around start_price ---
-const _priceDecimals = (sym) => (sym === "XRP" || sym === "TON") ? 4 : 2;
-const _calcGap = (sp) => {
-  const pct = 0.0002 + Math.random() * 0.0006; // 0.02%–0.08%
-  const minTick = sp < 2 ? 0.0001 : sp < 100 ? 0.01 : 0.1;
-  const raw = sp * pct;
-  return Math.max(raw, minTick);
-};
-const _gap = _calcGap(start_price, normSymbol);
+      await client.query("BEGIN");
 
-// If WIN: BUY -> higher than start, SELL -> lower than start
-// If LOSS: invert the direction relative to start
-let _rp = start_price;
-if (result === "WIN") {
-  _rp = (normDirection === "BUY") ? start_price + _gap : start_price - _gap;
-} else {
-  _rp = (normDirection === "BUY") ? start_price - _gap : start_price + _gap;
-}
-const result_price = Number(_rp.toFixed(_priceDecimals(normSymbol)));
-
-    // persist settlement
-    await pool.query(
-      `UPDATE trades SET result = $1, profit = $2, result_price = $3 WHERE id = $4`,
-      [result, profit, result_price, trade_id]
-    );
+      // balance check, locked so concurrent trades or a withdrawal freeze can't overdraw
+      const usdtRes = await client.query(
+        "SELECT balance FROM user_balances WHERE user_id = $1 AND coin = 'USDT' FOR UPDATE",
+        [user.id]
+      );
+      const usdt = usdtRes.rows[0];
+      if (!usdt || parseFloat(usdt.balance) < safeAmount) {
+        await client.query("ROLLBACK");
+        return res.status(400).json({ error: "Insufficient USDT" });
+      }
 
-    // credit if win: return stake + profit (stake was already deducted at entry)
-    if (result === "WIN") {
-      await pool.query(
-        `UPDATE user_balances SET balance = balance + $1 WHERE user_id = $2 AND coin = 'USDT'`,
-        [safeAmount + profit, user_id]
+      const insertTradeRes = await client.query(
+        `INSERT INTO trades 
+          (user_id, symbol, direction, amount, duration, start_price, start_price_source, start_price_at,
+           result, profit, result_price, timestamp, expires_at)
+          VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, NOW() + make_interval(secs => $13))
+          RETURNING id`,
+        [user.id, normSymbol, normDirection, safeAmount, safeDuration, start_price, startQuote.source, startQuote.at,
+         "PENDING", 0, null, timestamp, safeDuration]
       );
+      trade_id = insertTradeRes.rows[0].id;
+
+      await ledger.post(client, {
+        refType: "trade.stake",
+        refId: trade_id,
+        lines: [
+          { account: "user:main", userId: user.id, coin: "USDT", amount: -safeAmount },
+          { account: ledger.SYSTEM.TRADES, coin: "USDT", amount: safeAmount },
+        ],
+      });
+      await client.query("COMMIT");
+    } catch (err) {
+      await client.query("ROLLBACK");
+      throw err;
+    } finally {
+      client.release();
     }
 
-    // snapshot
-    const { rows: balRows } = await pool.query(
-      "SELECT balance FROM user_balances WHERE user_id = $1 AND coin = 'USDT'",
-      [user_id]
-    );
-    const newBalance = balRows[0] ? parseFloat(balRows[0].balance) : 0;
-    await pool.query(
-      `INSERT INTO balance_history (user_id, coin, balance, price_usd, timestamp)
-       VALUES ($1, $2, $3, $4, NOW())`,
-      [user_id, "USDT", newBalance, 1]
-    );
-  } catch (err) {
-    console.error("Trade finish error:", err);
-  }
-}, safeDuration * 1000);
+    // 3) Settlement happens in services/tradeSettlement.js once expires_at passes
 
     res.json({
       status: "pending",
       trade_id,
       start_price,
+      start_price_source: startQuote.source,
+      start_price_at: startQuote.at,
       symbol: normSymbol,
       direction: normDirection,
       amount: safeAmount,
@@ -362,6 +118,61 @@ const result_price = Number(_rp.toFixed(_priceDecimals(normSymbol)));
   }
 });
 
+/* -------------------- GET /api/trade/:id/receipt -------------------- */
+// Everything needed to check a settled trade by hand: both quotes with their
+// source and time, the rule applied and the resulting ledger entries.
+router.get("/:id/receipt", authenticateToken, async (req, res) => {
+  try {
+    const { rows } = await pool.query(
+      "SELECT * FROM trades WHERE id = $1 AND user_id = $2",
+      [req.params.id, req.user.id]
+    );
+    const trade = rows[0];
+    if (!trade) return res.status(404).json({ error: "Trade not found" });
+
+    const { rows: entries } = await pool.query(
+      `SELECT e.id, e.ref_type, e.created_at, l.amount
+       FROM ledger_entries e
+       JOIN ledger_lines l ON l.entry_id = e.id AND l.account = 'user:main'
+       WHERE e.ref_type LIKE 'trade.%' AND e.ref_id = $1
+       ORDER BY e.id`,
+      [String(trade.id)]
+    );
+
+    res.json({
+      trade_id: trade.id,
+      symbol: trade.symbol,
+      direction: trade.direction,
+      amount: Number(trade.amount),
+      duration: Number(trade.duration),
+      opened_at: trade.timestamp,
+      expires_at: trade.expires_at,
+      start: {
+        price: trade.start_price === null ? null : Number(trade.start_price),
+        source: trade.start_price_source,
+        at: trade.start_price_at,
+      },
+      end: {
+        price: trade.end_price === null ? null : Number(trade.end_price),
+        source: trade.end_price_source,
+        at: trade.end_price_at,
+      },
+      rule: "BUY wins if end > start, SELL wins if end < start, equal is a DRAW (stake returned); VOID if no quote at expiry (stake returned)",
+      result: trade.result,
+      profit: Number(trade.profit),
+      settled_at: trade.settled_at,
+      ledger: entries.map(e => ({
+        entry_id: e.id,
+        type: e.ref_type,
+        amount: Number(e.amount),
+        at: e.created_at,
+      })),
+    });
+  } catch {
+    res.status(500).json({ error: "DB error" });
+  }
+});
+
 /* -------------------- History & Admin -------------------- */
 router.get("/history/:user_id", async (req, res) => {
   const { user_id } = req.params;
@@ -376,25 +187,12 @@ router.get("/history/:user_id", async (req, res) => {
   }
 });
 
-router.get("/trades", async (_req, res) => {
+// paged, same as /api/admin/trades
+router.get("/trades", requireAdmin("trades:read"), async (req, res) => {
   try {
-    const { rows } = await pool.query(`
-      SELECT 
-        t.id AS trade_id,
-        t.user_id,
-        u.username,
-        t.direction,
-        t.amount,
-        t.duration,
-        t.result,
-        t.profit,
-        t.timestamp
-      FROM trades t
-      LEFT JOIN users u ON t.user_id = u.id
-      ORDER BY t.timestamp DESC
-    `);
-    res.json(rows);
-  } catch {
+    res.json(await adminLists.trades(req.query));
+  } catch (err) {
+    if (err.status) return res.status(err.status).json({ error: err.message });
     res.status(500).json({ error: "Failed to fetch trades" });
   }
 });
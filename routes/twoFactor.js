@@ -0,0 +1,87 @@
+const express = require('express');
+const router = express.Router();
+const pool = require('../db');
+const { authenticateToken } = require('../middleware/auth');
+const passwords = require('../services/passwords');
+const twoFactor = require('../services/twoFactor');
+
+function reject(res, result) {
+  const { status, body } = twoFactor.failureResponse(result);
+  return res.status(status).json(body);
+}
+
+// GET /api/auth/2fa -- enrollment status of the current user
+router.get('/', authenticateToken, async (req, res) => {
+  try {
+    res.json(await twoFactor.getStatus(req.user.id));
+  } catch (err) {
+    console.error('2FA status error:', err);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+// POST /api/auth/2fa/setup -- new secret + otpauth:// URI to show as a QR code
+router.post('/setup', authenticateToken, async (req, res) => {
+  try {
+    const result = await twoFactor.setup(req.user);
+    if (!result.ok) return reject(res, result);
+    res.json({ secret: result.secret, otpauth_url: result.otpauth_url });
+  } catch (err) {
+    console.error('2FA setup error:', err);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+// POST /api/auth/2fa/enable { code } -- confirm setup; returns recovery codes once
+router.post('/enable', authenticateToken, async (req, res) => {
+  const { code } = req.body;
+  if (!code) return res.status(400).json({ error: 'code is required' });
+  try {
+    const result = await twoFactor.enable(req.user.id, code);
+    if (!result.ok) return reject(res, result);
+    res.json({
+      success: true,
+      recovery_codes: result.recoveryCodes,
+      message: 'Two-factor authentication enabled. Store these recovery codes somewhere safe; they will not be shown again.',
+    });
+  } catch (err) {
+    console.error('2FA enable error:', err);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+// POST /api/auth/2fa/disable { password, code | recovery_code }
+router.post('/disable', authenticateToken, async (req, res) => {
+  const { password, code, recovery_code } = req.body;
+  if (!password) return res.status(400).json({ error: 'password is required' });
+  try {
+    const { rows } = await pool.query('SELECT password FROM users WHERE id = $1', [req.user.id]);
+    if (!rows[0] || !(await passwords.verify(password, rows[0].password))) {
+      return res.status(401).json({ error: 'Password is incorrect' });
+    }
+    const result = await twoFactor.verify(req.user.id, { code, recoveryCode: recovery_code });
+    if (!result.ok) return reject(res, result);
+
+    await twoFactor.disable(req.user.id);
+    res.json({ success: true });
+  } catch (err) {
+    console.error('2FA disable error:', err);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+// POST /api/auth/2fa/recovery-codes { code } -- replace all recovery codes
+router.post('/recovery-codes', authenticateToken, async (req, res) => {
+  const { code } = req.body;
+  try {
+    const result = await twoFactor.verify(req.user.id, { code });
+    if (!result.ok) return reject(res, result);
+    const recoveryCodes = await twoFactor.regenerateRecoveryCodes(req.user.id);
+    res.json({ recovery_codes: recoveryCodes });
+  } catch (err) {
+    console.error('2FA recovery codes error:', err);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+module.exports = router;
@@ -1,51 +1,120 @@
 // routes/upload.js
 const express = require('express');
 const multer = require('multer');
-const supabase = require('../utils/supabaseClient');
+const storage = require('../services/storage');
+const uploads = require('../services/uploads');
+const { authenticateToken } = require('../middleware/auth');
 const router = express.Router();
 
-// Use multer for file upload handling
-const storage = multer.memoryStorage();
-const upload = multer({ storage });
+// Use multer for file upload handling; per-bucket limits are checked after
+const upload = multer({ storage: multer.memoryStorage(), limits: { fileSize: uploads.MAX_UPLOAD_BYTES, files: 1 } });
 
-// POST /api/upload/:bucket
-router.post('/:bucket', upload.single('file'), async (req, res) => {
+// Only the buckets in services/uploads.js (BUCKETS) are open to this route
+router.param('bucket', (req, res, next, bucket) => {
+  if (!uploads.BUCKETS[bucket]) return res.status(404).json({ error: 'Unknown bucket' });
+  next();
+});
+
+function singleFile(req, res, next) {
+  upload.single('file')(req, res, err => {
+    if (!err) return next();
+    if (err.code === 'LIMIT_FILE_SIZE') return res.status(413).json({ error: 'File too large' });
+    res.status(400).json({ error: err.message });
+  });
+}
+
+// GET /api/upload/buckets -- what each bucket is for and what it accepts
+router.get('/buckets', (req, res) => {
+  res.json(Object.entries(uploads.BUCKETS).map(([name, spec]) => ({
+    bucket: name,
+    purpose: spec.purpose,
+    types: spec.types,
+    max_bytes: spec.maxBytes,
+  })));
+});
+
+// POST /api/upload/:bucket (multipart field "file")
+// The file's type is read from its content and must be one the bucket
+// accepts. It is stored as <user id>/<timestamp>-<random>.<ext>. The same
+// content uploaded by the same user to the same bucket again returns the
+// stored copy (duplicate: true) instead of a new file.
+router.post('/:bucket', authenticateToken, singleFile, async (req, res) => {
   const { bucket } = req.params;
   const file = req.file;
+  const userId = req.user.id;
 
   if (!file) return res.status(400).json({ error: 'No file uploaded.' });
+  const checked = uploads.validate(bucket, file);
+  if (!checked.ok) return res.status(checked.status).json({ error: checked.error });
 
-  // Unique file name: userId-timestamp-originalname
-  const filename = `${Date.now()}-${file.originalname}`;
+  const hash = uploads.sha256(file.buffer);
+  try {
+    const existing = await uploads.findByHash(bucket, hash, userId);
+    if (existing) {
+      return res.json({ path: existing.path, bucket, url: existing.url, sha256: hash, duplicate: true });
+    }
+  } catch (err) {
+    return res.status(500).json({ error: 'Database error' });
+  }
 
-  // Upload to Supabase Storage
-  const { data, error } = await supabase.storage
-    .from(bucket)
-    .upload(filename, file.buffer, {
-      contentType: file.mimetype,
-      upsert: false,
-    });
+  const filename = uploads.keyFor(userId, checked.extension);
+
+  let stored;
+  try {
+    stored = await storage.put(bucket, filename, file.buffer, { contentType: checked.contentType });
+  } catch (err) {
+    return res.status(500).json({ error: err.message });
+  }
 
-  if (error) return res.status(500).json({ error: error.message });
+  const url = storage.publicUrl(bucket, stored.key);
+  try {
+    await uploads.record({
+      bucket,
+      path: stored.key,
+      url,
+      hash,
+      size: file.size,
+      contentType: checked.contentType,
+      userId,
+    });
+  } catch (err) {
+    console.error("Upload record error:", err);
+    // an unrecorded file can't be found, deduplicated or signed again
+    await storage.remove(bucket, [stored.key]).catch(removeErr => {
+      console.error("Upload cleanup error:", removeErr);
+    });
+    return res.status(500).json({ error: 'Database error' });
+  }
 
   res.json({
-    path: data.path,
+    path: stored.key,
     bucket,
-    url: `${process.env.SUPABASE_URL}/storage/v1/object/public/${bucket}/${filename}`
+    url,
+    sha256: hash,
+    content_type: checked.contentType,
+    duplicate: false,
   });
 });
 
-// GET /api/upload/:bucket/signed-url/:filename
-router.get('/:bucket/signed-url/:filename', async (req, res) => {
-  const { bucket, filename } = req.params;
-
-  const { data, error } = await supabase.storage
-    .from(bucket)
-    .createSignedUrl(filename, 60 * 60); // 1 hour expiry
+// GET /api/upload/:bucket/signed-url/<path>
+// Only for files the requesting user uploaded.
+router.get('/:bucket/signed-url/*path', authenticateToken, async (req, res) => {
+  const { bucket } = req.params;
+  const path = [].concat(req.params.path).join('/');
 
-  if (error) return res.status(500).json({ error: error.message });
+  try {
+    if (!(await uploads.findOwned(bucket, path, req.user.id))) {
+      return res.status(404).json({ error: 'File not found' });
+    }
+  } catch (err) {
+    return res.status(500).json({ error: 'Database error' });
+  }
 
-  res.json({ url: data.signedUrl });
+  try {
+    res.json({ url: await storage.signedUrl(bucket, path, 60 * 60) }); // 1 hour expiry
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
 });
 
 module.exports = router;
@@ -1,11 +1,11 @@
-const bcrypt = require('bcrypt'); 
 const express = require('express');
 const router = express.Router();
 const pool = require('../db');
-const { authenticateToken } = require('../middleware/auth');
+const { authenticateToken, requireAdmin } = require('../middleware/auth');
+const passwords = require('../services/passwords');
 
-// GET /api/users -- List all users
-router.get('/', async (req, res) => {
+// GET /api/users -- List all users (admin)
+router.get('/', requireAdmin('users:read'), async (req, res) => {
   try {
     const result = await pool.query(
       'SELECT id, username, email, verified, kyc_status FROM users ORDER BY id DESC'
@@ -50,12 +50,7 @@ router.post('/password', authenticateToken, async (req, res) => {
     const user = rows[0];
     if (!user) return res.status(404).json({ error: "User not found" });
 
-    let match = false;
-    if (user.password.startsWith("$2b$")) {
-      match = await bcrypt.compare(currentPassword, user.password);
-    } else {
-      match = (currentPassword === user.password);
-    }
+    const match = await passwords.verify(currentPassword, user.password);
     if (!match) {
       return res.status(401).json({ error: "Current password is incorrect" });
     }
@@ -63,13 +58,10 @@ router.post('/password', authenticateToken, async (req, res) => {
       return res.status(400).json({ error: "New password must be different from the current password" });
     }
 
-    await pool.query(
-  "UPDATE users SET password = $1 WHERE id = $2",
-  [newPassword, userId]
-);
-
+    // every session (this one included) is revoked; the client logs in again
+    await passwords.setPassword(userId, newPassword);
 
-    res.json({ message: "Password changed successfully" });
+    res.json({ message: "Password changed successfully. Please log in again.", relogin: true });
   } catch (err) {
     console.error("Change password error:", err);
     res.status(500).json({ error: "Failed to change password" });
@@ -102,11 +94,11 @@ router.post('/forgot-password', async (req, res) => {
 });
 
 // --- AVATAR UPLOAD ---
-// You need these dependencies at the top if not present:
 const multer = require('multer');
-const supabase = require('../utils/supabaseClient'); // or '../supabaseClient' if that is your path
+const storage = require('../services/storage');
+const uploads = require('../services/uploads');
 
-const upload = multer({ storage: multer.memoryStorage() });
+const upload = multer({ storage: multer.memoryStorage(), limits: { fileSize: uploads.BUCKETS.avatar.maxBytes } });
 
 // POST /api/users/avatar -- Upload and set avatar for current user
 router.post('/avatar', authenticateToken, upload.single('avatar'), async (req, res) => {
@@ -114,30 +106,28 @@ router.post('/avatar', authenticateToken, upload.single('avatar'), async (req, r
   const file = req.file;
 
   if (!file) return res.status(400).json({ error: 'No file uploaded.' });
+  const checked = uploads.validate('avatar', file);
+  if (!checked.ok) return res.status(checked.status).json({ error: checked.error });
 
-  // Make a unique filename (e.g. userId-timestamp-originalname)
-  const filename = `${userId}-${Date.now()}-${file.originalname.replace(/\s/g, "_")}`;
-
-  // Upload to Supabase Storage (avatar bucket)
-  const { data, error } = await supabase.storage
-    .from('avatar')
-    .upload(filename, file.buffer, {
-      contentType: file.mimetype,
-      upsert: true,
-    });
+  // Make a unique filename (e.g. userId-timestamp.ext)
+  const filename = `${userId}-${Date.now()}.${checked.extension}`;
 
-  if (error) return res.status(500).json({ error: error.message });
+  // Store in the avatar bucket
+  try {
+    await storage.put('avatar', filename, file.buffer, { contentType: checked.contentType, upsert: true });
+  } catch (err) {
+    return res.status(500).json({ error: err.message });
+  }
 
-  // Get public URL
-  const { data: urlData } = supabase.storage.from('avatar').getPublicUrl(filename);
+  const avatarUrl = storage.publicUrl('avatar', filename);
 
   // Save public URL to users table (avatar field)
   try {
     await pool.query(
       "UPDATE users SET avatar = $1 WHERE id = $2",
-      [urlData.publicUrl, userId]
+      [avatarUrl, userId]
     );
-    res.json({ avatar: urlData.publicUrl });
+    res.json({ avatar: avatarUrl });
   } catch (err) {
     res.status(500).json({ error: "Database error" });
   }
@@ -2,67 +2,177 @@ require('dotenv').config();
 const express = require('express');
 const router = express.Router();
 const pool = require('../db');
-const { authenticateToken, authenticateAdminToken } = require('../middleware/auth'); 
-const jwt = require('jsonwebtoken');
+const { authenticateToken, requireAdmin, isAdminRequest, verifyAccessToken, requireKyc } = require('../middleware/auth'); 
+const withdrawals = require('../services/withdrawals');
+const networks = require('../services/networks');
+const addressBook = require('../services/addressBook');
+const withdrawalLimits = require('../services/withdrawalLimits');
+const twoFactor = require('../services/twoFactor');
+const auditLog = require('../services/auditLog');
+const adminLists = require('../services/adminLists');
 
-const ADMIN_API_TOKEN = process.env.ADMIN_API_TOKEN || 'yourSecureAdminTokenHere1234';
+// --- Networks each coin can be withdrawn on (fees, minimums, memo/tag) ---
+router.get('/networks', (req, res) => {
+  res.json(networks.list());
+});
+
+// --- Current user's withdrawal limits (KYC tier), usage and remaining allowance ---
+router.get('/limits', authenticateToken, async (req, res) => {
+  try {
+    res.json(await withdrawalLimits.getStatus(req.user.id));
+  } catch (err) {
+    console.error("Withdrawal limits error:", err);
+    res.status(500).json({ error: 'Could not load withdrawal limits' });
+  }
+});
 
-// --- User requests withdrawal (status = pending) ---
-// SIMPLE VERSION: No transaction, no deduction.
-router.post('/', authenticateToken, async (req, res) => {
+// --- User requests withdrawal (status = requested) ---
+// The amount is frozen right away and released again on rejection/cancel.
+// It must also fit the user's daily/monthly USD limits (see withdrawalLimits).
+// Body: { coin, amount, totp_code } plus either address_id (address book) or
+// { network, address, destination_tag | memo }. Needs an approved KYC.
+router.post('/', authenticateToken, requireKyc('approved'), async (req, res) => {
   const user_id = req.user.id;
-  // 1. REMOVED 'network'
-  const { coin, amount, address } = req.body;
+  const { coin, network, amount, address, address_id, totp_code } = req.body;
   
-  // 2. REMOVED 'network' from check
-  if (!user_id || !coin || !amount || !address) {
+  if (!user_id || !coin || !amount || (!address && !address_id)) {
     return res.status(400).json({ error: 'Missing required fields' });
   }
+  if (!(Number(amount) > 0)) {
+    return res.status(400).json({ error: 'Invalid amount' });
+  }
 
-  // 3. REMOVED transaction. Just check balance.
+  let target;
   try {
-    const { rows } = await pool.query(
-      'SELECT balance FROM user_balances WHERE user_id = $1 AND coin = $2',
-      [user_id, coin]
-    );
-    const userBal = rows[0];
-    if (!userBal) {
-      return res.status(400).json({ error: "Balance record not found" });
+    // saved address (confirmed, past cool-down) or typed address (whitelist-only permitting)
+    const destination = await addressBook.resolveDestination(user_id, {
+      addressId: address_id,
+      coin,
+      network,
+      address,
+      memo: req.body.destination_tag ?? req.body.memo,
+    });
+    if (!destination.ok) {
+      const { ok, ...body } = destination;
+      return res.status(400).json(body);
     }
-    if (parseFloat(userBal.balance) < parseFloat(amount)) {
-      return res.status(400).json({ error: "Insufficient balance" });
+    target = networks.validateWithdrawal({ ...destination, amount });
+    if (!target.ok) {
+      return res.status(400).json({ error: target.error, code: target.code });
     }
 
-    // 4. REMOVED deduction. Just INSERT.
-    // 5. REMOVED 'network' from INSERT.
-    const result = await pool.query(
-      `INSERT INTO withdrawals (user_id, coin, amount, address, status)
-       VALUES ($1, $2, $3, $4, 'pending')
-       RETURNING id`,
-      [user_id, coin, amount, address] // 4 values
-    );
+    // 2FA users confirm every withdrawal with a fresh TOTP code
+    if (await twoFactor.isEnabled(user_id)) {
+      const check = await twoFactor.verify(user_id, { code: totp_code });
+      if (!check.ok) {
+        const { status, body } = twoFactor.failureResponse(check);
+        return res.status(status).json(body);
+      }
+    }
+  } catch (err) {
+    console.error("Withdrawal request error:", err);
+    return res.status(500).json({ error: 'Database error' });
+  }
 
-    res.json({ success: true, id: result.rows[0].id });
+  let amountUsd;
+  try {
+    amountUsd = await withdrawalLimits.toUSD(coin, amount);
+  } catch (err) {
+    console.error("Withdrawal pricing error:", err);
+    return res.status(503).json({ error: 'Price data unavailable, please try again shortly', code: 'PRICE_UNAVAILABLE' });
+  }
+
+  const client = await pool.connect();
+  try {
+    await client.query('BEGIN');
+    // one limit check at a time per user, so parallel requests can't both fit
+    await client.query('SELECT id FROM users WHERE id = $1 FOR UPDATE', [user_id]);
+    const limit = await withdrawalLimits.check(user_id, amountUsd, client);
+    if (!limit.ok) {
+      await client.query('ROLLBACK');
+      const { ok, ...body } = limit;
+      return res.status(400).json(body);
+    }
+    const result = await withdrawals.create(client, {
+      userId: user_id,
+      coin,
+      amount,
+      address: target.address,
+      network: target.network,
+      memo: target.memo,
+      fee: target.fee,
+      amountUsd,
+    });
+    if (!result.ok) {
+      await client.query('ROLLBACK');
+      const error = result.reason === 'balance_not_found' ? "Balance record not found" : "Insufficient balance";
+      return res.status(400).json({ error });
+    }
+    await client.query('COMMIT');
+    res.json({
+      success: true,
+      id: result.withdrawal.id,
+      network: target.network,
+      fee: target.fee,
+      receive_amount: target.receive_amount,
+      amount_usd: Number(amountUsd.toFixed(2)),
+    });
   } catch (err) {
+    await client.query('ROLLBACK');
     console.error("Withdrawal request error:", err);
     res.status(500).json({ error: 'Database error' });
+  } finally {
+    client.release();
+  }
+});
+
+// --- User cancels own withdrawal while it is still requested/under review ---
+// The frozen funds are released.
+router.post('/:id/cancel', authenticateToken, async (req, res) => {
+  if (!/^\d+$/.test(req.params.id)) return res.status(404).json({ error: "Withdrawal not found" });
+  const client = await pool.connect();
+  try {
+    await client.query('BEGIN');
+    const withdrawal = await withdrawals.lock(client, req.params.id);
+    if (!withdrawal || withdrawal.user_id !== req.user.id) {
+      await client.query('ROLLBACK');
+      return res.status(404).json({ error: "Withdrawal not found" });
+    }
+    const result = await withdrawals.transition(client, withdrawal, 'cancelled', { type: 'user', id: req.user.id });
+    if (!result.ok) {
+      await client.query('ROLLBACK');
+      const { status, body } = withdrawals.failureResponse(result, withdrawal, 'cancelled');
+      return res.status(status).json(body);
+    }
+    await client.query('COMMIT');
+    res.json({ success: true, message: `Withdrawal ${withdrawal.id} cancelled` });
+  } catch (err) {
+    await client.query('ROLLBACK');
+    console.error("Withdrawal cancel error:", err);
+    res.status(500).json({ error: 'Database error' });
+  } finally {
+    client.release();
   }
 });
 
 // --- Get withdrawals (user: only own; admin: all) ---
-router.get('/', async (req, res) => {
-  // --- Admin view ---
-  if (req.headers['x-admin-token'] && req.headers['x-admin-token'] === ADMIN_API_TOKEN) {
+// Admin view: requests with an admin bearer token
+router.get(
+  '/',
+  (req, res, next) => (isAdminRequest(req) ? next() : next('route')),
+  requireAdmin('withdrawals:read'),
+  async (req, res) => {
     try {
-      const result = await pool.query(
-        'SELECT * FROM withdrawals ORDER BY created_at DESC'
-      );
-      return res.json(result.rows);
+      // paged and filtered, see services/adminLists.js
+      return res.json(await adminLists.withdrawals(req.query));
     } catch (err) {
+      if (err.status) return res.status(err.status).json({ error: err.message });
       return res.status(500).json({ error: 'Database error (admin)' });
     }
   }
+);
 
+router.get('/', async (req, res) => {
   // --- User view ---
   try {
     if (!req.headers.authorization) {
@@ -71,7 +181,7 @@ router.get('/', async (req, res) => {
     let user_id = null;
     try {
       const token = req.headers.authorization.split(' ')[1];
-      const decoded = jwt.verify(token, process.env.JWT_SECRET);
+      const decoded = await verifyAccessToken(token);
       user_id = decoded.id || decoded.user_id;
     } catch (e) {
       return res.status(401).json({ error: "User not authenticated" });
@@ -82,21 +192,28 @@ router.get('/', async (req, res) => {
       'SELECT * FROM withdrawals WHERE user_id = $1 ORDER BY created_at DESC',
       [user_id]
     );
-    res.json(result.rows);
+    // each withdrawal with its status transitions, oldest first
+    const history = await withdrawals.historyFor(pool, result.rows.map(w => w.id));
+    res.json(result.rows.map(w => ({
+      ...w,
+      cancellable: withdrawals.CANCELLABLE.includes(w.status),
+      history: history[w.id] || [],
+    })));
   } catch (err) {
     res.status(500).json({ error: 'Database error (user)' });
   }
 });
 
-// --- Approve/Reject withdrawal (admin) (SECURED + FIXED) ---
-// THIS NOW CONTAINS THE DEDUCTION LOGIC
+// --- Admin: move a withdrawal through its lifecycle ---
+// Body: { status, tx_hash?, reason? } -- e.g. under_review, approved,
+// broadcasting (with tx_hash), completed, failed, rejected (with reason).
 router.post(
   '/:id/status',
-  authenticateAdminToken, 
+  requireAdmin('withdrawals:review'),
   async (req, res) => {
-  const { status } = req.body;
+  const { status, tx_hash, reason } = req.body;
   const { id } = req.params;
-  if (!["approved", "rejected"].includes(status)) {
+  if (!withdrawals.STATUSES.includes(status)) {
     return res.status(400).json({ error: "Invalid status" });
   }
 
@@ -104,56 +221,40 @@ router.post(
 
   try {
     await client.query('BEGIN');
-    
-    // Get the withdrawal request and lock it
-    const { rows } = await client.query('SELECT * FROM withdrawals WHERE id = $1 FOR UPDATE', [id]);
-    const withdrawal = rows[0];
-
-    if (!withdrawal) {
-        await client.query('ROLLBACK');
-        return res.status(404).json({ error: "Withdrawal not found" });
-    }
 
-    // Check if already processed
-    if (withdrawal.status !== 'pending') {
-        await client.query('ROLLBACK');
-        return res.status(400).json({ error: `Withdrawal is already ${withdrawal.status}` });
+    // Completing pays out the frozen funds; rejected/failed release them.
+    // Same review as POST /api/admin/withdrawals/:id/status.
+    const result = await withdrawals.review(client, id, status, { type: 'admin', id: req.admin.id }, {
+      txHash: tx_hash,
+      reason,
+    });
+    if (!result.ok) {
+      await client.query('ROLLBACK');
+      const { status: code, body } = withdrawals.failureResponse(result, result.withdrawal, status);
+      return res.status(code).json(body);
     }
 
-    // --- THIS IS THE NEW LOGIC ---
-    if (status === "approved") {
-      // 1. Get current balance
-      const { rows: balRows } = await client.query(
-        'SELECT balance FROM user_balances WHERE user_id = $1 AND coin = $2',
-        [withdrawal.user_id, withdrawal.coin]
-      );
-      const userBal = balRows[0];
-      
-      // 2. Check if balance is sufficient
-      if (!userBal || parseFloat(userBal.balance) < parseFloat(withdrawal.amount)) {
-        await client.query('ROLLBACK');
-        return res.status(400).json({ error: "Insufficient balance to approve" });
-      }
-      
-      // 3. Deduct balance
-      await client.query(
-        'UPDATE user_balances SET balance = balance - $1 WHERE user_id = $2 AND coin = $3',
-        [withdrawal.amount, withdrawal.user_id, withdrawal.coin]
-      );
-      
-    } else if (status === "rejected") {
-      // Do nothing. The money was never taken.
+    if (!result.unchanged) {
+      await auditLog.record(client, req, {
+        action: 'withdrawal.status',
+        targetType: 'withdrawal',
+        targetId: result.withdrawal.id,
+        before: { status: result.before.status, tx_hash: result.before.tx_hash },
+        after: { status, tx_hash: result.withdrawal.tx_hash, reason: reason || null },
+      });
     }
 
-    // 4. Update the withdrawal status
-    await client.query('UPDATE withdrawals SET status = $1 WHERE id = $2', [status, id]);
-
     await client.query('COMMIT');
-    res.json({ success: true, message: `Withdrawal ${id} ${status}` });
+    res.json({
+      success: true,
+      unchanged: result.unchanged,
+      message: `Withdrawal ${id} ${status}`,
+      withdrawal: result.withdrawal,
+    });
 
   } catch (err) {
     await client.query('ROLLBACK');
-    console.error("Withdrawal approve/reject error:", err);
+    console.error("Withdrawal status error:", err);
     res.status(500).json({ error: "Database error", detail: err.message });
   } finally {
     client.release();
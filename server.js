@@ -3,21 +3,25 @@
 require('dotenv').config();
 const express = require('express');
 const cors = require('cors');
-const fs = require('fs');
-const multer = require('multer');
 const path = require('path');
 const pool = require('./db');
+const tradeSettlement = require('./services/tradeSettlement');
+const depositWatcher = require('./services/depositWatcher');
+const adminLists = require('./services/adminLists');
+const storage = require('./services/storage');
 
 // JWT Middleware
-const { authenticateToken, authenticateAdminToken } = require('./middleware/auth');
+const { authenticateToken, requireAdmin } = require('./middleware/auth');
 
 // ROUTES
 const authRoutes = require('./routes/auth');
+const twoFactorRoutes = require('./routes/twoFactor');
 const adminRoutes = require('./routes/admin');
 const tradeRoutes = require('./routes/trade');
 const pricesRoutes = require('./routes/prices');      
 const depositRoutes = require('./routes/deposit');
 const withdrawalRoutes = require('./routes/withdrawal');
+const addressBookRoutes = require('./routes/addressBook');
 const kycRoutes = require('./routes/kyc');
 const profileRoutes = require('./routes/profile');    
 const balanceRoutes = require('./routes/balance');
@@ -28,6 +32,7 @@ const uploadRoute = require('./routes/upload');
 const earnRoutes = require('./routes/earn');
 
 const app = express();
+app.set('trust proxy', 1); // behind Render's proxy: req.ip is the client address
 
 const allowedOrigins = [
   'http://localhost:3000',
@@ -52,77 +57,15 @@ app.use(cors({
 
 app.use(express.json());
 app.use('/api/balance/history', balanceHistoryRoutes);
+// files stored before services/storage (deposit QR codes)
 app.use('/uploads', express.static(path.join(__dirname, 'uploads')));
+// files kept by the local storage driver (STORAGE_DRIVER=local)
+app.get(storage.localFiles.path, storage.localFiles.handler);
+app.use('/api/auth/2fa', twoFactorRoutes);
 app.use('/api/auth', authRoutes);
 app.use('/api/upload', uploadRoute);
 
-// --- Multer upload config ---
-if (!fs.existsSync('./uploads')) fs.mkdirSync('./uploads');
-const storage = multer.diskStorage({
-  destination: './uploads/',
-  filename: (req, file, cb) => {
-    const uniqueName = Date.now() + '-' + file.originalname.replace(/\s/g, "_");
-    cb(null, uniqueName);
-  }
-});
-const upload = multer({ storage });
-
-app.get(
-  '/api/admin/deposit-addresses',
-  authenticateAdminToken,
-  async (req, res) => {
-    try {
-      const result = await pool.query(`SELECT coin, address, qr_url FROM deposit_addresses`);
-      res.json(result.rows);
-    } catch (err) {
-      res.status(500).json({ message: "Failed to fetch deposit addresses" });
-    }
-  }
-);
-
-// --- NEW: Admin-only route to SAVE deposit settings ---
-app.post(
-  '/api/admin/deposit-addresses',
-  authenticateAdminToken,
-  async (req, res) => {
-    const wallets = req.body; // This is an array: [{ coin: 'USDT', ... }, ...]
-    if (!Array.isArray(wallets)) {
-      return res.status(400).json({ success: false, message: "Invalid payload. Expected an array." });
-    }
-
-    const client = await pool.connect(); // Use a transaction for all-or-nothing
-    try {
-      await client.query('BEGIN');
-      
-      for (const wallet of wallets) {
-        // Use "INSERT ... ON CONFLICT" (UPSERT)
-        await client.query(
-          `
-            INSERT INTO deposit_addresses (coin, address, qr_url, updated_at)
-            VALUES ($1, $2, $3, NOW())
-            ON CONFLICT (coin)
-            DO UPDATE SET 
-              address = EXCLUDED.address, 
-              qr_url = EXCLUDED.qr_url, 
-              updated_at = NOW()
-            `,
-            // We are only passing 3 values, NOW() is a SQL function
-            [wallet.coin, wallet.address, wallet.qr_url]
-        );
-      }
-      
-      await client.query('COMMIT');
-      res.json({ success: true, message: "Deposit wallet settings updated" });
-
-    } catch (err) {
-      await client.query('ROLLBACK');
-      console.error("ADMIN DEPOSIT SAVE ERROR:", err); // <-- THIS IS THE IMPORTANT LINE
-      res.status(500).json({ success: false, message: "Failed to save deposit settings", detail: err.message });
-    } finally {
-      client.release();
-    }
-  }
-);
+// GET/POST /api/admin/deposit-addresses are in routes/admin.js
 
 // --------- ROUTE MOUNTING ---------
 app.use('/api/admin', adminRoutes);
@@ -133,6 +76,7 @@ app.use('/api/deposit', depositRoutes);
 app.use('/api/deposits', depositRoutes);
 app.use('/api/withdraw', withdrawalRoutes);
 app.use('/api/withdrawals', withdrawalRoutes);
+app.use('/api/withdrawal-addresses', addressBookRoutes);
 app.use('/api/kyc', kycRoutes);
 app.use('/api/profile', profileRoutes);
 app.use('/api/balance', balanceRoutes);
@@ -158,15 +102,12 @@ app.get('/api/public/deposit-addresses', async (req, res) => { // <-- Renamed ro
   }
 });
 
-// --- ADMIN: Fetch ALL trades for admin backend ---
-app.get('/api/trades', async (req, res) => {
-  if (req.headers['x-admin-token'] !== process.env.ADMIN_API_TOKEN) {
-    return res.status(401).json({ error: "Unauthorized" });
-  }
+// --- ADMIN: Fetch trades for admin backend (paged, same as /api/admin/trades) ---
+app.get('/api/trades', requireAdmin('trades:read'), async (req, res) => {
   try {
-    const { rows } = await pool.query('SELECT * FROM trades ORDER BY timestamp DESC');
-    res.json(rows);
+    res.json(await adminLists.trades(req.query));
   } catch (err) {
+    if (err.status) return res.status(err.status).json({ error: err.message });
     res.status(500).json({ error: 'DB error' });
   }
 });
@@ -180,4 +121,8 @@ app.use((req, res) => {
 const PORT = process.env.PORT || 5000;
 app.listen(PORT, () => {
   console.log(`✅ Server running on port ${PORT}`);
+  // Settle due trades (including any that expired while we were down)
+  tradeSettlement.start();
+  // Watch deposit addresses on-chain (only when DEPOSIT_WATCHERS is set)
+  depositWatcher.start();
 });
@@ -0,0 +1,247 @@
+// services/addressBook.js — saved withdrawal addresses and whitelist-only mode
+//
+// A saved address must be confirmed with an emailed code and can only be used
+// once COOLDOWN_HOURS have passed since it was added. With whitelist-only on,
+// withdrawals may only go to such addresses. Turning whitelist-only off also
+// waits out the cool-down, so a stolen session can't simply switch it off.
+const pool = require('../db');
+const otp = require('./otp');
+const networks = require('./networks');
+const { sendMail } = require('./mailer');
+
+const COOLDOWN_HOURS = Number(process.env.WITHDRAWAL_ADDRESS_COOLDOWN_HOURS ?? 24);
+const LABEL_MAX = 60;
+
+function statusOf(entry, now = new Date()) {
+  if (!entry.confirmed_at) return 'pending_confirmation';
+  if (new Date(entry.usable_after) > now) return 'cooling_down';
+  return 'active';
+}
+
+function toEntry(row) {
+  return {
+    id: row.id,
+    coin: row.coin,
+    network: row.network,
+    address: row.address,
+    memo: row.memo,
+    label: row.label,
+    status: statusOf(row),
+    confirmed_at: row.confirmed_at,
+    usable_after: row.usable_after,
+    created_at: row.created_at,
+  };
+}
+
+function fail(code, error, extra = {}) {
+  return { ok: false, code, error, ...extra };
+}
+
+function cleanLabel(label) {
+  if (label === undefined || label === null) return null;
+  return String(label).trim().slice(0, LABEL_MAX) || null;
+}
+
+async function list(userId, coin = null) {
+  const { rows } = await pool.query(
+    `SELECT * FROM withdrawal_addresses
+     WHERE user_id = $1 AND ($2::text IS NULL OR coin = $2)
+     ORDER BY coin, created_at DESC`,
+    [userId, coin]
+  );
+  return rows.map(toEntry);
+}
+
+async function sendConfirmation(user, entry) {
+  const issued = await otp.issue(user.id, otp.PURPOSES.ADDRESS_CONFIRM, { subject: entry.id });
+  if (!issued.ok) return issued;
+  sendMail({
+    to: user.email,
+    subject: 'NovaChain: confirm new withdrawal address',
+    text:
+      `A new ${entry.coin} (${entry.network}) withdrawal address was added to your account:\n` +
+      `${entry.address}${entry.memo ? ` (memo/tag ${entry.memo})` : ''}\n\n` +
+      `Confirmation code: ${issued.code}\nThis code expires in ${issued.expiresInMinutes} minutes.\n` +
+      `If this wasn't you, do not share the code and change your password.`,
+  }).catch(err => {
+    console.error('❌ Address confirmation email error:', err);
+  });
+  return issued;
+}
+
+// Save an address and email a confirmation code. Returns
+// { ok: true, entry, confirmation } or { ok: false, code, error }, where
+// `confirmation` is the otp.issue() result. A throttled code leaves the
+// address saved for resendConfirmation(); an error removes it again.
+async function add(user, { coin, network, address, memo, label }) {
+  const destination = networks.validateDestination({ coin, network, address, memo });
+  if (!destination.ok) return destination;
+
+  let row;
+  try {
+    const { rows } = await pool.query(
+      `INSERT INTO withdrawal_addresses (user_id, coin, network, address, memo, label, usable_after)
+       VALUES ($1, $2, $3, $4, $5, $6, NOW() + make_interval(hours => $7))
+       RETURNING *`,
+      [user.id, coin, destination.network, destination.address, destination.memo, cleanLabel(label), COOLDOWN_HOURS]
+    );
+    row = rows[0];
+  } catch (err) {
+    if (err.code === '23505') return fail('ADDRESS_EXISTS', 'This address is already in your address book');
+    throw err;
+  }
+  let confirmation;
+  try {
+    confirmation = await sendConfirmation(user, row);
+  } catch (err) {
+    // the request fails, so don't keep the address: retrying must not hit ADDRESS_EXISTS
+    await pool.query('DELETE FROM withdrawal_addresses WHERE id = $1', [row.id]);
+    throw err;
+  }
+  return { ok: true, entry: toEntry(row), confirmation };
+}
+
+async function find(userId, id) {
+  if (!/^\d+$/.test(String(id))) return null;
+  const { rows } = await pool.query(
+    'SELECT * FROM withdrawal_addresses WHERE id = $1 AND user_id = $2',
+    [id, userId]
+  );
+  return rows[0] || null;
+}
+
+// Confirm with the emailed code. Returns { ok: true, entry }, or
+// { ok: false, code, error } / an otp.verify() failure ({ ok: false, reason }).
+async function confirm(userId, id, code) {
+  const row = await find(userId, id);
+  if (!row) return fail('ADDRESS_NOT_FOUND', 'Address not found');
+  if (row.confirmed_at) return { ok: true, entry: toEntry(row) };
+
+  const result = await otp.verify(userId, otp.PURPOSES.ADDRESS_CONFIRM, code, { subject: row.id });
+  if (!result.ok) return result;
+
+  const { rows } = await pool.query(
+    'UPDATE withdrawal_addresses SET confirmed_at = NOW() WHERE id = $1 RETURNING *',
+    [row.id]
+  );
+  return { ok: true, entry: toEntry(rows[0]) };
+}
+
+// Re-send the confirmation code. Returns { ok: true } or a failure.
+async function resendConfirmation(user, id) {
+  const row = await find(user.id, id);
+  if (!row) return fail('ADDRESS_NOT_FOUND', 'Address not found');
+  if (row.confirmed_at) return fail('ALREADY_CONFIRMED', 'This address is already confirmed');
+  const issued = await sendConfirmation(user, row);
+  return issued.ok ? { ok: true } : issued;
+}
+
+async function rename(userId, id, label) {
+  const { rows } = await pool.query(
+    'UPDATE withdrawal_addresses SET label = $3 WHERE id = $1 AND user_id = $2 RETURNING *',
+    [id, userId, cleanLabel(label)]
+  );
+  return rows[0] ? toEntry(rows[0]) : null;
+}
+
+async function remove(userId, id) {
+  const { rowCount } = await pool.query(
+    'DELETE FROM withdrawal_addresses WHERE id = $1 AND user_id = $2',
+    [id, userId]
+  );
+  return rowCount > 0;
+}
+
+/* -------------------- Whitelist-only setting -------------------- */
+
+async function getSettings(userId, db = pool) {
+  const { rows } = await db.query(
+    `SELECT whitelist_only, whitelist_off_after,
+            whitelist_only AND (whitelist_off_after IS NULL OR whitelist_off_after > NOW()) AS enforced
+     FROM withdrawal_settings WHERE user_id = $1`,
+    [userId]
+  );
+  const row = rows[0];
+  if (!row) return { whitelist_only: false, enforced: false, whitelist_off_after: null };
+  return {
+    whitelist_only: row.whitelist_only && !row.whitelist_off_after,
+    enforced: row.enforced,
+    whitelist_off_after: row.whitelist_off_after,
+  };
+}
+
+// Turning it on applies at once; turning it off applies after the cool-down.
+async function setWhitelistOnly(userId, enabled) {
+  await pool.query(
+    `INSERT INTO withdrawal_settings (user_id, whitelist_only, whitelist_off_after)
+     VALUES ($1, $2, NULL)
+     ON CONFLICT (user_id) DO UPDATE SET
+       whitelist_only = CASE WHEN $2 THEN TRUE ELSE withdrawal_settings.whitelist_only END,
+       whitelist_off_after = CASE
+         WHEN $2 THEN NULL
+         WHEN NOT withdrawal_settings.whitelist_only THEN NULL
+         ELSE COALESCE(withdrawal_settings.whitelist_off_after, NOW() + make_interval(hours => $3))
+       END,
+       updated_at = NOW()`,
+    [userId, enabled, COOLDOWN_HOURS]
+  );
+  return getSettings(userId);
+}
+
+/* -------------------- Withdrawal check -------------------- */
+
+// Resolve the destination of a withdrawal request: either a saved entry
+// (`addressId`), which must be confirmed and past its cool-down, or a typed
+// address. While whitelist-only is in force a typed address must match such a
+// usable saved entry. Returns { ok: true, coin, network, address, memo } or
+// { ok: false, code, error }.
+async function resolveDestination(userId, { addressId, coin, network, address, memo }) {
+  let entry;
+  if (addressId !== undefined && addressId !== null && addressId !== '') {
+    entry = await find(userId, addressId);
+    if (!entry) return fail('ADDRESS_NOT_FOUND', 'Saved address not found');
+    if (coin && coin !== entry.coin) return fail('ADDRESS_COIN_MISMATCH', `Saved address is for ${entry.coin}`);
+  } else {
+    const destination = networks.validateDestination({ coin, network, address, memo });
+    if (!destination.ok) return destination;
+
+    const settings = await getSettings(userId);
+    if (!settings.enforced) {
+      return { ok: true, coin, network: destination.network, address: destination.address, memo: destination.memo };
+    }
+    const { rows } = await pool.query(
+      `SELECT * FROM withdrawal_addresses
+       WHERE user_id = $1 AND coin = $2 AND network = $3 AND address = $4
+         AND COALESCE(memo, '') = COALESCE($5, '')`,
+      [userId, coin, destination.network, destination.address, destination.memo]
+    );
+    entry = rows[0];
+    if (!entry) {
+      return fail('ADDRESS_NOT_WHITELISTED', 'Whitelist-only withdrawals are on: add this address to your address book first');
+    }
+  }
+
+  const status = statusOf(entry);
+  if (status === 'pending_confirmation') {
+    return fail('ADDRESS_NOT_CONFIRMED', 'Confirm this address with the code we emailed you first');
+  }
+  if (status === 'cooling_down') {
+    return fail('ADDRESS_COOLING_DOWN', 'This address was added recently and cannot be used yet', {
+      usable_after: entry.usable_after,
+    });
+  }
+  return { ok: true, coin: entry.coin, network: entry.network, address: entry.address, memo: entry.memo };
+}
+
+module.exports = {
+  COOLDOWN_HOURS,
+  list,
+  add,
+  confirm,
+  resendConfirmation,
+  rename,
+  remove,
+  getSettings,
+  setWhitelistOnly,
+  resolveDestination,
+};
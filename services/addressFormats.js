@@ -0,0 +1,199 @@
+// services/addressFormats.js — offline address format and checksum checks
+//
+// One validator per address family. Each takes the address string and
+// returns true/false; none of them touch the network.
+const crypto = require('crypto');
+const { keccak_256 } = require('@noble/hashes/sha3');
+
+const BITCOIN_ALPHABET = '123456789ABCDEFGHJKLMNPQRSTUVWXYZabcdefghijkmnopqrstuvwxyz';
+const XRP_ALPHABET = 'rpshnaf39wBUDNEGHJKLM4PQRST7VWXYZ2bcdeCg65jkm8oFqi1tuvAxyz';
+
+function sha256(buf) {
+  return crypto.createHash('sha256').update(buf).digest();
+}
+
+// Base58 string -> Buffer, or null if it has characters outside `alphabet`
+function base58Decode(str, alphabet = BITCOIN_ALPHABET) {
+  if (typeof str !== 'string' || str.length === 0) return null;
+  let value = 0n;
+  for (const ch of str) {
+    const idx = alphabet.indexOf(ch);
+    if (idx === -1) return null;
+    value = value * 58n + BigInt(idx);
+  }
+  const bytes = [];
+  while (value > 0n) {
+    bytes.unshift(Number(value & 0xffn));
+    value >>= 8n;
+  }
+  // each leading "zero" character is a leading zero byte
+  for (const ch of str) {
+    if (ch !== alphabet[0]) break;
+    bytes.unshift(0);
+  }
+  return Buffer.from(bytes);
+}
+
+// Base58Check payload (version byte + data) if the checksum matches, else null
+function base58CheckDecode(str, alphabet) {
+  const buf = base58Decode(str, alphabet);
+  if (!buf || buf.length < 5) return null;
+  const payload = buf.subarray(0, -4);
+  const checksum = sha256(sha256(payload)).subarray(0, 4);
+  return checksum.equals(buf.subarray(-4)) ? payload : null;
+}
+
+/* -------------------- Bech32 / Bech32m (BIP 173 / 350) -------------------- */
+const BECH32_CHARSET = 'qpzry9x8gf2tvdw0s3jn54khce6mua7l';
+const BECH32_CONST = 1;
+const BECH32M_CONST = 0x2bc830a3;
+
+function bech32Polymod(values) {
+  const GEN = [0x3b6a57b2, 0x26508e6d, 0x1ea119fa, 0x3d4233dd, 0x2a1462b3];
+  let chk = 1;
+  for (const v of values) {
+    const top = chk >>> 25;
+    chk = ((chk & 0x1ffffff) << 5) ^ v;
+    for (let i = 0; i < 5; i++) {
+      if ((top >>> i) & 1) chk ^= GEN[i];
+    }
+  }
+  return chk >>> 0;
+}
+
+// { hrp, data (5-bit words without checksum), spec: 'bech32' | 'bech32m' } or null
+function bech32Decode(str) {
+  if (str.length > 90 || (str !== str.toLowerCase() && str !== str.toUpperCase())) return null;
+  const lower = str.toLowerCase();
+  const pos = lower.lastIndexOf('1');
+  if (pos < 1 || pos + 7 > lower.length) return null;
+
+  const hrp = lower.slice(0, pos);
+  const data = [];
+  for (const ch of lower.slice(pos + 1)) {
+    const idx = BECH32_CHARSET.indexOf(ch);
+    if (idx === -1) return null;
+    data.push(idx);
+  }
+  const expanded = [
+    ...[...hrp].map(c => c.charCodeAt(0) >> 5),
+    0,
+    ...[...hrp].map(c => c.charCodeAt(0) & 31),
+    ...data,
+  ];
+  const check = bech32Polymod(expanded);
+  const spec = check === BECH32_CONST ? 'bech32' : check === BECH32M_CONST ? 'bech32m' : null;
+  if (!spec) return null;
+  return { hrp, data: data.slice(0, -6), spec };
+}
+
+// Regroup 5-bit words into bytes; null on invalid padding
+function fromWords(words) {
+  let acc = 0;
+  let bits = 0;
+  const out = [];
+  for (const w of words) {
+    acc = (acc << 5) | w;
+    bits += 5;
+    while (bits >= 8) {
+      bits -= 8;
+      out.push((acc >> bits) & 0xff);
+    }
+  }
+  if (bits >= 5 || ((acc << (8 - bits)) & 0xff)) return null;
+  return out;
+}
+
+function isSegwitAddress(address, hrp) {
+  const decoded = bech32Decode(address);
+  if (!decoded || decoded.hrp !== hrp || decoded.data.length < 1) return false;
+  const version = decoded.data[0];
+  const program = fromWords(decoded.data.slice(1));
+  if (version > 16 || !program || program.length < 2 || program.length > 40) return false;
+  // v0 uses bech32 with a 20- or 32-byte program; v1+ uses bech32m
+  if (version === 0) return decoded.spec === 'bech32' && (program.length === 20 || program.length === 32);
+  return decoded.spec === 'bech32m';
+}
+
+/* -------------------- Validators -------------------- */
+
+// Mainnet P2PKH (1...), P2SH (3...) and SegWit/Taproot (bc1...)
+function bitcoin(address) {
+  if (/^bc1/i.test(address)) return isSegwitAddress(address, 'bc');
+  const payload = base58CheckDecode(address);
+  return !!payload && payload.length === 21 && (payload[0] === 0x00 || payload[0] === 0x05);
+}
+
+// 0x + 40 hex. Mixed case must match the EIP-55 checksum; all-lower or
+// all-upper addresses carry no checksum and are accepted as is.
+function evm(address) {
+  if (!/^0x[0-9a-fA-F]{40}$/.test(address)) return false;
+  const hex = address.slice(2);
+  if (hex === hex.toLowerCase() || hex === hex.toUpperCase()) return true;
+  const hash = Buffer.from(keccak_256(hex.toLowerCase())).toString('hex');
+  for (let i = 0; i < 40; i++) {
+    const expectUpper = parseInt(hash[i], 16) >= 8;
+    if (/[a-f]/i.test(hex[i]) && (hex[i] === hex[i].toUpperCase()) !== expectUpper) return false;
+  }
+  return true;
+}
+
+// Base58Check with version 0x41 (T...)
+function tron(address) {
+  const payload = base58CheckDecode(address);
+  return !!payload && payload.length === 21 && payload[0] === 0x41;
+}
+
+// Base58 ed25519 public key (32 bytes); Solana addresses have no checksum
+function solana(address) {
+  if (address.length < 32 || address.length > 44) return false;
+  const buf = base58Decode(address);
+  return !!buf && buf.length === 32;
+}
+
+// Classic XRP Ledger address (r...), Base58Check in the XRP alphabet
+function xrp(address) {
+  if (!address.startsWith('r')) return false;
+  const payload = base58CheckDecode(address, XRP_ALPHABET);
+  return !!payload && payload.length === 21 && payload[0] === 0x00;
+}
+
+function crc16(buf) {
+  let crc = 0;
+  for (const byte of buf) {
+    crc ^= byte << 8;
+    for (let i = 0; i < 8; i++) {
+      crc = crc & 0x8000 ? ((crc << 1) ^ 0x1021) & 0xffff : (crc << 1) & 0xffff;
+    }
+  }
+  return crc;
+}
+
+// Raw "<workchain>:<64 hex>" or 48-char user-friendly (base64 / base64url)
+// mainnet address with a valid CRC16
+function ton(address) {
+  if (/^(0|-1):[0-9a-fA-F]{64}$/.test(address)) return true;
+  if (!/^[A-Za-z0-9+/_-]{48}$/.test(address)) return false;
+  const buf = Buffer.from(address.replace(/-/g, '+').replace(/_/g, '/'), 'base64');
+  if (buf.length !== 36) return false;
+  const flags = buf[0];
+  if (flags & 0x80) return false; // testnet-only address
+  if ((flags & 0x7f) !== 0x11 && (flags & 0x7f) !== 0x51) return false;
+  if (buf[1] !== 0x00 && buf[1] !== 0xff) return false;
+  return crc16(buf.subarray(0, 34)) === buf.readUInt16BE(34);
+}
+
+const VALIDATORS = { bitcoin, evm, tron, solana, xrp, ton };
+
+function isValid(type, address) {
+  const validator = VALIDATORS[type];
+  if (!validator) throw new Error(`Unknown address type: ${type}`);
+  return typeof address === 'string' && validator(address.trim());
+}
+
+module.exports = {
+  TYPES: Object.keys(VALIDATORS),
+  isValid,
+  base58Decode,
+  base58CheckDecode,
+};
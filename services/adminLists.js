@@ -0,0 +1,155 @@
+// services/adminLists.js — the paged admin lists (users, trades, deposits,
+// withdrawals, KYC submissions). Each takes the request's query string; see
+// utils/pagination.js for the paging, filter and sort parameters. Every list
+// accepts q= to search by the user's email or username.
+const pool = require('../db');
+const { listQuery } = require('../utils/pagination');
+
+const USER_SEARCH = ['u.email', 'u.username'];
+
+// `sql` is the list's SELECT ... FROM; the page cursor column is added to it
+async function run(query, spec, sql) {
+  const list = listQuery(query, spec);
+  const { rows } = await pool.query(
+    `${sql.replace(/^SELECT\s/, `SELECT ${list.cursorColumn}, `)} ${list.where} ${list.orderBy} ${list.limitSql}`,
+    list.params
+  );
+  return list.page(rows);
+}
+
+// ?status= (kyc_status, 'unverified' for none) &verified=true|false &q= &from= &to=
+async function users(query) {
+  return run(query, {
+    id: 'u.id',
+    sorts: { id: 'u.id', created_at: 'u.created_at' },
+    defaultSort: 'id',
+    filters: {
+      status: "COALESCE(u.kyc_status, 'unverified')",
+      verified: { column: 'u.verified', type: 'bool' },
+      user_id: { column: 'u.id', type: 'int' },
+    },
+    date: 'u.created_at',
+    search: [...USER_SEARCH, 'u.id'],
+  }, `SELECT
+        u.id, u.username, u.email, u.verified, u.kyc_status, u.created_at
+      FROM users u`);
+}
+
+// ?status= (result: PENDING, WIN, LOSE, DRAW, VOID) &coin= &user_id= &from= &to= &min_amount= &max_amount= &q=
+async function trades(query) {
+  return run(query, {
+    id: 't.id',
+    sorts: { id: 't.id', timestamp: 't."timestamp"', amount: 't.amount' },
+    defaultSort: 'id',
+    filters: {
+      status: 't.result',
+      coin: 'COALESCE(t.symbol, t.coin)',
+      user_id: { column: 't.user_id', type: 'int' },
+    },
+    date: 't."timestamp"',
+    amount: 't.amount',
+    search: USER_SEARCH,
+  }, `SELECT t.*, u.username, u.email
+      FROM trades t
+      LEFT JOIN users u ON t.user_id = u.id`);
+}
+
+// ?status= &coin= &network= &user_id= &from= &to= &min_amount= &max_amount= &q=
+async function withdrawals(query) {
+  return run(query, {
+    id: 'w.id',
+    sorts: { id: 'w.id', created_at: 'w.created_at', amount: 'w.amount', amount_usd: 'w.amount_usd' },
+    defaultSort: 'id',
+    filters: {
+      status: 'w.status',
+      coin: 'w.coin',
+      network: 'w.network',
+      user_id: { column: 'w.user_id', type: 'int' },
+    },
+    date: 'w.created_at',
+    amount: 'w.amount',
+    search: [...USER_SEARCH, 'w.address', 'w.tx_hash'],
+  }, `SELECT
+        w.id, w.user_id, u.username, u.email, w.coin, w.amount, w.amount_usd, w.address, w.network,
+        w.memo, w.fee, w.created_at, w.status, w.tx_hash, w.rejection_reason, w.updated_at
+      FROM withdrawals w
+      LEFT JOIN users u ON w.user_id = u.id`);
+}
+
+// Deposits for review, each with the ids of other deposits that used the same
+// screenshot content (duplicate_screenshot_of), the deposit an on-chain
+// transfer with the same transaction hash was already credited to
+// (tx_credited_as) and a `flagged` summary.
+// ?status= &coin= &source=manual|chain &user_id= &flagged=true &from= &to= &min_amount= &max_amount= &q=
+async function deposits(query) {
+  const page = await run(query, {
+    id: 'd.id',
+    sorts: { id: 'd.id', created_at: 'd.created_at', amount: 'd.amount' },
+    defaultSort: 'created_at',
+    filters: {
+      status: 'd.status',
+      coin: 'd.coin',
+      source: 'd.source',
+      user_id: { column: 'd.user_id', type: 'int' },
+      flagged: { column: '(CARDINALITY(d.duplicate_screenshot_of) > 0 OR d.tx_credited_as IS NOT NULL)', type: 'bool' },
+    },
+    date: 'd.created_at',
+    amount: 'd.amount',
+    search: ['d.email', 'd.username', 'd.tx_hash', 'd.address'],
+  }, `SELECT d.* FROM (
+        SELECT dep.*, u.username, u.email,
+               ARRAY(
+                 SELECT o.id FROM deposits o
+                 WHERE o.id <> dep.id
+                   AND (o.screenshot_sha256 = dep.screenshot_sha256
+                        -- deposits from before content hashing: same stored file
+                        OR (dep.screenshot_sha256 IS NULL AND o.screenshot = dep.screenshot))
+                 ORDER BY o.id
+               ) AS duplicate_screenshot_of,
+               (SELECT ct.deposit_id FROM chain_transfers ct
+                WHERE ct.status = 'credited' AND ct.deposit_id <> dep.id
+                  AND dep.tx_hash IS NOT NULL
+                  -- another output of a transaction backing this deposit is fine
+                  AND NOT EXISTS (SELECT 1 FROM chain_transfers own WHERE own.deposit_id = dep.id)
+                  AND (ct.tx_hash = dep.tx_hash OR LOWER(REGEXP_REPLACE(ct.tx_hash, '^0x', '')) = dep.tx_hash)
+                ORDER BY ct.id LIMIT 1) AS tx_credited_as
+        FROM deposits dep
+        LEFT JOIN users u ON dep.user_id = u.id
+      ) d`);
+  page.items = page.items.map(row => ({
+    ...row,
+    flagged: row.duplicate_screenshot_of.length > 0 || row.tx_credited_as !== null,
+  }));
+  return page;
+}
+
+// KYC submissions for review (reviewer notes included)
+// ?status= &document_type= &country= &user_id= &from= &to= &q= (also names and document number)
+async function kycSubmissions(query) {
+  return run(query, {
+    id: 's.id',
+    sorts: { id: 's.id', created_at: 's.created_at' },
+    defaultSort: 'created_at',
+    filters: {
+      status: 's.status',
+      document_type: 's.document_type',
+      country: 's.country',
+      user_id: { column: 's.user_id', type: 'int' },
+    },
+    date: 's.created_at',
+    search: [...USER_SEARCH, 's.first_name', 's.last_name', 's.document_number'],
+  }, `SELECT
+        s.id, s.user_id, u.username, u.email, s.status, s.document_type, s.country, s.document_number,
+        s.first_name, s.last_name, s.date_of_birth, s.rejection_reason, s.reviewer_note, s.reviewed_by,
+        s.reviewed_at, s.created_at
+      FROM kyc_submissions s
+      LEFT JOIN users u ON s.user_id = u.id`);
+}
+
+module.exports = {
+  users,
+  trades,
+  withdrawals,
+  deposits,
+  kycSubmissions,
+};
@@ -0,0 +1,172 @@
+// services/admins.js — admin accounts, roles and admin tokens
+//
+// Admins live in `admin_users`, separate from customer accounts. Each has one
+// role; ROLE_PERMISSIONS lists what a role may do and requireAdmin()
+// (middleware/auth.js) checks it on every admin endpoint. Admin tokens are
+// JWTs with typ 'admin' and the account's token_version, so changing the
+// password or deactivating the account cuts off every token already issued.
+const jwt = require('jsonwebtoken');
+const pool = require('../db');
+const passwords = require('./passwords');
+
+const ROLES = ['support', 'compliance', 'finance', 'superadmin'];
+
+const ROLE_PERMISSIONS = {
+  support: [
+    'users:read',
+    'deposits:read',
+    'withdrawals:read',
+    'trades:read',
+  ],
+  compliance: [
+    'users:read',
+    'kyc:read',
+    'kyc:review',
+    'kyc:files',
+    'audit:read',
+  ],
+  finance: [
+    'users:read',
+    'deposits:read',
+    'deposits:review',
+    'withdrawals:read',
+    'withdrawals:review',
+    'trades:read',
+    'ledger:read',
+    'settings:read',
+    'limits:write',
+  ],
+  // superadmin is allowed everything (see hasPermission)
+  superadmin: [],
+};
+
+const ADMIN_TOKEN_TTL = process.env.ADMIN_TOKEN_TTL || '8h';
+
+function tokenSecret() {
+  const secret = process.env.ADMIN_JWT_SECRET || process.env.JWT_SECRET;
+  if (!secret) throw new Error('Server missing JWT secret');
+  return secret;
+}
+
+function hasPermission(role, permission) {
+  if (role === 'superadmin') return true;
+  return !!permission && (ROLE_PERMISSIONS[role] || []).includes(permission);
+}
+
+// Public shape of an admin row
+function toAdmin(row) {
+  return {
+    id: row.id,
+    email: row.email,
+    name: row.name,
+    role: row.role,
+    active: row.active,
+    created_at: row.created_at,
+    last_login_at: row.last_login_at,
+  };
+}
+
+function signToken(admin) {
+  return jwt.sign(
+    { id: admin.id, typ: 'admin', ver: admin.token_version },
+    tokenSecret(),
+    { expiresIn: ADMIN_TOKEN_TTL }
+  );
+}
+
+// Check an admin token against the account (the role is always read from the
+// database, so role changes apply immediately). Resolves to the admin, or rejects
+// with an Error whose `status` is the HTTP status to answer with.
+async function verifyToken(token) {
+  if (!token) throw Object.assign(new Error('Missing admin token'), { status: 401 });
+
+  let payload;
+  try {
+    payload = jwt.verify(token, tokenSecret());
+  } catch {
+    throw Object.assign(new Error('Invalid admin token'), { status: 401 });
+  }
+  if (payload.typ !== 'admin') {
+    throw Object.assign(new Error('Invalid admin token'), { status: 401 });
+  }
+
+  const { rows } = await pool.query('SELECT * FROM admin_users WHERE id = $1', [payload.id]);
+  const admin = rows[0];
+  if (!admin || !admin.active || admin.token_version !== payload.ver) {
+    throw Object.assign(new Error('Admin session expired or revoked'), { status: 401 });
+  }
+  return admin;
+}
+
+// Email + password login. Resolves to { token, admin } or null.
+async function login(email, password) {
+  const { rows } = await pool.query(
+    'SELECT * FROM admin_users WHERE email = LOWER($1)',
+    [String(email || '').trim()]
+  );
+  const admin = rows[0];
+  if (!admin || !admin.active) return null;
+  if (!(await passwords.verify(password, admin.password_hash))) return null;
+
+  await pool.query('UPDATE admin_users SET last_login_at = NOW() WHERE id = $1', [admin.id]);
+  return { token: signToken(admin), admin: toAdmin(admin) };
+}
+
+async function create({ email, name = null, password, role }) {
+  if (!ROLES.includes(role)) throw new Error(`Unknown admin role: ${role}`);
+  const { rows } = await pool.query(
+    `INSERT INTO admin_users (email, name, password_hash, role)
+     VALUES (LOWER($1), $2, $3, $4)
+     RETURNING *`,
+    [String(email).trim(), name, await passwords.hash(password), role]
+  );
+  return toAdmin(rows[0]);
+}
+
+async function get(id) {
+  const { rows } = await pool.query('SELECT * FROM admin_users WHERE id = $1', [id]);
+  return rows[0] ? toAdmin(rows[0]) : null;
+}
+
+async function list() {
+  const { rows } = await pool.query('SELECT * FROM admin_users ORDER BY id');
+  return rows.map(toAdmin);
+}
+
+// Change role and/or active flag. Deactivating revokes existing tokens.
+// Resolves to the updated admin, or null if there is no such account.
+async function update(id, { role, active }) {
+  if (role !== undefined && !ROLES.includes(role)) throw new Error(`Unknown admin role: ${role}`);
+  const { rows } = await pool.query(
+    `UPDATE admin_users
+     SET role = COALESCE($2, role),
+         active = COALESCE($3, active),
+         token_version = token_version + CASE WHEN $3 = FALSE THEN 1 ELSE 0 END
+     WHERE id = $1
+     RETURNING *`,
+    [id, role ?? null, active ?? null]
+  );
+  return rows[0] ? toAdmin(rows[0]) : null;
+}
+
+// Store a new password and revoke every token issued so far
+async function setPassword(id, plain) {
+  await pool.query(
+    `UPDATE admin_users SET password_hash = $2, token_version = token_version + 1 WHERE id = $1`,
+    [id, await passwords.hash(plain)]
+  );
+}
+
+module.exports = {
+  ROLES,
+  ROLE_PERMISSIONS,
+  hasPermission,
+  toAdmin,
+  verifyToken,
+  login,
+  create,
+  get,
+  list,
+  update,
+  setPassword,
+};
@@ -0,0 +1,93 @@
+// services/auditLog.js — append-only log of admin actions
+//
+// record() takes the same client as the change it describes, so the entry is
+// committed (or rolled back) together with it. Rows cannot be changed or
+// deleted afterwards (see migrations/008_admin_audit_log.sql).
+const pool = require('../db');
+
+const CSV_COLUMNS = [
+  'id', 'created_at', 'actor_id', 'actor_email', 'actor_role', 'action',
+  'target_type', 'target_id', 'before', 'after', 'ip', 'user_agent',
+];
+
+// Write one entry for the admin behind `req` (set by requireAdmin)
+async function record(db, req, { action, targetType = null, targetId = null, before = null, after = null }) {
+  const admin = req.admin || {};
+  await db.query(
+    `INSERT INTO admin_audit_log
+       (actor_id, actor_email, actor_role, action, target_type, target_id, before, after, ip, user_agent)
+     VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10)`,
+    [
+      admin.id || null,
+      admin.email || null,
+      admin.role || null,
+      action,
+      targetType,
+      targetId === null || targetId === undefined ? null : String(targetId),
+      before === null ? null : JSON.stringify(before),
+      after === null ? null : JSON.stringify(after),
+      req.ip || null,
+      (req.get && req.get('user-agent')) || null,
+    ]
+  );
+}
+
+// Filtered, newest-first page of entries. Filters: actor_id, actor_email,
+// action (exact, or a prefix ending in '.' e.g. 'deposit.'), target_type,
+// target_id, from, to (ISO timestamps).
+async function search(filters = {}, { limit = 100, offset = 0 } = {}) {
+  const where = [];
+  const params = [];
+  const add = (sql, value) => {
+    params.push(value);
+    where.push(sql.replace('?', `$${params.length}`));
+  };
+
+  if (filters.actor_id) add('actor_id = ?', Number(filters.actor_id));
+  if (filters.actor_email) add('actor_email = LOWER(?)', filters.actor_email);
+  if (filters.action) {
+    if (filters.action.endsWith('.')) add('starts_with(action, ?)', filters.action);
+    else add('action = ?', filters.action);
+  }
+  if (filters.target_type) add('target_type = ?', filters.target_type);
+  if (filters.target_id) add('target_id = ?', String(filters.target_id));
+  if (filters.from) add('created_at >= ?', filters.from);
+  if (filters.to) add('created_at <= ?', filters.to);
+
+  const whereSql = where.length ? `WHERE ${where.join(' AND ')}` : '';
+  const { rows: countRows } = await pool.query(
+    `SELECT COUNT(*) AS total FROM admin_audit_log ${whereSql}`,
+    params
+  );
+  const { rows } = await pool.query(
+    `SELECT * FROM admin_audit_log ${whereSql}
+     ORDER BY created_at DESC, id DESC
+     LIMIT $${params.length + 1} OFFSET $${params.length + 2}`,
+    [...params, limit, offset]
+  );
+  return { total: Number(countRows[0].total), entries: rows };
+}
+
+function csvCell(value) {
+  if (value === null || value === undefined) return '';
+  let text = value instanceof Date ? value.toISOString()
+    : typeof value === 'object' ? JSON.stringify(value)
+    : String(value);
+  // keep spreadsheet apps from evaluating cells as formulas
+  if (/^[=+\-@\t\r]/.test(text)) text = `'${text}`;
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+function toCsv(entries) {
+  const lines = [CSV_COLUMNS.join(',')];
+  for (const entry of entries) {
+    lines.push(CSV_COLUMNS.map(col => csvCell(entry[col])).join(','));
+  }
+  return lines.join('\r\n') + '\r\n';
+}
+
+module.exports = {
+  record,
+  search,
+  toCsv,
+};
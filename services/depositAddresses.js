@@ -0,0 +1,130 @@
+// services/depositAddresses.js — where a user should send deposits
+//
+// Coins/networks with an extended public key configured (services/hdWallet.js)
+// get a personal address per user, derived when the user asks for it
+// (POST /api/deposit/addresses/:coin/:network) and kept for good. Everything else falls back to the shared address in
+// deposit_addresses, which needs the user to submit the deposit for review.
+const pool = require('../db');
+const networks = require('./networks');
+const hdWallet = require('./hdWallet');
+
+// The user's personal address for coin/network, derived and stored on first
+// use. Coins that share an address family (ETH and USDT on ERC20) get the
+// same derivation index, so the user has one address for both.
+async function getOrCreate(userId, coin, network) {
+  const config = networks.configFor(coin, network);
+  if (!config || !hdWallet.supports(config.address_type)) return null;
+  const fingerprint = hdWallet.fingerprint(config.address_type);
+
+  const existing = await pool.query(
+    `SELECT * FROM user_deposit_addresses
+     WHERE user_id = $1 AND coin = $2 AND network = $3 AND key_fingerprint = $4`,
+    [userId, coin, network, fingerprint]
+  );
+  if (existing.rows[0]) return existing.rows[0];
+
+  const client = await pool.connect();
+  try {
+    await client.query('BEGIN');
+    // one allocation at a time per user
+    await client.query('SELECT id FROM users WHERE id = $1 FOR UPDATE', [userId]);
+
+    const { rows: mine } = await client.query(
+      `SELECT * FROM user_deposit_addresses
+       WHERE user_id = $1 AND address_type = $2 AND key_fingerprint = $3
+       ORDER BY (coin = $4 AND network = $5) DESC
+       LIMIT 1`,
+      [userId, config.address_type, fingerprint, coin, network]
+    );
+    if (mine[0] && mine[0].coin === coin && mine[0].network === network) {
+      await client.query('COMMIT');
+      return mine[0];
+    }
+
+    let index;
+    if (mine[0]) {
+      index = mine[0].derivation_index;
+    } else {
+      const { rows } = await client.query(
+        `INSERT INTO hd_derivation_counters (address_type, key_fingerprint, next_index)
+         VALUES ($1, $2, 1)
+         ON CONFLICT (address_type, key_fingerprint)
+         DO UPDATE SET next_index = hd_derivation_counters.next_index + 1
+         RETURNING next_index - 1 AS index`,
+        [config.address_type, fingerprint]
+      );
+      index = rows[0].index;
+    }
+
+    const { rows } = await client.query(
+      `INSERT INTO user_deposit_addresses
+         (user_id, coin, network, address_type, key_fingerprint, derivation_index, address)
+       VALUES ($1, $2, $3, $4, $5, $6, $7)
+       RETURNING *`,
+      [userId, coin, network, config.address_type, fingerprint, index, hdWallet.deriveAddress(config.address_type, index)]
+    );
+    await client.query('COMMIT');
+    return rows[0];
+  } catch (err) {
+    await client.query('ROLLBACK');
+    throw err;
+  } finally {
+    client.release();
+  }
+}
+
+// Every deposit option for a user:
+// [{ coin, network, address, qr_url, personal }]. Personal addresses credit
+// automatically; shared ones need a deposit request (POST /api/deposit).
+// Nothing is derived here: where a personal address can be had but has not
+// been created yet (getOrCreate), the entry has `personal: true` and
+// `address: null`.
+async function listForUser(userId) {
+  const { rows: shared } = await pool.query(
+    `SELECT coin, address, qr_url FROM deposit_addresses WHERE address IS NOT NULL AND address != ''`
+  );
+  const { rows: mine } = await pool.query(
+    `SELECT coin, network, key_fingerprint, address FROM user_deposit_addresses WHERE user_id = $1`,
+    [userId]
+  );
+
+  const out = [];
+  for (const [coin, options] of Object.entries(networks.list())) {
+    const covered = new Set();
+    for (const { network } of options) {
+      const config = networks.configFor(coin, network);
+      if (!config || !hdWallet.supports(config.address_type)) continue;
+      const fingerprint = hdWallet.fingerprint(config.address_type);
+      const personal = mine.find(r => r.coin === coin && r.network === network && r.key_fingerprint === fingerprint);
+      covered.add(network);
+      out.push({ coin, network, address: personal ? personal.address : null, qr_url: null, personal: true });
+    }
+    for (const row of shared.filter(r => r.coin === coin)) {
+      const match = networks.networkForAddress(coin, row.address);
+      if (match && covered.has(match.network)) continue;
+      out.push({
+        coin,
+        network: match ? match.network : null,
+        address: row.address.trim(),
+        qr_url: row.qr_url,
+        personal: false,
+      });
+    }
+  }
+  return out;
+}
+
+// The user a personal deposit address belongs to, or null
+async function ownerOf(db, { coin, network, address }) {
+  const { rows } = await db.query(
+    `SELECT user_id FROM user_deposit_addresses WHERE coin = $1 AND network = $2 AND address = $3`,
+    [coin, network, address]
+  );
+  return rows[0] ? rows[0].user_id : null;
+}
+
+module.exports = {
+  getOrCreate,
+  listForUser,
+  ownerOf,
+};
@@ -0,0 +1,60 @@
+// Bitcoin adapter over an Esplora REST API (blockstream.info by default;
+// set ESPLORA_API_URL for mempool.space or a self-hosted instance).
+const axios = require("axios");
+
+const BASE_URL = (process.env.ESPLORA_API_URL || "https://blockstream.info/api").replace(/\/$/, "");
+const TIMEOUT_MS = 10_000;
+const MAX_PAGES = 20;
+
+async function get(path) {
+  const { data } = await axios.get(`${BASE_URL}${path}`, { timeout: TIMEOUT_MS });
+  return data;
+}
+
+function toBtc(sats) {
+  return (Number(sats) / 1e8).toFixed(8);
+}
+
+module.exports = {
+  name: "bitcoin",
+
+  supports({ config }) {
+    return config.address_type === "bitcoin";
+  },
+
+  // The cursor is a block height. Without one we start at the current
+  // confirmation window; older transfers are left to manual review.
+  async getTransfers({ address, cursor, confirmations }) {
+    const tip = Number(await get("/blocks/tip/height"));
+    const since = cursor === null || cursor === undefined ? tip - confirmations + 1 : Number(cursor);
+
+    // newest first: mempool, then confirmed pages of 25 until we pass `since`
+    const txs = [];
+    let page = await get(`/address/${address}/txs`);
+    for (let i = 0; i < MAX_PAGES && page.length > 0; i++) {
+      txs.push(...page);
+      const last = page[page.length - 1];
+      if (!last.status.confirmed || last.status.block_height < since || page.length < 25) break;
+      page = await get(`/address/${address}/txs/chain/${last.txid}`);
+    }
+
+    const transfers = [];
+    for (const tx of txs) {
+      const height = tx.status.confirmed ? tx.status.block_height : null;
+      if (height !== null && height < since) continue;
+      tx.vout.forEach((out, index) => {
+        if (out.scriptpubkey_address !== address) return;
+        transfers.push({
+          tx_hash: tx.txid,
+          output_index: index,
+          from: tx.vin[0]?.prevout?.scriptpubkey_address || null,
+          amount: toBtc(out.value),
+          memo: null,
+          block_height: height,
+          confirmations: height === null ? 0 : tip - height + 1,
+        });
+      });
+    }
+    return { transfers, cursor: String(Math.max(since, tip - confirmations + 1)) };
+  },
+};
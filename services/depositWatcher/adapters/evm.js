@@ -0,0 +1,85 @@
+// Ethereum adapter over an Etherscan-compatible API: native ETH plus USDT
+// (ERC20). Needs ETHERSCAN_API_KEY; ETHERSCAN_API_URL / ETHERSCAN_CHAIN_ID
+// point it at another explorer or chain.
+//
+// Only external transactions and token transfers are seen; ETH sent by a
+// contract (internal transactions) still needs a manual deposit.
+const axios = require("axios");
+
+const BASE_URL = process.env.ETHERSCAN_API_URL || "https://api.etherscan.io/v2/api";
+const CHAIN_ID = process.env.ETHERSCAN_CHAIN_ID || "1";
+const TIMEOUT_MS = 10_000;
+
+const TOKENS = {
+  USDT: { contract: "0xdAC17F958D2ee523a2206206994597C13D831ec7", decimals: 6 },
+};
+
+async function call(params) {
+  const { data } = await axios.get(BASE_URL, {
+    params: { chainid: CHAIN_ID, apikey: process.env.ETHERSCAN_API_KEY, ...params },
+    timeout: TIMEOUT_MS,
+  });
+  if (params.module === "proxy") {
+    if (!data.result) throw new Error(data.error?.message || "Empty proxy response");
+    return data.result;
+  }
+  if (data.status !== "1") {
+    if (/no transactions found/i.test(data.message || "")) return [];
+    throw new Error(`${data.message}: ${typeof data.result === "string" ? data.result : ""}`);
+  }
+  return data.result;
+}
+
+// Integer base units -> decimal string, without going through floats
+function formatUnits(value, decimals) {
+  const units = BigInt(value);
+  const scale = 10n ** BigInt(decimals);
+  const whole = units / scale;
+  const fraction = (units % scale).toString().padStart(decimals, "0").replace(/0+$/, "");
+  return fraction ? `${whole}.${fraction}` : whole.toString();
+}
+
+module.exports = {
+  name: "evm",
+
+  supports({ coin, config }) {
+    return config.address_type === "evm" && (coin === "ETH" || !!TOKENS[coin]);
+  },
+
+  // The cursor is a block number, as in the bitcoin adapter
+  async getTransfers({ coin, address, cursor, confirmations }) {
+    const tip = parseInt(await call({ module: "proxy", action: "eth_blockNumber" }), 16);
+    const since = cursor === null || cursor === undefined ? tip - confirmations + 1 : Number(cursor);
+    const token = TOKENS[coin];
+
+    const rows = await call({
+      module: "account",
+      action: token ? "tokentx" : "txlist",
+      ...(token ? { contractaddress: token.contract } : {}),
+      address,
+      startblock: since,
+      endblock: 99999999,
+      sort: "asc",
+    });
+
+    const transfers = [];
+    const seen = {};
+    for (const row of rows) {
+      if (String(row.to).toLowerCase() !== address.toLowerCase()) continue;
+      if (row.isError === "1" || BigInt(row.value) === 0n) continue;
+      // a transaction can carry several token transfers to us
+      const index = seen[row.hash] = (seen[row.hash] ?? -1) + 1;
+      const height = Number(row.blockNumber);
+      transfers.push({
+        tx_hash: row.hash,
+        output_index: index,
+        from: row.from,
+        amount: formatUnits(row.value, token ? Number(row.tokenDecimal || token.decimals) : 18),
+        memo: null,
+        block_height: height,
+        confirmations: tip - height + 1,
+      });
+    }
+    return { transfers, cursor: String(Math.max(since, tip - confirmations + 1)) };
+  },
+};
@@ -0,0 +1,384 @@
+// services/depositWatcher/index.js — automatic on-chain deposit detection
+//
+// Every tick, each shared address in deposit_addresses and each personal
+// address in user_deposit_addresses is scanned by the first configured chain
+// adapter that handles its coin/network (DEPOSIT_WATCHERS,
+// e.g. "bitcoin,evm", or "mock" to run offline). Incoming transfers are
+// stored in chain_transfers and then processed one by one:
+//
+//   1. Attribute the transfer to a user. A personal address names its owner:
+//      their own request naming the transaction is used, otherwise a 'chain'
+//      deposit is opened for them (see depositFor). For a shared address this
+//      means finding the user's pending deposit request for the same coin,
+//      address and exact amount, preferring the one that names the
+//      transaction hash. Several candidates = no match.
+//   2. Once it has the network's confirmations (services/networks.js), credit
+//      it: the matched deposit is approved and credited like a manual
+//      approval. A confirmed transfer nobody claimed becomes 'unmatched';
+//      it is re-checked every DEPOSIT_UNMATCHED_RECHECK_MS (the user may
+//      submit the deposit late) and an admin can assign it to a user.
+//
+// Pending transfers always go before unmatched ones, least recently checked
+// first, so old unclaimed transfers never use up a tick.
+//
+// Credits go through the ledger's one-entry-per-deposit rule, so a transfer
+// can't be credited twice and a deposit an admin already approved isn't paid
+// again. With DEPOSIT_WATCHERS unset the watcher does not run.
+const pool = require("../../db");
+const networks = require("../networks");
+const deposits = require("../deposits");
+const depositAddresses = require("../depositAddresses");
+
+const ADAPTERS = {
+  bitcoin: require("./adapters/bitcoin"),
+  evm: require("./adapters/evm"),
+  mock: require("./adapters/mock"),
+};
+
+const POLL_INTERVAL_MS = Number(process.env.DEPOSIT_WATCH_INTERVAL_MS) || 30_000;
+const UNMATCHED_RECHECK_MS = Number(process.env.DEPOSIT_UNMATCHED_RECHECK_MS) || 10 * 60_000;
+const MAX_PER_TICK = 100;
+
+function configuredAdapters() {
+  const configured = process.env.DEPOSIT_WATCHERS;
+  if (!configured) return [];
+  return configured.split(",").map(s => s.trim()).filter(Boolean).map(name => {
+    if (!ADAPTERS[name]) throw new Error(`Unknown deposit watcher: ${name}`);
+    return ADAPTERS[name];
+  });
+}
+
+function isEnabled() {
+  return configuredAdapters().length > 0;
+}
+
+// Addresses to watch: { coin, network, address, config, adapter }
+async function watchTargets() {
+  const adapters = configuredAdapters();
+  const { rows } = await pool.query(
+    `SELECT coin, address FROM deposit_addresses WHERE address IS NOT NULL AND address != ''`
+  );
+  const targets = [];
+  for (const row of rows) {
+    const address = row.address.trim();
+    const match = networks.networkForAddress(row.coin, address);
+    if (!match) continue;
+    const target = { coin: row.coin, network: match.network, address, config: match.config };
+    const adapter = adapters.find(a => a.supports(target));
+    if (adapter) targets.push({ ...target, adapter });
+  }
+
+  const { rows: personal } = await pool.query(
+    `SELECT DISTINCT coin, network, address FROM user_deposit_addresses`
+  );
+  for (const row of personal) {
+    const config = networks.configFor(row.coin, row.network);
+    if (!config) continue;
+    const target = { coin: row.coin, network: row.network, address: row.address, config };
+    const adapter = adapters.find(a => a.supports(target));
+    if (adapter) targets.push({ ...target, adapter });
+  }
+  return targets;
+}
+
+/* -------------------- Scanning -------------------- */
+
+async function saveTransfer(target, transfer) {
+  await pool.query(
+    `INSERT INTO chain_transfers
+       (adapter, coin, network, tx_hash, output_index, from_address, to_address, amount, memo, block_height, confirmations)
+     VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11)
+     ON CONFLICT (coin, network, tx_hash, output_index) DO UPDATE
+       SET block_height = EXCLUDED.block_height,
+           confirmations = EXCLUDED.confirmations,
+           updated_at = NOW()
+       WHERE chain_transfers.status <> 'credited'`,
+    [
+      target.adapter.name, target.coin, target.network,
+      transfer.tx_hash, transfer.output_index || 0, transfer.from || null, target.address,
+      transfer.amount, transfer.memo || null, transfer.block_height, transfer.confirmations,
+    ]
+  );
+}
+
+async function scan(target) {
+  const { rows } = await pool.query(
+    `SELECT adapter, cursor FROM deposit_watch_cursors WHERE coin = $1 AND network = $2 AND address = $3`,
+    [target.coin, target.network, target.address]
+  );
+  // a cursor only means something to the adapter that wrote it
+  const cursor = rows[0] && rows[0].adapter === target.adapter.name ? rows[0].cursor : null;
+
+  let result = null;
+  let error = null;
+  try {
+    result = await target.adapter.getTransfers({
+      coin: target.coin,
+      network: target.network,
+      address: target.address,
+      cursor,
+      confirmations: target.config.confirmations,
+    });
+    for (const transfer of result.transfers) {
+      if (Number(transfer.amount) > 0) await saveTransfer(target, transfer);
+    }
+  } catch (err) {
+    error = err;
+    console.warn(`Deposit watcher (${target.adapter.name}) ${target.coin}/${target.network} ${target.address}: ${err.message}`);
+  }
+
+  await pool.query(
+    `INSERT INTO deposit_watch_cursors (coin, network, address, adapter, cursor, last_polled_at, last_error)
+     VALUES ($1, $2, $3, $4, $5, NOW(), $6)
+     ON CONFLICT (coin, network, address) DO UPDATE
+       SET adapter = EXCLUDED.adapter,
+           cursor = COALESCE(EXCLUDED.cursor, deposit_watch_cursors.cursor),
+           last_polled_at = NOW(),
+           last_error = EXCLUDED.last_error`,
+    [target.coin, target.network, target.address, target.adapter.name, result ? result.cursor : null, error ? error.message : null]
+  );
+  return result ? result.transfers.length : 0;
+}
+
+/* -------------------- Matching and crediting -------------------- */
+
+// The user's pending deposit request this transfer pays, or null if there is
+// none or more than one could be meant. A request naming this transaction
+// hash wins; otherwise only requests without a hash are considered.
+async function findClaim(client, transfer) {
+  const txHash = deposits.normalizeTxHash(transfer.tx_hash);
+  const { rows } = await client.query(
+    `SELECT d.* FROM deposits d
+     WHERE d.status = 'pending' AND d.coin = $1 AND TRIM(d.address) = $2 AND d.amount = $3
+       AND (d.tx_hash IS NULL OR d.tx_hash = $4)
+       AND NOT EXISTS (SELECT 1 FROM chain_transfers ct WHERE ct.deposit_id = d.id)
+     ORDER BY d.id
+     FOR UPDATE OF d`,
+    [transfer.coin, transfer.to_address, transfer.amount, txHash]
+  );
+  const named = rows.find(d => d.tx_hash === txHash);
+  if (named) return named;
+  return rows.length === 1 && rows[0].tx_hash === null ? rows[0] : null;
+}
+
+// Approve and credit `deposit` from `transfer`. `transfer` must be locked.
+async function creditTransfer(client, transfer, deposit) {
+  // a no-op for a deposit an admin already approved
+  const result = await deposits.review(client, deposit.id, "approved");
+  if (!result.ok) throw new Error(`Deposit ${deposit.id} cannot be credited: ${result.reason}`);
+  const { rows } = await client.query(
+    `UPDATE chain_transfers
+     SET status = 'credited', deposit_id = $2, user_id = $3, credited_at = NOW(), updated_at = NOW()
+     WHERE id = $1 RETURNING *`,
+    [transfer.id, deposit.id, deposit.user_id]
+  );
+  return rows[0];
+}
+
+// A pending deposit for `userId` backed by `transfer`, carrying the
+// transaction hash unless `withHash` is false.
+async function openChainDeposit(client, transfer, userId, withHash = true) {
+  const { rows } = await client.query(
+    `INSERT INTO deposits (user_id, coin, amount, address, tx_hash, status, source)
+     VALUES ($1, $2, $3, $4, $5, 'pending', 'chain') RETURNING *`,
+    [userId, transfer.coin, transfer.amount, transfer.to_address, withHash ? deposits.normalizeTxHash(transfer.tx_hash) : null]
+  );
+  return rows[0];
+}
+
+// The deposit `transfer` should credit for `userId` (the owner of a personal
+// address, or the user an admin assigns it to). Deposits are unique per
+// transaction hash, so:
+//   - no deposit has the hash: a new chain deposit with it
+//   - the user's own pending or approved request for the same coin and
+//     amount has it: that request (crediting it again is a no-op)
+//   - an earlier output of the same transaction or a rejected request has
+//     it: a new chain deposit without the hash, nothing else can be paid
+//   - anything else (another user's request, a different amount): nothing.
+//     Opening a second deposit would let both be credited.
+// Returns { deposit } or { conflict } with the deposit holding the hash.
+async function depositFor(client, transfer, userId) {
+  const txHash = deposits.normalizeTxHash(transfer.tx_hash);
+  const { rows } = await client.query(
+    `SELECT d.*, EXISTS (SELECT 1 FROM chain_transfers ct WHERE ct.deposit_id = d.id AND ct.id <> $2) AS backed
+     FROM deposits d WHERE d.tx_hash = $1
+     FOR UPDATE OF d`,
+    [txHash, transfer.id]
+  );
+  const holder = rows[0];
+  if (!holder) return { deposit: await openChainDeposit(client, transfer, userId) };
+  if (holder.backed || holder.status === "rejected") {
+    return { deposit: await openChainDeposit(client, transfer, userId, false) };
+  }
+  const sameRequest = holder.user_id === userId && holder.coin === transfer.coin
+    && Number(holder.amount) === Number(transfer.amount);
+  if (sameRequest && ["pending", "approved"].includes(holder.status)) {
+    const { backed, ...deposit } = holder;
+    return { deposit };
+  }
+  return { conflict: holder };
+}
+
+// Attribute an unmatched transfer to `userId` (admin action) and credit it.
+// Throws an Error with status 409 when another deposit already claims the
+// transaction (see depositFor).
+async function assign(client, transfer, userId) {
+  const { deposit, conflict } = await depositFor(client, transfer, userId);
+  if (conflict) {
+    throw Object.assign(
+      new Error(`Transaction already claimed by deposit ${conflict.id} (user ${conflict.user_id}, ${conflict.status})`),
+      { status: 409 }
+    );
+  }
+  return creditTransfer(client, transfer, deposit);
+}
+
+function requiredConfirmations(transfer) {
+  const config = networks.configFor(transfer.coin, transfer.network);
+  return config ? config.confirmations : Infinity;
+}
+
+// Move one open transfer forward. Returns { id, status } or null when there
+// is nothing left to look at.
+async function processNextTransfer(skipIds) {
+  const client = await pool.connect();
+  try {
+    await client.query("BEGIN");
+    const { rows } = await client.query(
+      `SELECT * FROM chain_transfers
+       WHERE status IN ('pending', 'unmatched')
+         AND next_check_at <= NOW()
+         AND NOT (id = ANY($1::bigint[]))
+       ORDER BY (status = 'pending') DESC, next_check_at, id
+       LIMIT 1
+       FOR UPDATE SKIP LOCKED`,
+      [skipIds]
+    );
+    let transfer = rows[0];
+    if (!transfer) {
+      await client.query("ROLLBACK");
+      return null;
+    }
+
+    let deposit = null;
+    if (transfer.deposit_id) {
+      const { rows: linked } = await client.query("SELECT * FROM deposits WHERE id = $1 FOR UPDATE", [transfer.deposit_id]);
+      deposit = linked[0] || null;
+      if (deposit && deposit.status === "rejected") {
+        if (deposit.source === "chain") {
+          // an admin turned the deposit down: it stays with them to assign
+          await client.query(
+            `UPDATE chain_transfers
+             SET status = 'unmatched', next_check_at = NOW() + make_interval(secs => $2), updated_at = NOW()
+             WHERE id = $1`,
+            [transfer.id, UNMATCHED_RECHECK_MS / 1000]
+          );
+          await client.query("COMMIT");
+          return { id: transfer.id, status: "unmatched" };
+        }
+        // a rejected deposit request: look for another claim
+        deposit = null;
+      }
+    }
+    if (!deposit) {
+      const owner = await depositAddresses.ownerOf(client, {
+        coin: transfer.coin,
+        network: transfer.network,
+        address: transfer.to_address,
+      });
+      // a conflicting claim on the hash leaves the transfer for an admin
+      deposit = owner ? (await depositFor(client, transfer, owner)).deposit || null : await findClaim(client, transfer);
+    }
+
+    const confirmed = transfer.confirmations >= requiredConfirmations(transfer);
+    if (confirmed && deposit) {
+      transfer = await creditTransfer(client, transfer, deposit);
+    } else {
+      // pending: next tick, behind the others; unmatched: after the back-off
+      const { rows: updated } = await client.query(
+        `UPDATE chain_transfers
+         SET deposit_id = $2, user_id = $3, status = $4, updated_at = NOW(),
+             next_check_at = NOW() + make_interval(secs => $5)
+         WHERE id = $1 RETURNING *`,
+        [
+          transfer.id, deposit ? deposit.id : null, deposit ? deposit.user_id : null,
+          confirmed ? "unmatched" : "pending", confirmed ? UNMATCHED_RECHECK_MS / 1000 : 0,
+        ]
+      );
+      transfer = updated[0];
+    }
+    await client.query("COMMIT");
+    return { id: transfer.id, status: transfer.status };
+  } catch (err) {
+    await client.query("ROLLBACK");
+    throw err;
+  } finally {
+    client.release();
+  }
+}
+
+async function processTransfers() {
+  const credited = [];
+  const seen = [];
+  while (seen.length < MAX_PER_TICK) {
+    const outcome = await processNextTransfer(seen);
+    if (outcome === null) break;
+    seen.push(outcome.id);
+    if (outcome.status === "credited") credited.push(outcome.id);
+  }
+  return credited;
+}
+
+/* -------------------- Polling -------------------- */
+
+let timer = null;
+let running = false;
+
+// One full pass: scan every watched address, then process open transfers.
+// Exported so tests can step the watcher together with the mock adapter.
+async function tick() {
+  if (running) return [];
+  running = true;
+  try {
+    for (const target of await watchTargets()) {
+      await scan(target);
+    }
+    const credited = await processTransfers();
+    if (credited.length) console.log(`✅ Credited chain deposits: ${credited.join(", ")}`);
+    return credited;
+  } catch (err) {
+    console.error("Deposit watcher error:", err);
+    return [];
+  } finally {
+    running = false;
+  }
+}
+
+function start() {
+  if (timer || !isEnabled()) return;
+  tick();
+  timer = setInterval(tick, POLL_INTERVAL_MS);
+}
+
+function stop() {
+  if (timer) clearInterval(timer);
+  timer = null;
+}
+
+// Per-address scan state for the admin panel
+async function getStatus() {
+  const { rows } = await pool.query(
+    `SELECT coin, network, address, adapter, cursor, last_polled_at, last_error
+     FROM deposit_watch_cursors ORDER BY coin, network`
+  );
+  return { enabled: isEnabled(), adapters: configuredAdapters().map(a => a.name), addresses: rows };
+}
+
+module.exports = {
+  ADAPTERS,
+  start,
+  stop,
+  tick,
+  assign,
+  getStatus,
+};
@@ -0,0 +1,94 @@
+// services/deposits.js — deposit evidence and crediting approved deposits
+const ledger = require('./ledger');
+
+// Canonical form of a transaction hash, or null if it doesn't look like one.
+// Hex hashes (Bitcoin, EVM, Tron, XRP) are lower-cased and lose any 0x
+// prefix, so the same transaction can't be submitted twice in two spellings;
+// other encodings (Solana base58, TON base64) are kept as they are.
+function normalizeTxHash(value) {
+  const hash = String(value || '').trim();
+  if (/^(0x)?[0-9a-fA-F]{64}$/.test(hash)) return hash.replace(/^0x/, '').toLowerCase();
+  if (/^[A-Za-z0-9+/=_-]{32,128}$/.test(hash)) return hash;
+  return null;
+}
+
+// Credit a deposit to the user's main balance and snapshot the new balance in
+// balance_history. The ledger accepts only one 'deposit' entry per deposit
+// id, so crediting the same deposit twice fails instead of paying twice.
+// `client` must be inside an open transaction.
+async function credit(client, deposit) {
+  await ledger.post(client, {
+    refType: 'deposit',
+    refId: deposit.id,
+    lines: [
+      { account: 'user:main', userId: deposit.user_id, coin: deposit.coin, amount: deposit.amount },
+      { account: ledger.SYSTEM.DEPOSITS, coin: deposit.coin, amount: -deposit.amount },
+    ],
+  });
+
+  const { rows: balanceRows } = await client.query(
+    `SELECT balance FROM user_balances WHERE user_id = $1 AND coin = $2`,
+    [deposit.user_id, deposit.coin]
+  );
+  const newBalance = balanceRows[0] ? parseFloat(balanceRows[0].balance) : 0;
+
+  let price_usd = 1;
+  if (deposit.coin !== "USDT") {
+    const { rows: priceRows } = await client.query(
+      `SELECT price_usd FROM prices WHERE symbol = $1 ORDER BY updated_at DESC LIMIT 1`,
+      [deposit.coin]
+    );
+    price_usd = priceRows[0] ? parseFloat(priceRows[0].price_usd) : 1;
+    if (!price_usd || isNaN(price_usd)) price_usd = 1;
+  }
+
+  await client.query(
+    `INSERT INTO balance_history (user_id, coin, balance, price_usd, timestamp)
+     VALUES ($1, $2, $3, $4, NOW())`,
+    [deposit.user_id, deposit.coin, newBalance, price_usd]
+  );
+}
+
+// pending -> approved | rejected; both are final
+const TRANSITIONS = {
+  pending: ['approved', 'rejected'],
+};
+
+// Lock deposit `id` and approve or reject it -- the one entry point for
+// deposit reviews. Approving credits the deposit in the same transaction.
+// Repeating a review that already happened is a no-op reported as
+// unchanged: true, and the ledger's one-entry-per-deposit rule backs this
+// up, so a deposit can never be credited twice. `client` must be inside an
+// open transaction. Returns { ok: true, unchanged, deposit, before } or
+// { ok: false, reason: 'not_found' | 'invalid_transition', deposit }.
+async function review(client, id, status) {
+  const { rows } = await client.query('SELECT * FROM deposits WHERE id = $1 FOR UPDATE', [id]);
+  const deposit = rows[0];
+  if (!deposit) return { ok: false, reason: 'not_found', deposit: null };
+  const from = deposit.status || 'pending';
+  if (from === status) return { ok: true, unchanged: true, deposit, before: from };
+  if (!(TRANSITIONS[from] || []).includes(status)) {
+    return { ok: false, reason: 'invalid_transition', deposit };
+  }
+
+  await client.query('UPDATE deposits SET status = $1 WHERE id = $2', [status, id]);
+  if (status === 'approved') await credit(client, deposit);
+  return { ok: true, unchanged: false, deposit: { ...deposit, status }, before: from };
+}
+
+// HTTP status and body for a failed review()
+function failureResponse(result, to) {
+  if (result.reason === 'not_found') return { status: 404, body: { error: "Deposit not found" } };
+  return {
+    status: 409,
+    body: { error: `Cannot change a ${result.deposit.status} deposit to ${to}`, status: result.deposit.status },
+  };
+}
+
+module.exports = {
+  TRANSITIONS,
+  normalizeTxHash,
+  credit,
+  review,
+  failureResponse,
+};
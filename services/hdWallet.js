@@ -0,0 +1,118 @@
+// services/hdWallet.js — deposit addresses derived from extended public keys
+//
+// Only public keys live on the server: one account-level extended public key
+// per address family, and each deposit address is its external-chain child
+// 0/<index>. The matching private keys stay in the wallet that sweeps them.
+//
+//   DEPOSIT_XPUB_BITCOIN  BIP84 account key (zpub, or xpub/tpub/vpub) -> native segwit (bc1q...)
+//   DEPOSIT_XPUB_EVM      BIP44 m/44'/60'/0' account xpub           -> 0x... (ETH, ERC20 tokens)
+//   DEPOSIT_XPUB_TRON     BIP44 m/44'/195'/0' account xpub          -> T...  (TRC20)
+//
+// ed25519 chains (Solana, TON) have no public derivation, and XRP is left on
+// the shared address, so those keep the deposit_addresses entry.
+const { HDKey } = require('@scure/bip32');
+const { bech32, base58check } = require('@scure/base');
+const { secp256k1 } = require('@noble/curves/secp256k1');
+const { sha256 } = require('@noble/hashes/sha2');
+const { ripemd160 } = require('@noble/hashes/legacy');
+const { keccak_256 } = require('@noble/hashes/sha3');
+
+// SLIP-132 version bytes for the key prefixes we accept besides xpub
+const VERSIONS = {
+  zpub: { public: 0x04b24746, private: 0x04b2430c },
+  vpub: { public: 0x045f1cf6, private: 0x045f18bc },
+  tpub: { public: 0x043587cf, private: 0x04358394 },
+};
+const TESTNET_PREFIXES = ['tpub', 'vpub'];
+
+const ENV_KEYS = {
+  bitcoin: 'DEPOSIT_XPUB_BITCOIN',
+  evm: 'DEPOSIT_XPUB_EVM',
+  tron: 'DEPOSIT_XPUB_TRON',
+};
+
+const MAX_INDEX = 0x7fffffff; // non-hardened children only
+
+function hash160(bytes) {
+  return ripemd160(sha256(bytes));
+}
+
+function bitcoinAddress(publicKey, testnet) {
+  const words = bech32.toWords(hash160(publicKey));
+  return bech32.encode(testnet ? 'tb' : 'bc', [0, ...words]);
+}
+
+// Keccak of the uncompressed key without its 0x04 prefix, last 20 bytes
+function evmPayload(publicKey) {
+  const uncompressed = secp256k1.ProjectivePoint.fromHex(publicKey).toRawBytes(false);
+  return keccak_256(uncompressed.slice(1)).slice(-20);
+}
+
+function toChecksumAddress(payload) {
+  const hex = Buffer.from(payload).toString('hex');
+  const hash = Buffer.from(keccak_256(hex)).toString('hex');
+  let out = '0x';
+  for (let i = 0; i < hex.length; i++) {
+    out += parseInt(hash[i], 16) >= 8 ? hex[i].toUpperCase() : hex[i];
+  }
+  return out;
+}
+
+function tronAddress(publicKey) {
+  return base58check(sha256).encode(Uint8Array.from([0x41, ...evmPayload(publicKey)]));
+}
+
+const ENCODERS = {
+  bitcoin: (publicKey, testnet) => bitcoinAddress(publicKey, testnet),
+  evm: publicKey => toChecksumAddress(evmPayload(publicKey)),
+  tron: publicKey => tronAddress(publicKey),
+};
+
+const parsed = new Map(); // extended key string -> HDKey
+
+function parseKey(extendedKey) {
+  if (!parsed.has(extendedKey)) {
+    const versions = VERSIONS[extendedKey.slice(0, 4)];
+    const key = HDKey.fromExtendedKey(extendedKey, versions);
+    if (key.privateKey) throw new Error('HD_PRIVATE_KEY: configure an extended public key, not a private one');
+    parsed.set(extendedKey, key);
+  }
+  return parsed.get(extendedKey);
+}
+
+// The configured extended public key for an address family, or null
+function keyFor(addressType) {
+  const envKey = ENV_KEYS[addressType];
+  return (envKey && process.env[envKey]) || null;
+}
+
+function supports(addressType) {
+  return !!keyFor(addressType);
+}
+
+// Short id of the configured key (hex of its HASH160 fingerprint), stored
+// with every derived address so a key rotation never reuses old indexes.
+function fingerprint(addressType) {
+  const extendedKey = keyFor(addressType);
+  if (!extendedKey) return null;
+  return parseKey(extendedKey).fingerprint.toString(16).padStart(8, '0');
+}
+
+// Address at 0/<index> for an address family
+function deriveAddress(addressType, index) {
+  const extendedKey = keyFor(addressType);
+  if (!extendedKey) throw new Error(`HD_NOT_CONFIGURED: no extended public key for ${addressType}`);
+  if (!Number.isInteger(index) || index < 0 || index > MAX_INDEX) {
+    throw new Error(`HD_INVALID_INDEX: ${index}`);
+  }
+  const child = parseKey(extendedKey).deriveChild(0).deriveChild(index);
+  const testnet = TESTNET_PREFIXES.includes(extendedKey.slice(0, 4));
+  return ENCODERS[addressType](child.publicKey, testnet);
+}
+
+module.exports = {
+  ENV_KEYS,
+  supports,
+  fingerprint,
+  deriveAddress,
+};
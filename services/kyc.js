@@ -0,0 +1,344 @@
+// services/kyc.js — KYC submissions and their review
+//
+// Every attempt is a row in kyc_submissions with the document details and
+// files. users.kyc_status mirrors the latest submission's status, so the
+// rest of the app (withdrawal limit tiers, admin filters) keeps reading it.
+// A user can submit again only after a rejection.
+//
+// Document files live in the private `kyc` storage bucket (services/storage) and are referenced
+// by storage key only; admins read them through short-lived signed URLs
+// (signedFiles).
+const crypto = require('crypto');
+const pool = require('../db');
+const auditLog = require('./auditLog');
+const storage = require('./storage');
+const uploads = require('./uploads');
+
+const BUCKET = 'kyc';
+const FILE_FIELDS = ['selfie', 'id_card', 'id_card_back'];
+const SIGNED_URL_TTL = Number(process.env.KYC_SIGNED_URL_TTL) || 300; // seconds
+
+const DOCUMENT_TYPES = ['passport', 'national_id', 'drivers_licence'];
+const MIN_AGE = 18;
+
+// Verification levels, lowest first. A rejected or missing KYC counts as
+// unverified.
+const LEVELS = ['unverified', 'pending', 'approved'];
+
+// pending -> approved | rejected; both are final
+const TRANSITIONS = {
+  pending: ['approved', 'rejected'],
+};
+
+// What the user may see of a submission (no internal reviewer notes)
+const USER_COLUMNS = `id, status, document_type, country, document_number, first_name, last_name,
+  date_of_birth, rejection_reason, reviewed_at, created_at`;
+
+function badRequest(message) {
+  return Object.assign(new Error(message), { status: 400 });
+}
+
+function text(value) {
+  return typeof value === 'string' ? value.trim() : '';
+}
+
+function ageOn(dateOfBirth, now) {
+  const [year, month, day] = dateOfBirth.split('-').map(Number);
+  let age = now.getUTCFullYear() - year;
+  if (now.getUTCMonth() + 1 < month || (now.getUTCMonth() + 1 === month && now.getUTCDate() < day)) age--;
+  return age;
+}
+
+// users.kyc_status -> level
+function levelOf(kycStatus) {
+  const status = String(kycStatus || '').toLowerCase();
+  return status === 'approved' || status === 'pending' ? status : 'unverified';
+}
+
+function meetsLevel(kycStatus, level) {
+  return LEVELS.indexOf(levelOf(kycStatus)) >= LEVELS.indexOf(level);
+}
+
+// Check and normalize the document details of a submission. Throws an Error
+// with status 400 naming the first bad field.
+function validateDetails(body) {
+  const documentType = text(body.document_type).toLowerCase();
+  if (!DOCUMENT_TYPES.includes(documentType)) {
+    throw badRequest(`document_type must be one of: ${DOCUMENT_TYPES.join(', ')}`);
+  }
+  const country = text(body.country).toUpperCase();
+  if (!/^[A-Z]{2}$/.test(country)) throw badRequest('country must be a two-letter ISO code');
+  const documentNumber = text(body.document_number).toUpperCase();
+  if (!/^[A-Z0-9][A-Z0-9 -]{2,39}$/.test(documentNumber)) throw badRequest('Invalid document_number');
+
+  const firstName = text(body.first_name);
+  const lastName = text(body.last_name);
+  if (!firstName || firstName.length > 100) throw badRequest('Invalid first_name');
+  if (!lastName || lastName.length > 100) throw badRequest('Invalid last_name');
+
+  const dateOfBirth = text(body.date_of_birth);
+  const parsed = new Date(`${dateOfBirth}T00:00:00Z`);
+  if (!/^\d{4}-\d{2}-\d{2}$/.test(dateOfBirth) || isNaN(parsed) || parsed.toISOString().slice(0, 10) !== dateOfBirth) {
+    throw badRequest('date_of_birth must be YYYY-MM-DD');
+  }
+  const age = ageOn(dateOfBirth, new Date());
+  if (age > 120) throw badRequest('Invalid date_of_birth');
+  if (age < MIN_AGE) throw badRequest(`You must be at least ${MIN_AGE} years old`);
+
+  return {
+    document_type: documentType,
+    country,
+    document_number: documentNumber,
+    first_name: firstName,
+    last_name: lastName,
+    date_of_birth: dateOfBirth,
+  };
+}
+
+// Store a new pending submission for `userId` and mark the user pending.
+// `files` is { selfie, id_card, id_card_back } as storage keys. Throws
+// an Error with status 409 while a submission is under review or approved.
+// `client` must be inside an open transaction.
+async function submit(client, userId, details, files) {
+  const { rows: userRows } = await client.query('SELECT kyc_status FROM users WHERE id = $1 FOR UPDATE', [userId]);
+  if (!userRows[0]) throw Object.assign(new Error('User not found'), { status: 404 });
+  const current = String(userRows[0].kyc_status || 'unverified').toLowerCase();
+  if (current === 'pending' || current === 'approved') {
+    throw Object.assign(new Error(current === 'pending' ? 'Already under review' : 'Already verified'), { status: 409 });
+  }
+
+  const { rows } = await client.query(
+    `INSERT INTO kyc_submissions
+       (user_id, document_type, country, document_number, first_name, last_name, date_of_birth,
+        selfie, id_card, id_card_back)
+     VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10)
+     RETURNING *`,
+    [
+      userId, details.document_type, details.country, details.document_number,
+      details.first_name, details.last_name, details.date_of_birth,
+      files.selfie, files.id_card, files.id_card_back || null,
+    ]
+  );
+  await client.query(
+    `UPDATE users SET kyc_status = 'pending', kyc_selfie = $1, kyc_id_card = $2 WHERE id = $3`,
+    [files.selfie, files.id_card, userId]
+  );
+  return rows[0];
+}
+
+// Id of the user's submission under review, or null
+async function pendingFor(db, userId) {
+  const { rows } = await db.query(
+    `SELECT id FROM kyc_submissions WHERE user_id = $1 AND status = 'pending'`,
+    [userId]
+  );
+  return rows[0] ? rows[0].id : null;
+}
+
+// Lock submission `id` and approve or reject it. Rejecting needs a reason,
+// which the user gets to see; `note` is for other admins only. Repeating a
+// review that already happened is a no-op reported as unchanged: true.
+// `client` must be inside an open transaction. Returns
+// { ok: true, unchanged, submission, before } or
+// { ok: false, reason: 'not_found' | 'reason_required' | 'invalid_transition', submission }.
+async function review(client, id, status, admin, { reason, note } = {}) {
+  const { rows } = await client.query('SELECT * FROM kyc_submissions WHERE id = $1 FOR UPDATE', [id]);
+  const submission = rows[0];
+  if (!submission) return { ok: false, reason: 'not_found', submission: null };
+  const from = submission.status;
+  if (from === status) return { ok: true, unchanged: true, submission, before: from };
+  if (!(TRANSITIONS[from] || []).includes(status)) {
+    return { ok: false, reason: 'invalid_transition', submission };
+  }
+  const rejectionReason = text(reason);
+  if (status === 'rejected' && !rejectionReason) return { ok: false, reason: 'reason_required', submission };
+
+  const { rows: updated } = await client.query(
+    `UPDATE kyc_submissions
+     SET status = $2, rejection_reason = $3, reviewer_note = $4, reviewed_by = $5, reviewed_at = NOW()
+     WHERE id = $1 RETURNING *`,
+    [id, status, status === 'rejected' ? rejectionReason : null, text(note) || null, admin ? admin.id : null]
+  );
+  // a pending submission is always the user's latest (see submit)
+  await client.query('UPDATE users SET kyc_status = $1 WHERE id = $2', [status, submission.user_id]);
+  return { ok: true, unchanged: false, submission: updated[0], before: from };
+}
+
+// HTTP status and body for a failed review()
+function failureResponse(result, to) {
+  if (result.reason === 'not_found') return { status: 404, body: { error: "KYC submission not found" } };
+  if (result.reason === 'reason_required') return { status: 400, body: { error: "A reason is required to reject" } };
+  return {
+    status: 409,
+    body: { error: `Cannot change a ${result.submission.status} submission to ${to}`, status: result.submission.status },
+  };
+}
+
+// The admin review behind POST /api/admin/kyc-status and POST
+// /api/kyc/admin/status. Body: { submission_id, status: approved|rejected,
+// reason?, note? }; user_id instead of submission_id reviews that user's
+// pending submission. Reviews and audit-logs in one transaction and returns
+// { status, body } for the response.
+async function reviewRequest(req) {
+  const { submission_id, user_id, status, reason, note } = req.body || {};
+  if ((!submission_id && !user_id) || !['approved', 'rejected'].includes(status)) {
+    return { status: 400, body: { error: "Invalid input" } };
+  }
+  const client = await pool.connect();
+  try {
+    await client.query('BEGIN');
+    const id = submission_id || await pendingFor(client, user_id);
+    if (!id) {
+      await client.query('ROLLBACK');
+      return { status: 404, body: { error: "No pending KYC submission for this user" } };
+    }
+    const result = await review(client, id, status, req.admin, { reason, note });
+    if (!result.ok) {
+      await client.query('ROLLBACK');
+      return failureResponse(result, status);
+    }
+    if (!result.unchanged) {
+      await auditLog.record(client, req, {
+        action: 'kyc.status',
+        targetType: 'kyc_submission',
+        targetId: result.submission.id,
+        before: { status: result.before },
+        after: {
+          status,
+          user_id: result.submission.user_id,
+          rejection_reason: result.submission.rejection_reason,
+          reviewer_note: result.submission.reviewer_note,
+        },
+      });
+    }
+    await client.query('COMMIT');
+    return { status: 200, body: { success: true, unchanged: result.unchanged, submission: result.submission } };
+  } catch (err) {
+    await client.query('ROLLBACK');
+    console.error("KYC review error:", err);
+    return { status: 500, body: { error: "Database error" } };
+  } finally {
+    client.release();
+  }
+}
+
+// The user's submissions, newest first, without reviewer notes
+async function historyFor(userId) {
+  const { rows } = await pool.query(
+    `SELECT ${USER_COLUMNS} FROM kyc_submissions WHERE user_id = $1 ORDER BY created_at DESC, id DESC`,
+    [userId]
+  );
+  return rows;
+}
+
+// The user's latest submission (user-visible columns), or null
+async function latestFor(userId) {
+  const { rows } = await pool.query(
+    `SELECT ${USER_COLUMNS} FROM kyc_submissions WHERE user_id = $1 ORDER BY created_at DESC, id DESC LIMIT 1`,
+    [userId]
+  );
+  return rows[0] || null;
+}
+
+// One submission with everything an admin sees, or null
+async function get(id) {
+  const { rows } = await pool.query(
+    `SELECT s.*, u.username, u.email, a.email AS reviewed_by_email
+     FROM kyc_submissions s
+     JOIN users u ON s.user_id = u.id
+     LEFT JOIN admin_users a ON s.reviewed_by = a.id
+     WHERE s.id = $1`,
+    [id]
+  );
+  return rows[0] || null;
+}
+
+/* -------------------- Document files -------------------- */
+
+// Rules for document files, checked like /api/upload buckets
+const FILE_SPEC = {
+  purpose: 'KYC documents',
+  types: ['image/png', 'image/jpeg', 'image/webp', 'application/pdf'],
+  maxBytes: 10 * 1024 * 1024,
+};
+
+// Check a document file (multer); same result shape as uploads.validate
+function validateFile(file) {
+  return uploads.validate(BUCKET, file, FILE_SPEC);
+}
+
+// Upload one document to the private bucket; returns its storage key.
+// `file` must have passed validateFile.
+async function storeFile(userId, field, file) {
+  const { contentType, extension } = validateFile(file);
+  const key = `${userId}/${field.replace(/_/g, '')}-${Date.now()}-${crypto.randomBytes(4).toString('hex')}.${extension}`;
+  try {
+    await storage.put(BUCKET, key, file.buffer, { contentType });
+  } catch (err) {
+    throw new Error(`KYC upload failed: ${err.message}`);
+  }
+  return key;
+}
+
+// { selfie, id_card, id_card_back } -> signed URL (or null) for a
+// submission's files, valid for SIGNED_URL_TTL seconds
+async function signedFiles(submission) {
+  const files = {};
+  for (const field of FILE_FIELDS) {
+    const key = submission[field];
+    if (!key) {
+      files[field] = null;
+      continue;
+    }
+    try {
+      files[field] = await storage.signedUrl(BUCKET, key, SIGNED_URL_TTL);
+    } catch (err) {
+      throw new Error(`KYC signed URL failed: ${err.message}`);
+    }
+  }
+  return { files, expires_in: SIGNED_URL_TTL };
+}
+
+// Every stored document key of a user, for deleting the account
+async function fileKeysFor(db, userId) {
+  const { rows } = await db.query(
+    `SELECT selfie, id_card, id_card_back FROM kyc_submissions WHERE user_id = $1`,
+    [userId]
+  );
+  return [...new Set(rows.flatMap(row => FILE_FIELDS.map(f => row[f]).filter(Boolean)))];
+}
+
+// Best effort: a failure is logged, not thrown
+async function removeFiles(keys) {
+  try {
+    await storage.remove(BUCKET, keys);
+  } catch (err) {
+    console.error('KYC file removal failed:', err.message);
+  }
+}
+
+module.exports = {
+  BUCKET,
+  FILE_FIELDS,
+  SIGNED_URL_TTL,
+  FILE_SPEC,
+  DOCUMENT_TYPES,
+  LEVELS,
+  TRANSITIONS,
+  levelOf,
+  meetsLevel,
+  validateDetails,
+  submit,
+  pendingFor,
+  review,
+  failureResponse,
+  reviewRequest,
+  historyFor,
+  latestFor,
+  get,
+  validateFile,
+  storeFile,
+  signedFiles,
+  fileKeysFor,
+  removeFiles,
+};
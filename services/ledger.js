@@ -0,0 +1,201 @@
+// services/ledger.js
+// Double-entry journal for every balance mutation.
+//
+// Each entry is a set of lines whose amounts sum to zero per coin. Lines on a
+// user account ("user:main", "user:earn", "user:frozen") are also applied to
+// the wallet table column that projects that account, so user_balances /
+// earn_wallet can always be re-derived from (and checked against) the journal.
+const pool = require('../db');
+
+// User accounts and the wallet table/column that mirrors them
+const USER_ACCOUNTS = {
+  'user:main': { table: 'user_balances', column: 'balance' },
+  'user:earn': { table: 'earn_wallet', column: 'balance' },
+  // funds held for pending withdrawals
+  'user:frozen': { table: 'user_balances', column: 'frozen' },
+};
+
+// Counter-accounts on the platform side
+const SYSTEM = {
+  OPENING: 'system:opening',
+  DEPOSITS: 'system:deposits',
+  WITHDRAWALS: 'system:withdrawals',
+  TRADES: 'system:trades',
+  CONVERSIONS: 'system:conversions',
+  FEES: 'system:fees',
+  CLOSED: 'system:closed',
+};
+
+const SCALE = 8; // decimals used when checking that an entry balances
+
+function toUnits(amount) {
+  return BigInt(Number(amount).toFixed(SCALE).replace('.', ''));
+}
+
+function isUserAccount(account) {
+  return Object.prototype.hasOwnProperty.call(USER_ACCOUNTS, account);
+}
+
+function validateLines(lines) {
+  if (!Array.isArray(lines) || lines.length < 2) {
+    throw new Error('LEDGER_INVALID_ENTRY: an entry needs at least two lines');
+  }
+  const totals = {};
+  for (const line of lines) {
+    const amount = Number(line.amount);
+    if (!line.account || !line.coin || !isFinite(amount) || amount === 0) {
+      throw new Error('LEDGER_INVALID_LINE: ' + JSON.stringify(line));
+    }
+    if (isUserAccount(line.account) && !line.userId) {
+      throw new Error(`LEDGER_INVALID_LINE: ${line.account} requires a userId`);
+    }
+    totals[line.coin] = (totals[line.coin] || 0n) + toUnits(amount);
+  }
+  for (const [coin, total] of Object.entries(totals)) {
+    if (total !== 0n) {
+      throw new Error(`LEDGER_UNBALANCED: ${coin} lines sum to ${total} units`);
+    }
+  }
+}
+
+// Write a balanced entry and apply it to the wallet projections.
+// `client` must be a pool client inside an open transaction.
+//
+//   await ledger.post(client, {
+//     refType: 'deposit', refId: deposit.id,
+//     lines: [
+//       { account: 'user:main', userId, coin, amount: 10 },
+//       { account: ledger.SYSTEM.DEPOSITS, coin, amount: -10 },
+//     ],
+//   });
+async function post(client, { refType, refId = null, memo = null, lines }) {
+  if (!refType) throw new Error('LEDGER_INVALID_ENTRY: refType is required');
+  validateLines(lines);
+
+  const { rows } = await client.query(
+    `INSERT INTO ledger_entries (ref_type, ref_id, memo)
+     VALUES ($1, $2, $3) RETURNING id`,
+    [refType, refId === null ? null : String(refId), memo]
+  );
+  const entryId = rows[0].id;
+
+  for (const line of lines) {
+    const amount = Number(line.amount).toFixed(SCALE);
+    await client.query(
+      `INSERT INTO ledger_lines (entry_id, account, user_id, coin, amount)
+       VALUES ($1, $2, $3, $4, $5)`,
+      [entryId, line.account, line.userId || null, line.coin, amount]
+    );
+
+    const projection = USER_ACCOUNTS[line.account];
+    if (projection) {
+      await client.query(
+        `INSERT INTO ${projection.table} (user_id, coin, ${projection.column})
+         VALUES ($1, $2, $3)
+         ON CONFLICT (user_id, coin)
+         DO UPDATE SET ${projection.column} = ${projection.table}.${projection.column} + EXCLUDED.${projection.column}`,
+        [line.userId, line.coin, amount]
+      );
+    }
+  }
+
+  return entryId;
+}
+
+// Journal balance vs. projected balance for every user account that
+// disagrees. Pass a userId to limit the check to one user.
+async function reconcile(userId = null, db = pool) {
+  const mismatches = [];
+  for (const [account, { table, column }] of Object.entries(USER_ACCOUNTS)) {
+    const params = [account];
+    let userFilter = '';
+    if (userId !== null) {
+      params.push(userId);
+      userFilter = 'AND user_id = $2';
+    }
+    const { rows } = await db.query(
+      `WITH journal AS (
+         SELECT user_id, coin, SUM(amount) AS balance
+         FROM ledger_lines
+         WHERE account = $1 ${userFilter}
+         GROUP BY user_id, coin
+       ),
+       projected AS (
+         SELECT user_id, coin, ${column} AS balance
+         FROM ${table}
+         WHERE TRUE ${userFilter}
+       )
+       SELECT COALESCE(j.user_id, p.user_id) AS user_id,
+              COALESCE(j.coin, p.coin) AS coin,
+              COALESCE(j.balance, 0) AS journal_balance,
+              COALESCE(p.balance, 0) AS projected_balance
+       FROM journal j
+       FULL OUTER JOIN projected p ON p.user_id = j.user_id AND p.coin = j.coin
+       WHERE COALESCE(j.balance, 0) <> COALESCE(p.balance, 0)
+       ORDER BY 1, 2`,
+      params
+    );
+    for (const row of rows) {
+      mismatches.push({
+        account,
+        user_id: row.user_id,
+        coin: row.coin,
+        journal_balance: Number(row.journal_balance),
+        projected_balance: Number(row.projected_balance),
+        difference: Number(row.projected_balance) - Number(row.journal_balance),
+      });
+    }
+  }
+  return mismatches;
+}
+
+// Overwrite a user's wallet projections with the balances derived from the
+// journal. `client` must be inside an open transaction.
+async function rebuild(client, userId) {
+  for (const [account, { table, column }] of Object.entries(USER_ACCOUNTS)) {
+    await client.query(
+      `UPDATE ${table} SET ${column} = 0 WHERE user_id = $1`,
+      [userId]
+    );
+    await client.query(
+      `INSERT INTO ${table} (user_id, coin, ${column})
+       SELECT user_id, coin, SUM(amount)
+       FROM ledger_lines
+       WHERE account = $1 AND user_id = $2
+       GROUP BY user_id, coin
+       ON CONFLICT (user_id, coin)
+       DO UPDATE SET ${column} = EXCLUDED.${column}`,
+      [account, userId]
+    );
+  }
+}
+
+// Move everything a user still holds to the closed-accounts system account,
+// e.g. before the user row is deleted. Returns the entry id, or null if the
+// user held nothing.
+async function close(client, userId) {
+  const { rows } = await client.query(
+    `SELECT account, coin, SUM(amount) AS balance
+     FROM ledger_lines
+     WHERE user_id = $1
+     GROUP BY account, coin
+     HAVING SUM(amount) <> 0`,
+    [userId]
+  );
+  if (rows.length === 0) return null;
+
+  const lines = [];
+  for (const row of rows) {
+    lines.push({ account: row.account, userId, coin: row.coin, amount: -row.balance });
+    lines.push({ account: SYSTEM.CLOSED, coin: row.coin, amount: row.balance });
+  }
+  return post(client, { refType: 'account_closed', refId: userId, lines });
+}
+
+module.exports = {
+  SYSTEM,
+  post,
+  close,
+  reconcile,
+  rebuild,
+};
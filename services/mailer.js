@@ -0,0 +1,17 @@
+// services/mailer.js — outgoing email (Gmail via nodemailer)
+const nodemailer = require('nodemailer');
+
+const transporter = nodemailer.createTransport({
+  service: 'gmail',
+  auth: {
+    user: process.env.EMAIL_USER,
+    pass: process.env.EMAIL_PASS,
+  },
+});
+
+// Resolves when the message is accepted by the mail server
+function sendMail({ to, subject, text }) {
+  return transporter.sendMail({ from: process.env.EMAIL_USER, to, subject, text });
+}
+
+module.exports = { sendMail };
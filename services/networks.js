@@ -0,0 +1,214 @@
+// services/networks.js — withdrawal networks per coin
+//
+// DEFAULT_NETWORKS below is the built-in catalogue. Point NETWORKS_FILE at a
+// JSON file of the same shape to override it: entries are merged per coin and
+// network, so a file can change one fee, disable a network ("enabled": false)
+// or add a new one. Amounts (min_withdrawal, fee) are in units of the coin.
+// confirmations is how many blocks an incoming transfer needs before the
+// deposit watcher credits it.
+//
+// memo describes the extra field some chains need to route a transfer:
+//   { field: 'destination_tag', type: 'tag' }  -- XRP, uint32
+//   { field: 'memo', type: 'text' }            -- TON comment, up to 120 chars
+const fs = require('fs');
+const addressFormats = require('./addressFormats');
+
+const DEFAULT_NETWORKS = {
+  USDT: {
+    TRC20: { name: 'Tron (TRC20)', address_type: 'tron', min_withdrawal: 10, fee: 1, confirmations: 20 },
+    ERC20: { name: 'Ethereum (ERC20)', address_type: 'evm', min_withdrawal: 20, fee: 5, confirmations: 12 },
+  },
+  BTC: {
+    BTC: { name: 'Bitcoin', address_type: 'bitcoin', min_withdrawal: 0.0005, fee: 0.0002, confirmations: 2 },
+  },
+  ETH: {
+    ERC20: { name: 'Ethereum', address_type: 'evm', min_withdrawal: 0.01, fee: 0.002, confirmations: 12 },
+  },
+  SOL: {
+    SOL: { name: 'Solana', address_type: 'solana', min_withdrawal: 0.1, fee: 0.01, confirmations: 32 },
+  },
+  XRP: {
+    XRP: {
+      name: 'XRP Ledger',
+      address_type: 'xrp',
+      min_withdrawal: 20,
+      fee: 0.25,
+      confirmations: 1,
+      memo: { field: 'destination_tag', type: 'tag', required: false },
+    },
+  },
+  TON: {
+    TON: {
+      name: 'TON',
+      address_type: 'ton',
+      min_withdrawal: 1,
+      fee: 0.05,
+      confirmations: 1,
+      memo: { field: 'memo', type: 'text', required: false },
+    },
+  },
+};
+
+const MEMO_TEXT_MAX = 120;
+
+let catalogue = null;
+
+function load() {
+  const merged = JSON.parse(JSON.stringify(DEFAULT_NETWORKS));
+  const file = process.env.NETWORKS_FILE;
+  if (file) {
+    const overrides = JSON.parse(fs.readFileSync(file, 'utf8'));
+    for (const [coin, networks] of Object.entries(overrides)) {
+      merged[coin] = merged[coin] || {};
+      for (const [key, config] of Object.entries(networks)) {
+        merged[coin][key] = { ...merged[coin][key], ...config };
+      }
+    }
+  }
+  for (const [coin, networks] of Object.entries(merged)) {
+    for (const [key, config] of Object.entries(networks)) {
+      if (!addressFormats.TYPES.includes(config.address_type)) {
+        throw new Error(`Network ${coin}/${key}: unknown address_type "${config.address_type}"`);
+      }
+      config.enabled = config.enabled !== false;
+      config.confirmations = config.confirmations || 1;
+    }
+  }
+  return merged;
+}
+
+function getCatalogue() {
+  if (!catalogue) catalogue = load();
+  return catalogue;
+}
+
+// Enabled networks, in the public shape served to clients
+function list() {
+  const out = {};
+  for (const [coin, networks] of Object.entries(getCatalogue())) {
+    out[coin] = Object.entries(networks)
+      .filter(([, n]) => n.enabled)
+      .map(([key, n]) => ({
+        network: key,
+        name: n.name,
+        min_withdrawal: n.min_withdrawal,
+        fee: n.fee,
+        memo: n.memo || null,
+        deposit_confirmations: n.confirmations,
+      }));
+  }
+  return out;
+}
+
+function fail(code, error) {
+  return { ok: false, code, error };
+}
+
+function checkMemo(spec, value) {
+  const empty = value === undefined || value === null || value === '';
+  if (!spec) return empty ? { ok: true, memo: null } : fail('MEMO_NOT_SUPPORTED', 'This network does not take a memo or tag');
+  if (empty) {
+    return spec.required ? fail('MEMO_REQUIRED', `${spec.field} is required on this network`) : { ok: true, memo: null };
+  }
+  const text = String(value).trim();
+  if (spec.type === 'tag') {
+    if (!/^\d{1,10}$/.test(text) || Number(text) > 0xffffffff) {
+      return fail('INVALID_MEMO', `${spec.field} must be a whole number between 0 and 4294967295`);
+    }
+  } else if (text.length > MEMO_TEXT_MAX) {
+    return fail('INVALID_MEMO', `${spec.field} must be at most ${MEMO_TEXT_MAX} characters`);
+  }
+  return { ok: true, memo: text };
+}
+
+// Check a destination against the catalogue. `network` may be omitted for
+// coins with a single enabled network. `memo` is the value of the network's
+// memo field (destination_tag / memo). Returns
+// { ok: true, network, address, memo, config } or { ok: false, code, error }.
+function validateDestination({ coin, network, address, memo }) {
+  const networks = getCatalogue()[coin];
+  if (!networks) return fail('UNSUPPORTED_COIN', `Withdrawals of ${coin} are not supported`);
+
+  const enabled = Object.keys(networks).filter(key => networks[key].enabled);
+  let key = network ? String(network).toUpperCase() : null;
+  if (!key) {
+    if (enabled.length !== 1) {
+      return fail('NETWORK_REQUIRED', `Choose a network for ${coin}: ${enabled.join(', ')}`);
+    }
+    key = enabled[0];
+  }
+  const config = networks[key];
+  if (!config || !config.enabled) {
+    return fail('UNSUPPORTED_NETWORK', `${coin} cannot be withdrawn on ${key}. Available: ${enabled.join(', ')}`);
+  }
+
+  const cleanAddress = String(address || '').trim();
+  if (!addressFormats.isValid(config.address_type, cleanAddress)) {
+    return fail('INVALID_ADDRESS', `Invalid ${config.name} address`);
+  }
+
+  const memoCheck = checkMemo(config.memo, memo);
+  if (!memoCheck.ok) return memoCheck;
+
+  return { ok: true, network: key, address: cleanAddress, memo: memoCheck.memo, config };
+}
+
+// validateDestination() plus the network's minimum and fee. Returns
+// { ok: true, network, address, memo, fee, receive_amount } or
+// { ok: false, code, error }.
+function validateWithdrawal({ coin, network, address, memo, amount }) {
+  const destination = validateDestination({ coin, network, address, memo });
+  if (!destination.ok) return destination;
+  const { config } = destination;
+
+  const value = Number(amount);
+  if (value < config.min_withdrawal) {
+    return fail('BELOW_MINIMUM', `Minimum withdrawal on ${config.name} is ${config.min_withdrawal} ${coin}`);
+  }
+  if (value <= config.fee) {
+    return fail('BELOW_MINIMUM', `Amount must be more than the ${config.fee} ${coin} network fee`);
+  }
+
+  return {
+    ok: true,
+    network: destination.network,
+    address: destination.address,
+    memo: destination.memo,
+    fee: config.fee,
+    receive_amount: Number((value - config.fee).toFixed(8)),
+  };
+}
+
+// Catalogue entry for coin/network, or null if unknown or disabled
+function configFor(coin, network) {
+  const config = (getCatalogue()[coin] || {})[network];
+  return config && config.enabled ? config : null;
+}
+
+// Which of a coin's networks an address belongs to, judged by its format
+// (e.g. a USDT address starting with T is TRC20). Returns
+// { network, config } or null.
+function networkForAddress(coin, address) {
+  const networks = getCatalogue()[coin] || {};
+  for (const [key, config] of Object.entries(networks)) {
+    if (addressFormats.isValid(config.address_type, String(address || '').trim())) {
+      return { network: key, config };
+    }
+  }
+  return null;
+}
+
+// Drop the cached catalogue (e.g. after changing NETWORKS_FILE)
+function reload() {
+  catalogue = null;
+}
+
+module.exports = {
+  DEFAULT_NETWORKS,
+  list,
+  validateDestination,
+  validateWithdrawal,
+  networkForAddress,
+  configFor,
+  reload,
+};
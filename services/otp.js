@@ -0,0 +1,152 @@
+// services/otp.js — one-time codes sent by email
+//
+// Each code has a purpose and is only valid for that purpose. Codes are stored
+// as an HMAC (never in plain text), expire after CODE_TTL_MINUTES, allow
+// MAX_ATTEMPTS wrong guesses, are single-use, and a new one cannot be issued
+// for the same user and purpose within RESEND_COOLDOWN_SECONDS.
+//
+// An optional `subject` ties a code to one object (e.g. the address-book entry
+// being confirmed): it only verifies for that subject, and codes for
+// different subjects don't replace or throttle each other.
+const crypto = require('crypto');
+const pool = require('../db');
+
+// Withdrawals are confirmed with a TOTP code (services/twoFactor.js), not
+// an emailed one
+const PURPOSES = {
+  VERIFY_EMAIL: 'verify-email',
+  RESET_PASSWORD: 'reset-password',
+  ADDRESS_CONFIRM: 'address-confirm',
+};
+
+const CODE_TTL_MINUTES = Number(process.env.OTP_TTL_MINUTES) || 10;
+const MAX_ATTEMPTS = Number(process.env.OTP_MAX_ATTEMPTS) || 5;
+const RESEND_COOLDOWN_SECONDS = Number(process.env.OTP_RESEND_COOLDOWN_SECONDS) || 60;
+
+function assertPurpose(purpose) {
+  if (!Object.values(PURPOSES).includes(purpose)) {
+    throw new Error(`Unknown OTP purpose: ${purpose}`);
+  }
+}
+
+function hashCode(userId, purpose, subject, code) {
+  const secret = process.env.OTP_SECRET || process.env.JWT_SECRET;
+  if (!secret) throw new Error('Server missing OTP secret');
+  const scope = subject === null ? purpose : `${purpose}/${subject}`;
+  return crypto
+    .createHmac('sha256', secret)
+    .update(`${userId}:${scope}:${code}`)
+    .digest('hex');
+}
+
+function normalizeSubject(subject) {
+  return subject === undefined || subject === null ? null : String(subject);
+}
+
+// Create a new code for (userId, purpose), replacing any unused one.
+// Returns { ok: true, code, expiresInMinutes } or
+//         { ok: false, reason: 'throttled', retryAfter } (seconds).
+async function issue(userId, purpose, { subject } = {}) {
+  assertPurpose(purpose);
+  subject = normalizeSubject(subject);
+  const client = await pool.connect();
+  try {
+    await client.query('BEGIN');
+
+    // serialize issuing per user so two requests cannot both pass the cooldown
+    await client.query('SELECT id FROM users WHERE id = $1 FOR UPDATE', [userId]);
+
+    const { rows } = await client.query(
+      `SELECT CEIL(EXTRACT(EPOCH FROM (created_at + make_interval(secs => $3) - NOW()))) AS wait
+       FROM otp_codes
+       WHERE user_id = $1 AND purpose = $2 AND subject IS NOT DISTINCT FROM $4
+         AND created_at > NOW() - make_interval(secs => $3)
+       ORDER BY created_at DESC
+       LIMIT 1`,
+      [userId, purpose, RESEND_COOLDOWN_SECONDS, subject]
+    );
+    if (rows[0]) {
+      await client.query('ROLLBACK');
+      return { ok: false, reason: 'throttled', retryAfter: Math.max(1, Number(rows[0].wait)) };
+    }
+
+    // only the newest code is ever valid
+    await client.query(
+      `UPDATE otp_codes SET consumed_at = NOW()
+       WHERE user_id = $1 AND purpose = $2 AND subject IS NOT DISTINCT FROM $3 AND consumed_at IS NULL`,
+      [userId, purpose, subject]
+    );
+
+    const code = crypto.randomInt(100000, 1000000).toString();
+    await client.query(
+      `INSERT INTO otp_codes (user_id, purpose, subject, code_hash, expires_at, max_attempts)
+       VALUES ($1, $2, $3, $4, NOW() + make_interval(mins => $5), $6)`,
+      [userId, purpose, subject, hashCode(userId, purpose, subject, code), CODE_TTL_MINUTES, MAX_ATTEMPTS]
+    );
+
+    await client.query('COMMIT');
+    return { ok: true, code, expiresInMinutes: CODE_TTL_MINUTES };
+  } catch (err) {
+    await client.query('ROLLBACK');
+    throw err;
+  } finally {
+    client.release();
+  }
+}
+
+// Check and consume a code. Returns { ok: true } or
+// { ok: false, reason: 'not_found' | 'expired' | 'too_many_attempts' | 'invalid', attemptsLeft? }.
+async function verify(userId, purpose, code, { subject } = {}) {
+  assertPurpose(purpose);
+  subject = normalizeSubject(subject);
+  const client = await pool.connect();
+  try {
+    await client.query('BEGIN');
+    const { rows } = await client.query(
+      `SELECT id, code_hash, attempts, max_attempts, expires_at <= NOW() AS expired
+       FROM otp_codes
+       WHERE user_id = $1 AND purpose = $2 AND subject IS NOT DISTINCT FROM $3 AND consumed_at IS NULL
+       ORDER BY created_at DESC
+       LIMIT 1
+       FOR UPDATE`,
+      [userId, purpose, subject]
+    );
+    const row = rows[0];
+
+    let result;
+    if (!row) {
+      result = { ok: false, reason: 'not_found' };
+    } else if (row.expired) {
+      result = { ok: false, reason: 'expired' };
+    } else if (row.attempts >= row.max_attempts) {
+      result = { ok: false, reason: 'too_many_attempts' };
+    } else {
+      const expected = Buffer.from(row.code_hash, 'hex');
+      const actual = Buffer.from(hashCode(userId, purpose, subject, String(code || '').trim()), 'hex');
+      if (crypto.timingSafeEqual(expected, actual)) {
+        await client.query('UPDATE otp_codes SET consumed_at = NOW() WHERE id = $1', [row.id]);
+        result = { ok: true };
+      } else {
+        await client.query('UPDATE otp_codes SET attempts = attempts + 1 WHERE id = $1', [row.id]);
+        const attemptsLeft = row.max_attempts - row.attempts - 1;
+        result = attemptsLeft > 0
+          ? { ok: false, reason: 'invalid', attemptsLeft }
+          : { ok: false, reason: 'too_many_attempts' };
+      }
+    }
+
+    await client.query('COMMIT');
+    return result;
+  } catch (err) {
+    await client.query('ROLLBACK');
+    throw err;
+  } finally {
+    client.release();
+  }
+}
+
+module.exports = {
+  PURPOSES,
+  issue,
+  verify,
+};
@@ -0,0 +1,68 @@
+// services/passwords.js — the only code that reads or writes users.password
+//
+// Every write stores a bcrypt hash and logs the user out everywhere. Accounts created before hashing still
+// hold plain text; verifyAndUpgrade() re-hashes those the first time the
+// user logs in successfully, and countUnmigrated() reports how many are left.
+const bcrypt = require('bcrypt');
+const crypto = require('crypto');
+const pool = require('../db');
+const sessions = require('./sessions');
+
+const SALT_ROUNDS = 10;
+
+function isHashed(stored) {
+  return typeof stored === 'string' && /^\$2[aby]\$/.test(stored);
+}
+
+function hash(plain) {
+  return bcrypt.hash(plain, SALT_ROUNDS);
+}
+
+// Compare a candidate password with the stored value (hash or legacy plain text)
+async function verify(plain, stored) {
+  if (typeof plain !== 'string' || typeof stored !== 'string' || !stored) return false;
+  if (isHashed(stored)) return bcrypt.compare(plain, stored);
+
+  // legacy plain text: constant-time compare of equal-length digests
+  const a = crypto.createHash('sha256').update(plain).digest();
+  const b = crypto.createHash('sha256').update(stored).digest();
+  return crypto.timingSafeEqual(a, b);
+}
+
+// Verify at login. A legacy plain-text match is replaced by its hash; the
+// WHERE on the old value keeps a concurrent password change from being undone.
+async function verifyAndUpgrade(user, plain) {
+  const match = await verify(plain, user.password);
+  if (match && !isHashed(user.password)) {
+    await pool.query(
+      'UPDATE users SET password = $1 WHERE id = $2 AND password = $3',
+      [await hash(plain), user.id, user.password]
+    );
+  }
+  return match;
+}
+
+// Store a new password and revoke every existing session of the user.
+// Returns the number of sessions revoked.
+async function setPassword(userId, plain, db = pool) {
+  await db.query('UPDATE users SET password = $1 WHERE id = $2', [await hash(plain), userId]);
+  return sessions.revokeAll(userId, db);
+}
+
+// Number of accounts whose password is still stored in plain text
+async function countUnmigrated() {
+  const { rows } = await pool.query(
+    `SELECT COUNT(*) AS count FROM users
+     WHERE password IS NOT NULL AND password !~ '^\\$2[aby]\\$'`
+  );
+  return Number(rows[0].count);
+}
+
+module.exports = {
+  hash,
+  verify,
+  verifyAndUpgrade,
+  setPassword,
+  countUnmigrated,
+  isHashed,
+};
@@ -0,0 +1,201 @@
+// services/priceOracle/index.js — the single price source for trade, convert and prices
+//
+// Providers are tried in a fixed order (PROVIDER_ORDER), skipping any that do
+// not list the asset or are cooling down after repeated failures. Results go
+// into one shared cache, and every quote says which provider produced it and
+// when it was observed. Set PRICE_PROVIDERS=fixture to run fully offline.
+const { normalizeSymbol, resolveSymbol, getAsset } = require("./symbols");
+
+const PROVIDERS = {
+  twelvedata: require("./providers/twelvedata"),
+  coingecko: require("./providers/coingecko"),
+  binance: require("./providers/binance"),
+  coinbase: require("./providers/coinbase"),
+  fixture: require("./providers/fixture"),
+};
+
+const PROVIDER_ORDER = ["twelvedata", "coingecko", "binance", "coinbase"];
+
+const QUOTE_TTL_MS = 10_000;
+const MARKET_TTL_MS = 60_000;
+const LIST_TTL_MS = 10_000;
+const STALE_OK_MS = 5 * 60_000;
+
+// A provider that fails this many times in a row is skipped for a while
+const FAILURE_THRESHOLD = 3;
+const COOLDOWN_MS = 30_000;
+
+function providerOrder() {
+  const configured = process.env.PRICE_PROVIDERS;
+  const names = configured
+    ? configured.split(",").map(s => s.trim()).filter(Boolean)
+    : PROVIDER_ORDER;
+  return names.map(name => {
+    if (!PROVIDERS[name]) throw new Error(`Unknown price provider: ${name}`);
+    return PROVIDERS[name];
+  });
+}
+
+/* -------------------- Health -------------------- */
+const health = {};
+
+function healthOf(name) {
+  if (!health[name]) {
+    health[name] = {
+      successes: 0,
+      failures: 0,
+      consecutive_failures: 0,
+      last_error: null,
+      last_success_at: null,
+      last_failure_at: null,
+      cooldown_until: null,
+    };
+  }
+  return health[name];
+}
+
+function recordSuccess(name) {
+  const h = healthOf(name);
+  h.successes++;
+  h.consecutive_failures = 0;
+  h.cooldown_until = null;
+  h.last_success_at = new Date();
+}
+
+function recordFailure(name, err) {
+  const h = healthOf(name);
+  h.failures++;
+  h.consecutive_failures++;
+  h.last_error = err.message;
+  h.last_failure_at = new Date();
+  if (h.consecutive_failures >= FAILURE_THRESHOLD) {
+    h.cooldown_until = new Date(Date.now() + COOLDOWN_MS);
+  }
+}
+
+function isCoolingDown(name) {
+  const until = health[name]?.cooldown_until;
+  return !!until && until.getTime() > Date.now();
+}
+
+function getHealth() {
+  return providerOrder().map(p => ({
+    provider: p.name,
+    ...healthOf(p.name),
+    cooling_down: isCoolingDown(p.name),
+  }));
+}
+
+/* -------------------- Cache -------------------- */
+const cache = new Map(); // key -> value with an `at` Date
+
+function cached(key, maxAgeMs, notBefore) {
+  const hit = cache.get(key);
+  if (!hit) return null;
+  if (Date.now() - hit.at.getTime() > maxAgeMs) return null;
+  if (notBefore && hit.at < notBefore) return null;
+  return hit;
+}
+
+function clearCache() {
+  cache.clear();
+}
+
+/* -------------------- Lookups -------------------- */
+
+// Run `method` on each eligible provider in order until one succeeds. Asset
+// lookups pass the asset; asset-less calls (listMarkets) pass `args` instead.
+async function firstSuccessful(method, asset, ...args) {
+  const errors = [];
+  for (const provider of providerOrder()) {
+    if (typeof provider[method] !== "function") continue;
+    if (asset && !provider.supports(asset)) continue;
+    if (isCoolingDown(provider.name)) continue;
+    try {
+      const value = asset ? await provider[method](asset) : await provider[method](...args);
+      recordSuccess(provider.name);
+      return { value, source: provider.name };
+    } catch (err) {
+      recordFailure(provider.name, err);
+      errors.push(`${provider.name}: ${err.message}`);
+    }
+  }
+  const label = asset ? asset.symbol : method;
+  throw new Error(`PRICE_UNAVAILABLE (${label})${errors.length ? " " + errors.join("; ") : ""}`);
+}
+
+function requireAsset(symbol) {
+  const sym = resolveSymbol(symbol);
+  if (!sym) throw new Error(`UNSUPPORTED_SYMBOL (${symbol})`);
+  return getAsset(sym);
+}
+
+// Live USD quote: { symbol, price, source, at }.
+// Options: maxAgeMs (cache tolerance), notBefore (only accept quotes observed
+// at or after this Date — used to price a trade at its expiry).
+async function getQuote(symbol, { maxAgeMs = QUOTE_TTL_MS, notBefore = null } = {}) {
+  const asset = requireAsset(symbol);
+  const key = `quote:${asset.symbol}`;
+  const hit = cached(key, maxAgeMs, notBefore);
+  if (hit) return hit;
+
+  const { value, source } = await firstSuccessful("getQuote", asset);
+  const quote = { symbol: asset.symbol, price: value, source, at: new Date() };
+  cache.set(key, quote);
+  return quote;
+}
+
+async function getSpotUSD(symbol) {
+  return (await getQuote(symbol)).price;
+}
+
+// Price plus 24h stats. Falls back to a cached copy up to STALE_OK_MS old
+// (flagged `stale: true`) when every provider fails.
+async function getMarketData(symbol, { maxAgeMs = MARKET_TTL_MS } = {}) {
+  const asset = requireAsset(symbol);
+  const key = `market:${asset.symbol}`;
+  const hit = cached(key, maxAgeMs);
+  if (hit) return { ...hit, cached: true };
+
+  try {
+    const { value, source } = await firstSuccessful("getMarketData", asset);
+    const data = { symbol: asset.symbol, ...value, source, at: new Date() };
+    cache.set(key, data);
+    cache.set(`quote:${asset.symbol}`, { symbol: asset.symbol, price: data.price, source, at: data.at });
+    return data;
+  } catch (err) {
+    const stale = cached(key, STALE_OK_MS);
+    if (stale) return { ...stale, stale: true };
+    throw err;
+  }
+}
+
+// Top coins by market cap, in the /api/prices list format.
+async function listMarkets(limit = 100) {
+  const key = `list:${limit}`;
+  const hit = cached(key, LIST_TTL_MS);
+  if (hit) return { data: hit.data, cached: true };
+
+  try {
+    const { value, source } = await firstSuccessful("listMarkets", null, limit);
+    const list = { data: value, source, at: new Date() };
+    if (value.length > 0) cache.set(key, list);
+    return list;
+  } catch (err) {
+    const stale = cached(key, STALE_OK_MS);
+    if (stale) return { data: stale.data, stale: true };
+    throw err;
+  }
+}
+
+module.exports = {
+  PROVIDER_ORDER,
+  normalizeSymbol,
+  resolveSymbol,
+  getQuote,
+  getSpotUSD,
+  getMarketData,
+  listMarkets,
+  getHealth,
+  clearCache,
+};
@@ -0,0 +1,33 @@
+// Binance adapter (USDT pairs used as a USD proxy)
+const axios = require("axios");
+
+const BASE_URL = "https://api.binance.com/api/v3";
+const TIMEOUT_MS = 7000;
+
+module.exports = {
+  name: "binance",
+
+  supports(asset) {
+    return !!asset.binance;
+  },
+
+  async getQuote(asset) {
+    const { data } = await axios.get(`${BASE_URL}/ticker/price?symbol=${asset.binance}`, { timeout: TIMEOUT_MS });
+    const price = Number(data?.price);
+    if (isFinite(price) && price > 0) return price;
+    throw new Error(`No Binance price for ${asset.symbol}`);
+  },
+
+  async getMarketData(asset) {
+    const { data } = await axios.get(`${BASE_URL}/ticker/24hr?symbol=${asset.binance}`, { timeout: TIMEOUT_MS });
+    const price = Number(data?.lastPrice);
+    if (!isFinite(price) || price <= 0) throw new Error(`No Binance market data for ${asset.symbol}`);
+    return {
+      price,
+      high_24h: Number(data.highPrice),
+      low_24h: Number(data.lowPrice),
+      volume_24h: Number(data.quoteVolume),
+      percent_change_24h: Number(data.priceChangePercent),
+    };
+  },
+};
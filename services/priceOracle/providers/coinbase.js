@@ -0,0 +1,22 @@
+// Coinbase adapter (USD spot only)
+const axios = require("axios");
+
+const TIMEOUT_MS = 7000;
+
+module.exports = {
+  name: "coinbase",
+
+  supports(asset) {
+    return !!asset.coinbase;
+  },
+
+  async getQuote(asset) {
+    const { data } = await axios.get(`https://api.coinbase.com/v2/prices/${asset.coinbase}/spot`, {
+      timeout: TIMEOUT_MS,
+      headers: { "CB-VERSION": "2023-01-01" },
+    });
+    const price = Number(data?.data?.amount);
+    if (isFinite(price) && price > 0) return price;
+    throw new Error(`No Coinbase price for ${asset.symbol}`);
+  },
+};
@@ -0,0 +1,67 @@
+// CoinGecko adapter (crypto spot, 24h market data and the top-coins list)
+const axios = require("axios");
+
+const BASE_URL = "https://api.coingecko.com/api/v3";
+const TIMEOUT_MS = 8000;
+
+function validPrice(p) {
+  return isFinite(p) && p > 0;
+}
+
+module.exports = {
+  name: "coingecko",
+
+  supports(asset) {
+    return Array.isArray(asset.coingecko) && asset.coingecko.length > 0;
+  },
+
+  async getQuote(asset) {
+    for (const id of asset.coingecko) {
+      const url = `${BASE_URL}/simple/price?ids=${id}&vs_currencies=usd`;
+      const { data } = await axios.get(url, { timeout: TIMEOUT_MS });
+      const price = Number(data?.[id]?.usd);
+      if (validPrice(price)) return price;
+    }
+    throw new Error(`No CoinGecko price for ${asset.symbol}`);
+  },
+
+  async getMarketData(asset) {
+    for (const id of asset.coingecko) {
+      const url = `${BASE_URL}/coins/markets?vs_currency=usd&ids=${id}&order=market_cap_desc&per_page=1&page=1&sparkline=false&price_change_percentage=24h`;
+      const { data } = await axios.get(url, { timeout: TIMEOUT_MS });
+      const market = Array.isArray(data) ? data[0] : null;
+      if (market && validPrice(Number(market.current_price))) {
+        return {
+          price: Number(market.current_price),
+          high_24h: Number(market.high_24h),
+          low_24h: Number(market.low_24h),
+          volume_24h: Number(market.total_volume),
+          percent_change_24h: Number(market.price_change_percentage_24h),
+        };
+      }
+    }
+    throw new Error(`No CoinGecko market data for ${asset.symbol}`);
+  },
+
+  async listMarkets(limit) {
+    const url = `${BASE_URL}/coins/markets?vs_currency=usd&order=market_cap_desc&per_page=${limit}&page=1&sparkline=false&price_change_percentage=24h`;
+    const { data } = await axios.get(url, { timeout: 15000 });
+    if (!Array.isArray(data)) {
+      throw new Error("Invalid data received from CoinGecko markets endpoint");
+    }
+    return data.map(coin => ({
+      id: coin.id,
+      name: coin.name,
+      symbol: coin.symbol.toUpperCase(),
+      cmc_rank: coin.market_cap_rank,
+      quote: {
+        USD: {
+          price: coin.current_price,
+          volume_24h: coin.total_volume,
+          percent_change_24h: coin.price_change_percentage_24h,
+          market_cap: coin.market_cap,
+        },
+      },
+    }));
+  },
+};
@@ -0,0 +1,86 @@
+// Fixture adapter: fixed local prices, no network. Enable it with
+// PRICE_PROVIDERS=fixture (optionally PRICE_FIXTURE_FILE=/path/prices.json,
+// shaped like DEFAULT_PRICES, e.g. { "BTC": 65000, "XAU": 4100 }).
+const fs = require("fs");
+const { ASSETS } = require("../symbols");
+
+const DEFAULT_PRICES = {
+  BTC: 91782.84,
+  ETH: 3098.51,
+  SOL: 138.85,
+  XRP: 2.14,
+  TON: 1.77,
+  USDT: 1.0,
+  XAU: 4114.17,
+  XAG: 52.15,
+  WTI: 58.93,
+  NATGAS: 4.49,
+  XCU: 5.26,
+};
+
+let prices = null;
+
+function loadPrices() {
+  if (prices) return prices;
+  prices = { ...DEFAULT_PRICES };
+  const file = process.env.PRICE_FIXTURE_FILE;
+  if (file) {
+    Object.assign(prices, JSON.parse(fs.readFileSync(file, "utf8")));
+  }
+  return prices;
+}
+
+// Override fixture prices at runtime (tests), e.g. setPrice("BTC", 70000)
+function setPrice(symbol, price) {
+  loadPrices()[symbol] = price;
+}
+
+function reset() {
+  prices = null;
+}
+
+module.exports = {
+  name: "fixture",
+  DEFAULT_PRICES,
+  setPrice,
+  reset,
+
+  supports(asset) {
+    return loadPrices()[asset.symbol] !== undefined;
+  },
+
+  async getQuote(asset) {
+    return Number(loadPrices()[asset.symbol]);
+  },
+
+  async getMarketData(asset) {
+    const price = Number(loadPrices()[asset.symbol]);
+    return {
+      price,
+      high_24h: Number((price * 1.01).toFixed(2)),
+      low_24h: Number((price * 0.99).toFixed(2)),
+      volume_24h: 1_000_000,
+      percent_change_24h: 0,
+    };
+  },
+
+  async listMarkets(limit) {
+    return Object.keys(loadPrices())
+      .filter(symbol => ASSETS[symbol] && ASSETS[symbol].class === "crypto")
+      .slice(0, limit)
+      .map((symbol, i) => ({
+        id: ASSETS[symbol].coingecko[0],
+        name: ASSETS[symbol].name,
+        symbol,
+        cmc_rank: i + 1,
+        quote: {
+          USD: {
+            price: Number(loadPrices()[symbol]),
+            volume_24h: 1_000_000,
+            percent_change_24h: 0,
+            market_cap: null,
+          },
+        },
+      }));
+  },
+};
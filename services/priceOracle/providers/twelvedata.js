@@ -0,0 +1,44 @@
+// Twelve Data adapter (forex and commodities). Needs TWELVE_API_KEY.
+const axios = require("axios");
+
+const BASE_URL = "https://api.twelvedata.com";
+const TIMEOUT_MS = 7000;
+
+function apiKey() {
+  const key = process.env.TWELVE_API_KEY;
+  if (!key) throw new Error("Twelve Data API Key not configured");
+  return key;
+}
+
+function finiteOrNull(n) {
+  return isFinite(n) ? n : null;
+}
+
+module.exports = {
+  name: "twelvedata",
+
+  supports(asset) {
+    return !!asset.twelvedata;
+  },
+
+  async getQuote(asset) {
+    const url = `${BASE_URL}/price?symbol=${asset.twelvedata}&apikey=${apiKey()}`;
+    const { data } = await axios.get(url, { timeout: TIMEOUT_MS });
+    const price = Number(data?.price);
+    if (isFinite(price) && price > 0) return price;
+    throw new Error(`Invalid price from Twelve Data for ${asset.symbol}`);
+  },
+
+  async getMarketData(asset) {
+    const price = await this.getQuote(asset);
+    const url = `${BASE_URL}/quote?symbol=${asset.twelvedata}&apikey=${apiKey()}`;
+    const { data } = await axios.get(url, { timeout: TIMEOUT_MS });
+    return {
+      price,
+      high_24h: finiteOrNull(Number(data?.high)),
+      low_24h: finiteOrNull(Number(data?.low)),
+      volume_24h: finiteOrNull(Number(data?.volume)),
+      percent_change_24h: finiteOrNull(Number(data?.percent_change)),
+    };
+  },
+};
@@ -0,0 +1,93 @@
+// services/priceOracle/symbols.js
+// The one symbol table for every price provider. Keys are our canonical
+// symbols ("BTC", "XAU", ...); each entry lists the id the asset has at each
+// provider, plus the aliases the API accepts (e.g. "bitcoin" for /api/prices).
+const ASSETS = {
+  BTC: {
+    name: "Bitcoin",
+    class: "crypto",
+    coingecko: ["bitcoin"],
+    binance: "BTCUSDT",
+    coinbase: "BTC-USD",
+    aliases: ["bitcoin"],
+  },
+  ETH: {
+    name: "Ethereum",
+    class: "crypto",
+    coingecko: ["ethereum"],
+    binance: "ETHUSDT",
+    coinbase: "ETH-USD",
+    aliases: ["ethereum"],
+  },
+  SOL: {
+    name: "Solana",
+    class: "crypto",
+    coingecko: ["solana"],
+    binance: "SOLUSDT",
+    coinbase: "SOL-USD",
+    aliases: ["solana"],
+  },
+  XRP: {
+    name: "XRP",
+    class: "crypto",
+    coingecko: ["ripple"],
+    binance: "XRPUSDT",
+    coinbase: "XRP-USD",
+    aliases: ["ripple"],
+  },
+  TON: {
+    name: "Toncoin",
+    class: "crypto",
+    // CoinGecko has served TON under both ids; try the canonical one first
+    coingecko: ["the-open-network", "toncoin"],
+    binance: "TONUSDT",
+    coinbase: "TON-USD",
+    aliases: ["toncoin", "the-open-network"],
+  },
+  USDT: {
+    name: "Tether",
+    class: "crypto",
+    coingecko: ["tether"],
+    coinbase: "USDT-USD",
+    aliases: ["tether"],
+  },
+  XAU: { name: "Gold", class: "commodity", twelvedata: "XAU/USD", aliases: ["gold"] },
+  XAG: { name: "Silver", class: "commodity", twelvedata: "XAG/USD", aliases: ["silver"] },
+  WTI: { name: "Crude Oil WTI", class: "commodity", twelvedata: "WTI/USD", aliases: [] },
+  NATGAS: { name: "Natural Gas", class: "commodity", twelvedata: "NG/USD", aliases: [] },
+  XCU: { name: "Copper", class: "commodity", twelvedata: "XCU/USD", aliases: ["copper"] },
+};
+
+// Normalize "btc/usdt", "BTCUSDT", "btc-usdt" -> "BTC"
+function normalizeSymbol(input) {
+  if (!input) return "";
+  let s = String(input).trim().toUpperCase().replace(/\s+/g, "");
+
+  // split composite pairs like "TON/USDT" or "eth-usd"
+  if (s.includes("/")) s = s.split("/")[0];
+  if (s.includes("-")) s = s.split("-")[0];
+
+  // only strip the suffix if there's something BEFORE it
+  if (s !== "USDT" && s.endsWith("USDT")) s = s.slice(0, -4);
+  if (s !== "USD"  && s.endsWith("USD"))  s = s.slice(0, -3);
+
+  return s;
+}
+
+// Canonical symbol for a symbol, pair or alias; null if we do not price it.
+function resolveSymbol(input) {
+  const sym = normalizeSymbol(input);
+  if (ASSETS[sym]) return sym;
+  const lower = String(input || "").trim().toLowerCase();
+  for (const [symbol, asset] of Object.entries(ASSETS)) {
+    if (asset.aliases.includes(lower)) return symbol;
+  }
+  return null;
+}
+
+function getAsset(symbol) {
+  const asset = ASSETS[symbol];
+  return asset ? { symbol, ...asset } : null;
+}
+
+module.exports = { ASSETS, normalizeSymbol, resolveSymbol, getAsset };
@@ -0,0 +1,146 @@
+// services/sessions.js — login sessions, refresh tokens and access tokens
+//
+// A login creates a row in `sessions`. The client gets a short-lived access
+// JWT (carrying the session id as `sid`) and a refresh token of the form
+// "<session id>.<secret>". Only a hash of the secret is stored, and it is
+// replaced on every refresh; presenting an old secret means the token was
+// copied, so the whole session is revoked.
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const pool = require('../db');
+
+const ACCESS_TOKEN_TTL = process.env.ACCESS_TOKEN_TTL || '15m';
+const REFRESH_TOKEN_TTL_DAYS = Number(process.env.REFRESH_TOKEN_TTL_DAYS) || 30;
+
+function hashSecret(secret) {
+  return crypto.createHash('sha256').update(secret).digest('hex');
+}
+
+function newSecret() {
+  return crypto.randomBytes(48).toString('base64url');
+}
+
+function signAccessToken(user, sessionId) {
+  const payload = { id: user.id, username: user.username, email: user.email, sid: sessionId };
+  return jwt.sign(payload, process.env.JWT_SECRET, { expiresIn: ACCESS_TOKEN_TTL });
+}
+
+function tokensFor(user, sessionId, secret) {
+  return {
+    token: signAccessToken(user, sessionId),
+    refresh_token: `${sessionId}.${secret}`,
+    session_id: sessionId,
+  };
+}
+
+// Start a session for `user`; returns { token, refresh_token, session_id }
+async function create(user, { userAgent = null, ip = null } = {}) {
+  const secret = newSecret();
+  const { rows } = await pool.query(
+    `INSERT INTO sessions (user_id, refresh_token_hash, user_agent, ip, expires_at)
+     VALUES ($1, $2, $3, $4, NOW() + make_interval(days => $5))
+     RETURNING id`,
+    [user.id, hashSecret(secret), userAgent, ip, REFRESH_TOKEN_TTL_DAYS]
+  );
+  return tokensFor(user, rows[0].id, secret);
+}
+
+// Exchange a refresh token for a new token pair. Returns null if the token is
+// unknown, expired or revoked.
+async function rotate(refreshToken, { userAgent = null, ip = null } = {}) {
+  const [sessionId, secret] = String(refreshToken || '').split('.');
+  if (!sessionId || !secret || !/^[0-9a-f-]{36}$/i.test(sessionId)) return null;
+
+  const client = await pool.connect();
+  try {
+    await client.query('BEGIN');
+    const { rows } = await client.query(
+      `SELECT s.*, u.username, u.email
+       FROM sessions s JOIN users u ON u.id = s.user_id
+       WHERE s.id = $1
+       FOR UPDATE OF s`,
+      [sessionId]
+    );
+    const session = rows[0];
+    if (!session || session.revoked_at || new Date(session.expires_at) <= new Date()) {
+      await client.query('ROLLBACK');
+      return null;
+    }
+
+    const presented = Buffer.from(hashSecret(secret), 'hex');
+    const expected = Buffer.from(session.refresh_token_hash, 'hex');
+    if (!crypto.timingSafeEqual(presented, expected)) {
+      // an already-rotated token was replayed: treat the session as stolen
+      await client.query('UPDATE sessions SET revoked_at = NOW() WHERE id = $1', [sessionId]);
+      await client.query('COMMIT');
+      return null;
+    }
+
+    const next = newSecret();
+    await client.query(
+      `UPDATE sessions
+       SET refresh_token_hash = $1, last_used_at = NOW(),
+           user_agent = COALESCE($2, user_agent), ip = COALESCE($3, ip)
+       WHERE id = $4`,
+      [hashSecret(next), userAgent, ip, sessionId]
+    );
+    await client.query('COMMIT');
+
+    const user = { id: session.user_id, username: session.username, email: session.email };
+    return tokensFor(user, sessionId, next);
+  } catch (err) {
+    await client.query('ROLLBACK');
+    throw err;
+  } finally {
+    client.release();
+  }
+}
+
+async function isActive(sessionId) {
+  const { rows } = await pool.query(
+    `SELECT 1 FROM sessions
+     WHERE id = $1 AND revoked_at IS NULL AND expires_at > NOW()`,
+    [sessionId]
+  );
+  return rows.length > 0;
+}
+
+async function list(userId) {
+  const { rows } = await pool.query(
+    `SELECT id, user_agent, ip, created_at, last_used_at, expires_at
+     FROM sessions
+     WHERE user_id = $1 AND revoked_at IS NULL AND expires_at > NOW()
+     ORDER BY COALESCE(last_used_at, created_at) DESC`,
+    [userId]
+  );
+  return rows;
+}
+
+// Revoke one of the user's sessions. Returns false if it was not active.
+async function revoke(userId, sessionId) {
+  const { rowCount } = await pool.query(
+    `UPDATE sessions SET revoked_at = NOW()
+     WHERE id = $1 AND user_id = $2 AND revoked_at IS NULL`,
+    [sessionId, userId]
+  );
+  return rowCount > 0;
+}
+
+// Revoke every active session of the user. Returns how many were revoked.
+async function revokeAll(userId, db = pool) {
+  const { rowCount } = await db.query(
+    `UPDATE sessions SET revoked_at = NOW()
+     WHERE user_id = $1 AND revoked_at IS NULL`,
+    [userId]
+  );
+  return rowCount;
+}
+
+module.exports = {
+  create,
+  rotate,
+  isActive,
+  list,
+  revoke,
+  revokeAll,
+};
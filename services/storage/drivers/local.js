@@ -0,0 +1,103 @@
+// Local filesystem driver for offline development and tests. Files live in
+// STORAGE_LOCAL_DIR (default ./storage) as <bucket>/<key> and are served by
+// serve() under /files: public buckets directly, private ones only with a
+// signature from signedUrl() that hasn't expired. Signatures are HMACs keyed
+// with STORAGE_SIGNING_SECRET (or JWT_SECRET).
+const crypto = require("crypto");
+const fs = require("fs");
+const path = require("path");
+
+const URL_PREFIX = "/files";
+
+function rootDir() {
+  return path.resolve(process.env.STORAGE_LOCAL_DIR || path.join(__dirname, "../../../storage"));
+}
+
+// Absolute path of bucket/key, refusing anything that escapes the root
+function filePath(bucket, key) {
+  const root = rootDir();
+  const full = path.resolve(root, bucket, key);
+  if (!/^[\w.-]+$/.test(bucket) || !full.startsWith(path.join(root, bucket) + path.sep)) {
+    throw Object.assign(new Error("Invalid storage key"), { status: 400 });
+  }
+  return full;
+}
+
+function signingSecret() {
+  const secret = process.env.STORAGE_SIGNING_SECRET || process.env.JWT_SECRET;
+  if (!secret) throw new Error("Server missing storage signing secret");
+  return secret;
+}
+
+function signature(bucket, key, expires) {
+  return crypto.createHmac("sha256", signingSecret()).update(`${bucket}/${key}:${expires}`).digest("base64url");
+}
+
+function encodeKey(key) {
+  return key.split("/").map(encodeURIComponent).join("/");
+}
+
+async function put(bucket, key, buffer, { upsert = false } = {}) {
+  const full = filePath(bucket, key);
+  await fs.promises.mkdir(path.dirname(full), { recursive: true });
+  try {
+    await fs.promises.writeFile(full, buffer, { flag: upsert ? "w" : "wx" });
+  } catch (err) {
+    if (err.code === "EEXIST") throw new Error("The resource already exists");
+    throw err;
+  }
+  return { key };
+}
+
+async function remove(bucket, keys) {
+  for (const key of keys) {
+    await fs.promises.rm(filePath(bucket, key), { force: true });
+  }
+}
+
+function publicUrl(bucket, key) {
+  return `${URL_PREFIX}/${bucket}/${encodeKey(key)}`;
+}
+
+async function signedUrl(bucket, key, expiresInSeconds) {
+  const expires = Math.floor(Date.now() / 1000) + expiresInSeconds;
+  return `${publicUrl(bucket, key)}?expires=${expires}&signature=${signature(bucket, key, expires)}`;
+}
+
+function validSignature(bucket, key, { expires, signature: given }) {
+  if (!expires || !given || Number(expires) < Date.now() / 1000) return false;
+  const expected = Buffer.from(signature(bucket, key, expires));
+  const actual = Buffer.from(String(given));
+  return expected.length === actual.length && crypto.timingSafeEqual(expected, actual);
+}
+
+// Express handler for GET /files/:bucket/*key. `isPublic(bucket)` says
+// which buckets need no signature.
+function serve(isPublic) {
+  return (req, res) => {
+    const { bucket } = req.params;
+    const key = [].concat(req.params.key).join("/");
+    let full;
+    try {
+      full = filePath(bucket, key);
+    } catch (err) {
+      return res.status(400).json({ error: err.message });
+    }
+    if (!isPublic(bucket) && !validSignature(bucket, key, req.query)) {
+      return res.status(403).json({ error: "Invalid or expired signature" });
+    }
+    res.sendFile(full, err => {
+      if (err && !res.headersSent) res.status(404).json({ error: "File not found" });
+    });
+  };
+}
+
+module.exports = {
+  name: "local",
+  URL_PREFIX,
+  put,
+  remove,
+  publicUrl,
+  signedUrl,
+  serve,
+};
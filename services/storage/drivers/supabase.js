@@ -0,0 +1,38 @@
+// Supabase Storage driver. Each bucket must exist in the Supabase project;
+// whether it is public is configured there.
+let client = null;
+
+// Created on first use, so the local driver runs without Supabase settings
+function supabase() {
+  if (!client) client = require("../../../utils/supabaseClient");
+  return client;
+}
+
+async function put(bucket, key, buffer, { contentType, upsert = false } = {}) {
+  const { data, error } = await supabase().storage.from(bucket).upload(key, buffer, { contentType, upsert });
+  if (error) throw new Error(error.message);
+  return { key: data.path };
+}
+
+async function remove(bucket, keys) {
+  const { error } = await supabase().storage.from(bucket).remove(keys);
+  if (error) throw new Error(error.message);
+}
+
+function publicUrl(bucket, key) {
+  return supabase().storage.from(bucket).getPublicUrl(key).data.publicUrl;
+}
+
+async function signedUrl(bucket, key, expiresInSeconds) {
+  const { data, error } = await supabase().storage.from(bucket).createSignedUrl(key, expiresInSeconds);
+  if (error) throw new Error(error.message);
+  return data.signedUrl;
+}
+
+module.exports = {
+  name: "supabase",
+  put,
+  remove,
+  publicUrl,
+  signedUrl,
+};
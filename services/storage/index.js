@@ -0,0 +1,64 @@
+// services/storage/index.js — where uploaded files are kept
+//
+// Every file the backend stores goes through here:
+//
+//   put(bucket, key, buffer, { contentType, upsert }) -> { key }
+//   remove(bucket, keys)
+//   publicUrl(bucket, key)                 (public buckets)
+//   signedUrl(bucket, key, expiresInSeconds)
+//
+// STORAGE_DRIVER picks the backend: "supabase" (default) or "local", which
+// keeps files on disk and needs no network (see drivers/local.js). Buckets
+// in PRIVATE_BUCKETS are only reachable through signed URLs.
+const DRIVERS = {
+  supabase: require("./drivers/supabase"),
+  local: require("./drivers/local"),
+};
+
+const PRIVATE_BUCKETS = ["kyc"];
+
+function driver() {
+  const name = process.env.STORAGE_DRIVER || "supabase";
+  if (!DRIVERS[name]) throw new Error(`Unknown storage driver: ${name}`);
+  return DRIVERS[name];
+}
+
+function isPublic(bucket) {
+  return !PRIVATE_BUCKETS.includes(bucket);
+}
+
+async function put(bucket, key, buffer, options) {
+  return driver().put(bucket, key, buffer, options);
+}
+
+async function remove(bucket, keys) {
+  if (!keys.length) return;
+  return driver().remove(bucket, keys);
+}
+
+function publicUrl(bucket, key) {
+  if (!isPublic(bucket)) throw new Error(`Bucket ${bucket} is private`);
+  return driver().publicUrl(bucket, key);
+}
+
+async function signedUrl(bucket, key, expiresInSeconds) {
+  return driver().signedUrl(bucket, key, expiresInSeconds);
+}
+
+// Mount point and handler serving local-driver files (server.js). Mounted
+// whatever the driver, so files stored locally stay reachable.
+const localFiles = {
+  path: `${DRIVERS.local.URL_PREFIX}/:bucket/*key`,
+  handler: DRIVERS.local.serve(isPublic),
+};
+
+module.exports = {
+  DRIVERS,
+  PRIVATE_BUCKETS,
+  isPublic,
+  put,
+  remove,
+  publicUrl,
+  signedUrl,
+  localFiles,
+};
@@ -0,0 +1,104 @@
+// services/totp.js — RFC 6238 time-based one-time passwords (HMAC-SHA1,
+// 6 digits, 30 s steps), compatible with Google Authenticator & co.
+// Pure functions; pass `now` (ms) to evaluate at a fixed time.
+const crypto = require('crypto');
+const clock = require('../utils/clock');
+
+const STEP_SECONDS = 30;
+const DIGITS = 6;
+const BASE32_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+
+function base32Encode(buf) {
+  let bits = 0;
+  let value = 0;
+  let out = '';
+  for (const byte of buf) {
+    value = (value << 8) | byte;
+    bits += 8;
+    while (bits >= 5) {
+      out += BASE32_ALPHABET[(value >>> (bits - 5)) & 31];
+      bits -= 5;
+    }
+  }
+  if (bits > 0) out += BASE32_ALPHABET[(value << (5 - bits)) & 31];
+  return out;
+}
+
+function base32Decode(str) {
+  const clean = String(str).toUpperCase().replace(/=+$/, '').replace(/\s+/g, '');
+  let bits = 0;
+  let value = 0;
+  const out = [];
+  for (const ch of clean) {
+    const idx = BASE32_ALPHABET.indexOf(ch);
+    if (idx === -1) throw new Error('Invalid base32 secret');
+    value = (value << 5) | idx;
+    bits += 5;
+    if (bits >= 8) {
+      out.push((value >>> (bits - 8)) & 255);
+      bits -= 8;
+    }
+  }
+  return Buffer.from(out);
+}
+
+// New random secret, base32 encoded (160 bits as RFC 4226 recommends)
+function generateSecret() {
+  return base32Encode(crypto.randomBytes(20));
+}
+
+// RFC 4226 HOTP value for `counter`
+function hotp(secret, counter) {
+  const msg = Buffer.alloc(8);
+  msg.writeBigUInt64BE(BigInt(counter));
+  const hmac = crypto.createHmac('sha1', base32Decode(secret)).update(msg).digest();
+  const offset = hmac[hmac.length - 1] & 0x0f;
+  const binary = (hmac.readUInt32BE(offset) & 0x7fffffff) % 10 ** DIGITS;
+  return String(binary).padStart(DIGITS, '0');
+}
+
+function stepAt(now) {
+  return Math.floor(now / 1000 / STEP_SECONDS);
+}
+
+function generate(secret, now = clock.now()) {
+  return hotp(secret, stepAt(now));
+}
+
+// Check `code` against the current step ± `window` steps. Steps at or before
+// `afterStep` are refused so a code can't be used twice. Returns the matching
+// step, or null.
+function verify(secret, code, { now = clock.now(), window = 1, afterStep = -1 } = {}) {
+  const candidate = String(code || '').replace(/\s+/g, '');
+  if (!/^\d{6}$/.test(candidate)) return null;
+
+  const current = stepAt(now);
+  for (let step = current - window; step <= current + window; step++) {
+    if (step <= afterStep) continue;
+    const expected = hotp(secret, step);
+    if (crypto.timingSafeEqual(Buffer.from(expected), Buffer.from(candidate))) return step;
+  }
+  return null;
+}
+
+// otpauth:// URI for authenticator apps (render it as a QR code client-side)
+function provisioningUri(secret, accountName, issuer = 'NovaChain') {
+  const label = encodeURIComponent(`${issuer}:${accountName}`);
+  const params = new URLSearchParams({
+    secret,
+    issuer,
+    algorithm: 'SHA1',
+    digits: String(DIGITS),
+    period: String(STEP_SECONDS),
+  });
+  return `otpauth://totp/${label}?${params}`;
+}
+
+module.exports = {
+  generateSecret,
+  generate,
+  verify,
+  provisioningUri,
+  base32Encode,
+  base32Decode,
+};
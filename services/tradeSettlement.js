@@ -0,0 +1,216 @@
+// services/tradeSettlement.js — settles PENDING trades from the database
+//
+// Trades are no longer finished by an in-process setTimeout. Instead this
+// worker polls the trades table for PENDING rows whose expires_at has passed
+// and settles each one in its own transaction. The end quote is fetched
+// first; the row is then locked with FOR UPDATE SKIP LOCKED and re-checked
+// to still be PENDING, so a trade is settled exactly once even with
+// several instances running, and anything that expired while the server was
+// down is picked up on the first tick after start().
+//
+// The outcome is decided only by the market: the end quote observed at expiry
+// is compared with the start quote recorded at entry, and both are stored on
+// the trade row (price, source, timestamp) for the receipt endpoint.
+const pool = require("../db");
+const ledger = require("./ledger");
+const priceOracle = require("./priceOracle");
+
+const POLL_INTERVAL_MS = Number(process.env.TRADE_SETTLE_INTERVAL_MS) || 1000;
+const MAX_PER_TICK = 50;
+
+// How late an end quote may be observed after expiry and still count as the
+// price "at expiry". Trades we could not price within this window (e.g. the
+// server was down) are voided and the stake is refunded.
+const MAX_SETTLE_LAG_MS = Number(process.env.TRADE_SETTLE_MAX_LAG_MS) || 30_000;
+
+// Fixed Payout Map from Frontend UI (in decimal)
+const FIXED_PROFIT_MAP = {
+  30: 0.30,  // 30%
+  60: 0.50,  // 50%
+  90: 0.70,  // 70%
+  120: 1.00, // 100%
+};
+
+// BUY wins if the price rose, SELL wins if it fell, an unchanged price is a DRAW
+function decideResult(direction, startPrice, endPrice) {
+  if (endPrice === startPrice) return "DRAW";
+  const wentUp = endPrice > startPrice;
+  return (direction === "BUY") === wentUp ? "WIN" : "LOSE";
+}
+
+async function payout(client, trade, refType, amount) {
+  await ledger.post(client, {
+    refType,
+    refId: trade.id,
+    lines: [
+      { account: ledger.SYSTEM.TRADES, coin: "USDT", amount: -amount },
+      { account: "user:main", userId: trade.user_id, coin: "USDT", amount },
+    ],
+  });
+}
+
+async function snapshotBalance(client, user_id) {
+  const { rows: balRows } = await client.query(
+    "SELECT balance FROM user_balances WHERE user_id = $1 AND coin = 'USDT'",
+    [user_id]
+  );
+  const newBalance = balRows[0] ? parseFloat(balRows[0].balance) : 0;
+  await client.query(
+    `INSERT INTO balance_history (user_id, coin, balance, price_usd, timestamp)
+     VALUES ($1, $2, $3, $4, NOW())`,
+    [user_id, "USDT", newBalance, 1]
+  );
+}
+
+// Refund the stake of a trade that cannot be priced at expiry.
+async function voidTrade(client, trade) {
+  await client.query(
+    `UPDATE trades SET result = 'VOID', profit = 0, settled_at = NOW()
+     WHERE id = $1 AND result = 'PENDING'`,
+    [trade.id]
+  );
+  await payout(client, trade, "trade.refund", Number(trade.amount));
+  await snapshotBalance(client, trade.user_id);
+}
+
+// Settle one locked trade against `endQuote`.
+async function settleTrade(client, trade, endQuote) {
+  const start_price = Number(trade.start_price);
+  const amount = Number(trade.amount);
+  const duration = Number(trade.duration);
+
+  // Default to 30% if duration is not 30, 60, 90, or 120
+  const profitRate = FIXED_PROFIT_MAP[duration] || 0.30;
+
+  const result = decideResult(trade.direction, start_price, endQuote.price);
+
+  // binary: win = +amount * rate, loss = -amount, draw = 0 (stake returned)
+  let profit = 0;
+  if (result === "WIN") profit = Number((amount * profitRate).toFixed(2));
+  if (result === "LOSE") profit = -amount;
+
+  await client.query(
+    `UPDATE trades
+     SET result = $1, profit = $2, result_price = $3,
+         end_price = $3, end_price_source = $4, end_price_at = $5,
+         settled_at = NOW()
+     WHERE id = $6 AND result = 'PENDING'`,
+    [result, profit, endQuote.price, endQuote.source, endQuote.at, trade.id]
+  );
+
+  // return stake + profit (stake was already deducted at entry)
+  if (result === "WIN") {
+    await payout(client, trade, "trade.payout", Number((amount + profit).toFixed(2)));
+  } else if (result === "DRAW") {
+    await payout(client, trade, "trade.refund", amount);
+  }
+
+  await snapshotBalance(client, trade.user_id);
+}
+
+// Settle the oldest due trade not in `skipIds`. Returns { id, settled } for
+// the trade it looked at, or null if none is due. The end quote is fetched
+// before the transaction opens, so a slow provider never holds the row lock;
+// the row is then locked and settled only if it is still PENDING.
+async function settleNextDueTrade(skipIds) {
+  const { rows: due } = await pool.query(
+    `SELECT * FROM trades
+     WHERE result = 'PENDING' AND expires_at <= NOW()
+       AND NOT (id = ANY($1::int[]))
+     ORDER BY expires_at
+     LIMIT 1`,
+    [skipIds]
+  );
+  if (!due[0]) return null;
+  const { id, symbol, expires_at } = due[0];
+
+  let endQuote = null;
+  try {
+    // only a quote observed at or after expiry counts as the end price
+    endQuote = await priceOracle.getQuote(symbol, { notBefore: new Date(expires_at) });
+  } catch (err) {
+    console.warn(`No end quote for trade ${id} (${symbol}): ${err.message}`);
+  }
+
+  const lagMs = (endQuote ? endQuote.at.getTime() : Date.now()) - new Date(expires_at).getTime();
+  if (!endQuote && lagMs <= MAX_SETTLE_LAG_MS) {
+    // still inside the window: try again on the next tick
+    return { id, settled: false };
+  }
+
+  const client = await pool.connect();
+  try {
+    await client.query("BEGIN");
+    const { rows } = await client.query(
+      `SELECT * FROM trades WHERE id = $1 AND result = 'PENDING' FOR UPDATE SKIP LOCKED`,
+      [id]
+    );
+    const trade = rows[0];
+    if (!trade) {
+      // settled meanwhile, or another instance is settling it
+      await client.query("ROLLBACK");
+      return { id, settled: false };
+    }
+
+    if (lagMs > MAX_SETTLE_LAG_MS) {
+      await voidTrade(client, trade);
+    } else {
+      await settleTrade(client, trade, endQuote);
+    }
+    await client.query("COMMIT");
+    return { id, settled: true };
+  } catch (err) {
+    await client.query("ROLLBACK");
+    throw err;
+  } finally {
+    client.release();
+  }
+}
+
+// Settle everything that is due right now (bounded per call).
+async function settleDueTrades() {
+  const settled = [];
+  const skipped = [];
+  while (settled.length + skipped.length < MAX_PER_TICK) {
+    const outcome = await settleNextDueTrade(skipped);
+    if (outcome === null) break;
+    (outcome.settled ? settled : skipped).push(outcome.id);
+  }
+  return settled;
+}
+
+let timer = null;
+let running = false;
+
+async function tick() {
+  if (running) return;
+  running = true;
+  try {
+    const settled = await settleDueTrades();
+    if (settled.length) console.log(`✅ Settled trades: ${settled.join(", ")}`);
+  } catch (err) {
+    console.error("Trade settlement error:", err);
+  } finally {
+    running = false;
+  }
+}
+
+// Start polling. The first tick runs immediately, which recovers trades that
+// expired while the server was down.
+function start() {
+  if (timer) return;
+  tick();
+  timer = setInterval(tick, POLL_INTERVAL_MS);
+}
+
+function stop() {
+  if (timer) clearInterval(timer);
+  timer = null;
+}
+
+module.exports = {
+  start,
+  stop,
+  settleDueTrades,
+  decideResult,
+};
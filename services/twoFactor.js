@@ -0,0 +1,248 @@
+// services/twoFactor.js — optional TOTP second factor for login and withdrawals
+//
+// Enrollment is two-step: setup() stores a new secret and returns the
+// provisioning data, enable() confirms it with a first code and hands out the
+// recovery codes (stored hashed, shown once). A TOTP code is accepted only for
+// a time step later than the last accepted one, so each code works once.
+// MAX_FAILED_ATTEMPTS wrong codes in a row lock verification for LOCK_MINUTES.
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const pool = require('../db');
+const totp = require('./totp');
+const clock = require('../utils/clock');
+
+const ISSUER = process.env.TOTP_ISSUER || 'NovaChain';
+const RECOVERY_CODE_COUNT = 10;
+const MAX_FAILED_ATTEMPTS = 5;
+const LOCK_MINUTES = 15;
+const MFA_TOKEN_TTL = '5m';
+
+function hashRecoveryCode(userId, code) {
+  const secret = process.env.OTP_SECRET || process.env.JWT_SECRET;
+  if (!secret) throw new Error('Server missing OTP secret');
+  const normalized = String(code).toLowerCase().replace(/[^0-9a-f]/g, '');
+  return crypto
+    .createHmac('sha256', secret)
+    .update(`${userId}:recovery:${normalized}`)
+    .digest('hex');
+}
+
+function newRecoveryCode() {
+  const hex = crypto.randomBytes(5).toString('hex');
+  return `${hex.slice(0, 5)}-${hex.slice(5)}`;
+}
+
+// Replace the user's recovery codes; returns the new plain codes
+async function replaceRecoveryCodes(client, userId) {
+  await client.query('DELETE FROM totp_recovery_codes WHERE user_id = $1', [userId]);
+  const codes = Array.from({ length: RECOVERY_CODE_COUNT }, newRecoveryCode);
+  for (const code of codes) {
+    await client.query(
+      'INSERT INTO totp_recovery_codes (user_id, code_hash) VALUES ($1, $2)',
+      [userId, hashRecoveryCode(userId, code)]
+    );
+  }
+  return codes;
+}
+
+async function isEnabled(userId, db = pool) {
+  const { rows } = await db.query(
+    'SELECT 1 FROM user_totp WHERE user_id = $1 AND enabled_at IS NOT NULL',
+    [userId]
+  );
+  return rows.length > 0;
+}
+
+async function getStatus(userId) {
+  const { rows } = await pool.query(
+    `SELECT t.enabled_at,
+            (SELECT COUNT(*) FROM totp_recovery_codes r
+             WHERE r.user_id = t.user_id AND r.used_at IS NULL)::int AS recovery_codes_left
+     FROM user_totp t WHERE t.user_id = $1`,
+    [userId]
+  );
+  const row = rows[0];
+  if (!row || !row.enabled_at) return { enabled: false, pending: !!row };
+  return { enabled: true, enabled_at: row.enabled_at, recovery_codes_left: row.recovery_codes_left };
+}
+
+// Start (or restart) enrollment. Returns { ok: true, secret, otpauth_url } or
+// { ok: false, reason: 'already_enabled' }.
+async function setup(user) {
+  const secret = totp.generateSecret();
+  const { rowCount } = await pool.query(
+    `INSERT INTO user_totp (user_id, secret) VALUES ($1, $2)
+     ON CONFLICT (user_id) DO UPDATE
+       SET secret = EXCLUDED.secret, last_used_step = NULL, failed_attempts = 0,
+           locked_until = NULL, created_at = NOW()
+       WHERE user_totp.enabled_at IS NULL`,
+    [user.id, secret]
+  );
+  if (rowCount === 0) return { ok: false, reason: 'already_enabled' };
+  return {
+    ok: true,
+    secret,
+    otpauth_url: totp.provisioningUri(secret, user.email || user.username, ISSUER),
+  };
+}
+
+// Check a TOTP code or recovery code against a locked user_totp row.
+async function check(client, row, { code, recoveryCode }) {
+  if (row.locked) return { ok: false, reason: 'locked' };
+
+  let ok = false;
+  let method = null;
+  if (code) {
+    const afterStep = row.last_used_step === null ? -1 : Number(row.last_used_step);
+    const step = totp.verify(row.secret, code, { now: clock.now(), afterStep });
+    if (step !== null) {
+      await client.query('UPDATE user_totp SET last_used_step = $2 WHERE user_id = $1', [row.user_id, step]);
+      ok = true;
+      method = 'totp';
+    }
+  } else if (recoveryCode) {
+    const { rowCount } = await client.query(
+      `UPDATE totp_recovery_codes SET used_at = NOW()
+       WHERE user_id = $1 AND code_hash = $2 AND used_at IS NULL`,
+      [row.user_id, hashRecoveryCode(row.user_id, recoveryCode)]
+    );
+    ok = rowCount === 1;
+    method = 'recovery_code';
+  } else {
+    return { ok: false, reason: 'missing_code' };
+  }
+
+  if (ok) {
+    await client.query(
+      'UPDATE user_totp SET failed_attempts = 0, locked_until = NULL WHERE user_id = $1',
+      [row.user_id]
+    );
+    return { ok: true, method };
+  }
+
+  const failed = row.failed_attempts + 1;
+  if (failed >= MAX_FAILED_ATTEMPTS) {
+    await client.query(
+      `UPDATE user_totp SET failed_attempts = 0, locked_until = NOW() + make_interval(mins => $2)
+       WHERE user_id = $1`,
+      [row.user_id, LOCK_MINUTES]
+    );
+    return { ok: false, reason: 'locked' };
+  }
+  await client.query('UPDATE user_totp SET failed_attempts = $2 WHERE user_id = $1', [row.user_id, failed]);
+  return { ok: false, reason: 'invalid', attemptsLeft: MAX_FAILED_ATTEMPTS - failed };
+}
+
+// Run `fn(client, row)` on the user's locked user_totp row inside a transaction
+async function withTotpRow(userId, fn) {
+  const client = await pool.connect();
+  try {
+    await client.query('BEGIN');
+    const { rows } = await client.query(
+      `SELECT *, COALESCE(locked_until > NOW(), false) AS locked
+       FROM user_totp WHERE user_id = $1 FOR UPDATE`,
+      [userId]
+    );
+    const result = await fn(client, rows[0] || null);
+    await client.query('COMMIT');
+    return result;
+  } catch (err) {
+    await client.query('ROLLBACK');
+    throw err;
+  } finally {
+    client.release();
+  }
+}
+
+// Confirm enrollment with a first code. Returns { ok: true, recoveryCodes } or
+// { ok: false, reason: 'not_started' | 'already_enabled' | 'invalid' | 'locked', ... }.
+async function enable(userId, code) {
+  return withTotpRow(userId, async (client, row) => {
+    if (!row) return { ok: false, reason: 'not_started' };
+    if (row.enabled_at) return { ok: false, reason: 'already_enabled' };
+
+    const result = await check(client, row, { code });
+    if (!result.ok) return result;
+
+    await client.query('UPDATE user_totp SET enabled_at = NOW() WHERE user_id = $1', [userId]);
+    const recoveryCodes = await replaceRecoveryCodes(client, userId);
+    return { ok: true, recoveryCodes };
+  });
+}
+
+// Check a second factor for an enrolled user: pass either `code` (TOTP) or
+// `recoveryCode`. Returns { ok: true, method } or
+// { ok: false, reason: 'not_enabled' | 'missing_code' | 'invalid' | 'locked', attemptsLeft? }.
+async function verify(userId, { code, recoveryCode } = {}) {
+  return withTotpRow(userId, async (client, row) => {
+    if (!row || !row.enabled_at) return { ok: false, reason: 'not_enabled' };
+    return check(client, row, { code, recoveryCode });
+  });
+}
+
+// Turn 2FA off (the caller has already checked a code and the password)
+async function disable(userId) {
+  const client = await pool.connect();
+  try {
+    await client.query('BEGIN');
+    await client.query('DELETE FROM totp_recovery_codes WHERE user_id = $1', [userId]);
+    await client.query('DELETE FROM user_totp WHERE user_id = $1', [userId]);
+    await client.query('COMMIT');
+  } catch (err) {
+    await client.query('ROLLBACK');
+    throw err;
+  } finally {
+    client.release();
+  }
+}
+
+async function regenerateRecoveryCodes(userId) {
+  return withTotpRow(userId, (client) => replaceRecoveryCodes(client, userId));
+}
+
+// HTTP status and body for a failed enable()/verify() result
+function failureResponse(result) {
+  switch (result.reason) {
+    case 'missing_code':
+      return { status: 400, body: { error: '2FA code required', code: 'TOTP_REQUIRED' } };
+    case 'locked':
+      return { status: 429, body: { error: `Too many wrong 2FA codes. Try again in ${LOCK_MINUTES} minutes.` } };
+    case 'not_enabled':
+      return { status: 400, body: { error: 'Two-factor authentication is not enabled' } };
+    case 'not_started':
+      return { status: 400, body: { error: 'Start two-factor setup first' } };
+    case 'already_enabled':
+      return { status: 409, body: { error: 'Two-factor authentication is already enabled' } };
+    default:
+      return { status: 400, body: { error: 'Invalid 2FA code', attempts_left: result.attemptsLeft } };
+  }
+}
+
+// Short-lived token proving the password step of a login succeeded. It has no
+// session id, so authenticateToken never accepts it as an access token.
+function signMfaToken(user) {
+  return jwt.sign({ id: user.id, typ: 'mfa' }, process.env.JWT_SECRET, { expiresIn: MFA_TOKEN_TTL });
+}
+
+// Returns the user id from a valid mfa token, or null
+function verifyMfaToken(token) {
+  try {
+    const payload = jwt.verify(String(token || ''), process.env.JWT_SECRET);
+    return payload.typ === 'mfa' ? payload.id : null;
+  } catch {
+    return null;
+  }
+}
+
+module.exports = {
+  isEnabled,
+  getStatus,
+  setup,
+  enable,
+  verify,
+  disable,
+  regenerateRecoveryCodes,
+  signMfaToken,
+  verifyMfaToken,
+  failureResponse,
+};
@@ -0,0 +1,137 @@
+// services/uploads.js — content hashes of uploaded files
+//
+// Every file stored through /api/upload is recorded with the SHA-256 of its
+// bytes. Uploading the same content to the same bucket again returns the
+// stored copy instead of a new file, and other features (deposit evidence)
+// can look up a stored file, and its content hash, by the URL handed out.
+//
+// Only the buckets in BUCKETS accept uploads, each with its own file types
+// and size limit. The type is read from the file's first bytes, never taken
+// from the client, and files are stored under the uploader's id.
+const crypto = require('crypto');
+const pool = require('../db');
+
+const MB = 1024 * 1024;
+
+// Where deposit screenshots are uploaded (POST /api/upload/<bucket>)
+const DEPOSIT_BUCKET = process.env.DEPOSIT_UPLOAD_BUCKET || 'deposits';
+
+const BUCKETS = {
+  [DEPOSIT_BUCKET]: {
+    purpose: 'Deposit payment screenshots',
+    types: ['image/png', 'image/jpeg', 'image/webp', 'application/pdf'],
+    maxBytes: 5 * MB,
+  },
+  avatar: {
+    purpose: 'Profile pictures',
+    types: ['image/png', 'image/jpeg', 'image/webp', 'image/gif'],
+    maxBytes: 2 * MB,
+  },
+};
+
+const MAX_UPLOAD_BYTES = Math.max(...Object.values(BUCKETS).map(b => b.maxBytes));
+
+const EXTENSIONS = {
+  'image/png': 'png',
+  'image/jpeg': 'jpg',
+  'image/webp': 'webp',
+  'image/gif': 'gif',
+  'application/pdf': 'pdf',
+};
+
+function startsWith(buffer, bytes, offset = 0) {
+  return buffer.length >= offset + bytes.length && bytes.every((b, i) => buffer[offset + i] === b);
+}
+
+function ascii(text) {
+  return [...text].map(ch => ch.charCodeAt(0));
+}
+
+// Content type from the file's magic bytes, or null if it isn't one we know
+function sniffType(buffer) {
+  if (startsWith(buffer, [0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a])) return 'image/png';
+  if (startsWith(buffer, [0xff, 0xd8, 0xff])) return 'image/jpeg';
+  if (startsWith(buffer, ascii('GIF87a')) || startsWith(buffer, ascii('GIF89a'))) return 'image/gif';
+  if (startsWith(buffer, ascii('RIFF')) && startsWith(buffer, ascii('WEBP'), 8)) return 'image/webp';
+  if (startsWith(buffer, ascii('%PDF-'))) return 'application/pdf';
+  return null;
+}
+
+// Check `file` (multer) against the bucket's rules. Returns
+// { ok: true, contentType, extension } or { ok: false, status, error }.
+function validate(bucket, file, spec = BUCKETS[bucket]) {
+  if (!spec) return { ok: false, status: 404, error: 'Unknown bucket' };
+  if (file.size > spec.maxBytes) {
+    return { ok: false, status: 413, error: `File too large (max ${spec.maxBytes / MB} MB)` };
+  }
+  const contentType = sniffType(file.buffer);
+  if (!contentType || !spec.types.includes(contentType)) {
+    return { ok: false, status: 415, error: `File type not allowed. Use: ${spec.types.join(', ')}` };
+  }
+  return { ok: true, contentType, extension: EXTENSIONS[contentType] };
+}
+
+// Storage key for a new file: under the uploader's id, named by us
+function keyFor(userId, extension) {
+  return `${userId}/${Date.now()}-${crypto.randomBytes(8).toString('hex')}.${extension}`;
+}
+
+function sha256(buffer) {
+  return crypto.createHash('sha256').update(buffer).digest('hex');
+}
+
+// The user's earlier upload of the same content to `bucket`, or null
+async function findByHash(bucket, hash, userId, db = pool) {
+  const { rows } = await db.query(
+    'SELECT * FROM uploaded_files WHERE bucket = $1 AND sha256 = $2 AND user_id = $3 ORDER BY id LIMIT 1',
+    [bucket, hash, userId]
+  );
+  return rows[0] || null;
+}
+
+// The file at `path` in `bucket` if `userId` uploaded it, or null
+async function findOwned(bucket, path, userId, db = pool) {
+  const { rows } = await db.query(
+    'SELECT * FROM uploaded_files WHERE bucket = $1 AND path = $2 AND user_id = $3',
+    [bucket, path, userId]
+  );
+  return rows[0] || null;
+}
+
+async function record({ bucket, path, url, hash, size, contentType, userId }, db = pool) {
+  const { rows } = await db.query(
+    `INSERT INTO uploaded_files (bucket, path, url, sha256, size, content_type, user_id)
+     VALUES ($1, $2, $3, $4, $5, $6, $7)
+     ON CONFLICT (bucket, path) DO UPDATE SET sha256 = EXCLUDED.sha256
+     RETURNING *`,
+    [bucket, path, url, hash, size, contentType || null, userId || null]
+  );
+  return rows[0];
+}
+
+// A file `userId` uploaded to `bucket`, by the URL handed out for it or its
+// storage path; null for anything else (external links, other users' files)
+async function findOwnedByUrl(bucket, urlOrPath, userId, db = pool) {
+  if (!urlOrPath) return null;
+  const { rows } = await db.query(
+    `SELECT * FROM uploaded_files
+     WHERE bucket = $1 AND user_id = $3 AND (url = $2 OR path = $2)
+     ORDER BY id LIMIT 1`,
+    [bucket, String(urlOrPath).trim(), userId]
+  );
+  return rows[0] || null;
+}
+
+module.exports = {
+  DEPOSIT_BUCKET,
+  BUCKETS,
+  MAX_UPLOAD_BYTES,
+  sniffType,
+  validate,
+  keyFor,
+  sha256,
+  findByHash,
+  findOwned,
+  record,
+  findOwnedByUrl,
+};
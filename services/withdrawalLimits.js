@@ -0,0 +1,188 @@
+// services/withdrawalLimits.js — withdrawal limits by KYC tier
+//
+// Every withdrawal is valued in USD when it is requested (stored in
+// withdrawals.amount_usd). A new request must fit in three rolling windows:
+// the USD total of the last 24 hours (daily_usd), of the last 30 days
+// (monthly_usd), and the number of requests in the last 24 hours
+// (max_per_day). Rejected, cancelled and failed withdrawals don't count.
+//
+// Tier defaults are below; WITHDRAWAL_LIMITS_FILE may point at a JSON file of
+// the same shape to change them. Per-user overrides live in
+// withdrawal_limit_overrides and replace individual tier values.
+//
+// Requesting a withdrawal also needs an approved KYC (requireKyc in
+// routes/withdrawal.js), so the lower tiers only apply if that gate is
+// relaxed.
+const fs = require('fs');
+const pool = require('../db');
+const priceOracle = require('./priceOracle');
+const kyc = require('./kyc');
+
+const DEFAULT_TIER_LIMITS = {
+  unverified: { daily_usd: 1000, monthly_usd: 5000, max_per_day: 3 },
+  pending: { daily_usd: 5000, monthly_usd: 20000, max_per_day: 5 },
+  approved: { daily_usd: 50000, monthly_usd: 500000, max_per_day: 20 },
+};
+
+const LIMIT_KEYS = ['daily_usd', 'monthly_usd', 'max_per_day'];
+
+let tierLimits = null;
+
+function getTierLimits() {
+  if (!tierLimits) {
+    tierLimits = JSON.parse(JSON.stringify(DEFAULT_TIER_LIMITS));
+    if (process.env.WITHDRAWAL_LIMITS_FILE) {
+      const overrides = JSON.parse(fs.readFileSync(process.env.WITHDRAWAL_LIMITS_FILE, 'utf8'));
+      for (const [tier, limits] of Object.entries(overrides)) {
+        tierLimits[tier] = { ...tierLimits[tier], ...limits };
+      }
+    }
+  }
+  return tierLimits;
+}
+
+// users.kyc_status -> limits tier, which is the KYC level
+function tierOf(kycStatus) {
+  return kyc.levelOf(kycStatus);
+}
+
+// USD value of `amount` of `coin`. USDT counts as 1 USD, as in convert.
+async function toUSD(coin, amount) {
+  if (coin === 'USDT') return Number(amount);
+  const price = await priceOracle.getSpotUSD(coin);
+  return Number(amount) * price;
+}
+
+function round2(n) {
+  return Math.round(n * 100) / 100;
+}
+
+// Effective limits, usage and remaining allowance for a user.
+// `db` may be a client inside a transaction that has locked the user row.
+async function getStatus(userId, db = pool) {
+  const { rows: userRows } = await db.query('SELECT kyc_status FROM users WHERE id = $1', [userId]);
+  const tier = tierOf(userRows[0]?.kyc_status);
+  const limits = { ...getTierLimits()[tier] };
+
+  const { rows: overrideRows } = await db.query(
+    `SELECT * FROM withdrawal_limit_overrides
+     WHERE user_id = $1 AND (expires_at IS NULL OR expires_at > NOW())`,
+    [userId]
+  );
+  const override = overrideRows[0] || null;
+  if (override) {
+    for (const key of LIMIT_KEYS) {
+      if (override[key] !== null) limits[key] = Number(override[key]);
+    }
+  }
+
+  // Legacy rows without amount_usd count at 1:1 for USDT and are otherwise
+  // valued at the current price below.
+  const { rows: usage } = await db.query(
+    `SELECT coin,
+            SUM(amount_usd) FILTER (WHERE created_at > NOW() - INTERVAL '24 hours') AS usd_day,
+            SUM(amount_usd) AS usd_month,
+            SUM(amount) FILTER (WHERE amount_usd IS NULL AND created_at > NOW() - INTERVAL '24 hours') AS unpriced_day,
+            SUM(amount) FILTER (WHERE amount_usd IS NULL) AS unpriced_month,
+            COUNT(*) FILTER (WHERE created_at > NOW() - INTERVAL '24 hours') AS count_day
+     FROM withdrawals
+     WHERE user_id = $1
+       AND created_at > NOW() - INTERVAL '30 days'
+       AND status NOT IN ('rejected', 'cancelled', 'failed')
+     GROUP BY coin`,
+    [userId]
+  );
+
+  const used = { daily_usd: 0, monthly_usd: 0, per_day: 0 };
+  for (const row of usage) {
+    used.daily_usd += Number(row.usd_day || 0);
+    used.monthly_usd += Number(row.usd_month || 0);
+    used.per_day += Number(row.count_day);
+    if (row.unpriced_month) {
+      used.daily_usd += row.unpriced_day ? await toUSD(row.coin, row.unpriced_day) : 0;
+      used.monthly_usd += await toUSD(row.coin, row.unpriced_month);
+    }
+  }
+
+  return {
+    tier,
+    limits,
+    override: override && { note: override.note, expires_at: override.expires_at },
+    used: { daily_usd: round2(used.daily_usd), monthly_usd: round2(used.monthly_usd), per_day: used.per_day },
+    remaining: {
+      daily_usd: round2(Math.max(0, limits.daily_usd - used.daily_usd)),
+      monthly_usd: round2(Math.max(0, limits.monthly_usd - used.monthly_usd)),
+      per_day: Math.max(0, limits.max_per_day - used.per_day),
+    },
+  };
+}
+
+// Check a new request of `amountUsd`. Returns { ok: true, status } or
+// { ok: false, code: 'LIMIT_EXCEEDED', limit, error, ... }.
+async function check(userId, amountUsd, db = pool) {
+  const status = await getStatus(userId, db);
+  const { remaining } = status;
+
+  if (remaining.per_day < 1) {
+    return {
+      ok: false,
+      code: 'LIMIT_EXCEEDED',
+      limit: 'max_per_day',
+      error: `You can make at most ${status.limits.max_per_day} withdrawal requests per 24 hours. Please try again later.`,
+      remaining: 0,
+    };
+  }
+  for (const [key, label] of [['daily_usd', '24-hour'], ['monthly_usd', '30-day']]) {
+    if (amountUsd > remaining[key] + 1e-9) {
+      return {
+        ok: false,
+        code: 'LIMIT_EXCEEDED',
+        limit: key,
+        error: `This withdrawal (~$${round2(amountUsd)}) exceeds your ${label} limit of $${status.limits[key]}. ` +
+          `Remaining allowance: $${remaining[key]}.`,
+        amount_usd: round2(amountUsd),
+        remaining_usd: remaining[key],
+        tier: status.tier,
+      };
+    }
+  }
+  return { ok: true, status };
+}
+
+async function getOverride(userId) {
+  const { rows } = await pool.query('SELECT * FROM withdrawal_limit_overrides WHERE user_id = $1', [userId]);
+  return rows[0] || null;
+}
+
+// Set (replace) a user's override. Values left out or null fall back to the tier.
+async function setOverride(userId, { daily_usd = null, monthly_usd = null, max_per_day = null, note = null, expires_at = null }, adminId) {
+  const { rows } = await pool.query(
+    `INSERT INTO withdrawal_limit_overrides (user_id, daily_usd, monthly_usd, max_per_day, note, set_by, expires_at)
+     VALUES ($1, $2, $3, $4, $5, $6, $7)
+     ON CONFLICT (user_id) DO UPDATE SET
+       daily_usd = EXCLUDED.daily_usd, monthly_usd = EXCLUDED.monthly_usd,
+       max_per_day = EXCLUDED.max_per_day, note = EXCLUDED.note, set_by = EXCLUDED.set_by,
+       expires_at = EXCLUDED.expires_at, updated_at = NOW()
+     RETURNING *`,
+    [userId, daily_usd, monthly_usd, max_per_day, note, adminId, expires_at]
+  );
+  return rows[0];
+}
+
+async function clearOverride(userId) {
+  const { rowCount } = await pool.query('DELETE FROM withdrawal_limit_overrides WHERE user_id = $1', [userId]);
+  return rowCount > 0;
+}
+
+module.exports = {
+  DEFAULT_TIER_LIMITS,
+  LIMIT_KEYS,
+  getTierLimits,
+  tierOf,
+  toUSD,
+  getStatus,
+  check,
+  getOverride,
+  setOverride,
+  clearOverride,
+};
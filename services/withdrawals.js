@@ -0,0 +1,218 @@
+// services/withdrawals.js — withdrawal lifecycle and the funds behind it
+//
+//   requested -> under_review -> approved -> broadcasting -> completed
+//
+// plus rejected / cancelled before approval and failed after it. A request
+// freezes the amount (user:main -> user:frozen) in the same transaction that
+// inserts the row, so pending withdrawals can never add up to more than the
+// balance and frozen funds cannot be traded or converted. The funds stay
+// frozen until the withdrawal is completed (paid out) or ends in any other
+// terminal state (returned). Every status change is written to
+// withdrawal_status_history. Functions take a client inside an open transaction.
+const ledger = require('./ledger');
+
+const STATUSES = [
+  'requested', 'under_review', 'approved', 'broadcasting',
+  'completed', 'failed', 'rejected', 'cancelled',
+];
+
+// from -> to -> who may make the change
+const TRANSITIONS = {
+  requested: { under_review: ['admin'], approved: ['admin'], rejected: ['admin'], cancelled: ['user'] },
+  under_review: { approved: ['admin'], rejected: ['admin'], cancelled: ['user'] },
+  approved: { broadcasting: ['admin'], completed: ['admin'], failed: ['admin'] },
+  broadcasting: { completed: ['admin'], failed: ['admin'] },
+};
+
+// Statuses the user can still cancel from
+const CANCELLABLE = Object.keys(TRANSITIONS).filter(s => TRANSITIONS[s].cancelled);
+
+// Terminal statuses that hand the frozen funds back
+const RELEASES_FUNDS = ['rejected', 'cancelled', 'failed'];
+
+function canTransition(from, to, actorType) {
+  return (TRANSITIONS[from]?.[to] || []).includes(actorType);
+}
+
+// Lock the withdrawal row. Returns it, or null.
+async function lock(client, id) {
+  const { rows } = await client.query('SELECT * FROM withdrawals WHERE id = $1 FOR UPDATE', [id]);
+  return rows[0] || null;
+}
+
+async function recordHistory(client, withdrawalId, from, to, actor, note = null) {
+  await client.query(
+    `INSERT INTO withdrawal_status_history (withdrawal_id, from_status, to_status, actor_type, actor_id, note)
+     VALUES ($1, $2, $3, $4, $5, $6)`,
+    [withdrawalId, from, to, actor.type, actor.id || null, note]
+  );
+}
+
+// Insert a requested withdrawal and freeze its amount (network fee included).
+// The request must already have passed networks.validateWithdrawal(). Returns
+// { ok: true, withdrawal } or { ok: false, reason: 'balance_not_found' | 'insufficient_balance' }.
+async function create(client, { userId, coin, amount, address, network = null, memo = null, fee = 0, amountUsd = null }) {
+  const { rows } = await client.query(
+    `SELECT balance >= $3::numeric AS sufficient
+     FROM user_balances WHERE user_id = $1 AND coin = $2
+     FOR UPDATE`,
+    [userId, coin, amount]
+  );
+  if (!rows[0]) return { ok: false, reason: 'balance_not_found' };
+  if (!rows[0].sufficient) return { ok: false, reason: 'insufficient_balance' };
+
+  const { rows: inserted } = await client.query(
+    `INSERT INTO withdrawals (user_id, coin, amount, address, network, memo, fee, amount_usd, status, funds_frozen)
+     VALUES ($1, $2, $3, $4, $5, $6, $7, $8, 'requested', TRUE)
+     RETURNING *`,
+    [userId, coin, amount, address, network, memo, fee, amountUsd]
+  );
+  const withdrawal = inserted[0];
+  await ledger.post(client, {
+    refType: 'withdrawal.freeze',
+    refId: withdrawal.id,
+    lines: [
+      { account: 'user:main', userId, coin, amount: -withdrawal.amount },
+      { account: 'user:frozen', userId, coin, amount: withdrawal.amount },
+    ],
+  });
+  await recordHistory(client, withdrawal.id, null, 'requested', { type: 'user', id: userId });
+  return { ok: true, withdrawal };
+}
+
+// Pay the withdrawal out; the network fee part goes to system:fees. Requests
+// made before funds were frozen are paid from the main balance instead.
+// Returns false if such a request is no longer covered.
+async function settle(client, withdrawal) {
+  let from = 'user:frozen';
+  if (!withdrawal.funds_frozen) {
+    const { rows } = await client.query(
+      `SELECT balance >= $3::numeric AS sufficient
+       FROM user_balances WHERE user_id = $1 AND coin = $2
+       FOR UPDATE`,
+      [withdrawal.user_id, withdrawal.coin, withdrawal.amount]
+    );
+    if (!rows[0] || !rows[0].sufficient) return false;
+    from = 'user:main';
+  }
+  const amount = Number(withdrawal.amount);
+  const fee = Number(withdrawal.fee) || 0;
+  const lines = [
+    { account: from, userId: withdrawal.user_id, coin: withdrawal.coin, amount: -amount },
+    { account: ledger.SYSTEM.WITHDRAWALS, coin: withdrawal.coin, amount: Number((amount - fee).toFixed(8)) },
+  ];
+  if (fee > 0) lines.push({ account: ledger.SYSTEM.FEES, coin: withdrawal.coin, amount: fee });
+  await ledger.post(client, { refType: 'withdrawal', refId: withdrawal.id, lines });
+  return true;
+}
+
+// Return frozen funds to the main balance
+async function release(client, withdrawal) {
+  if (!withdrawal.funds_frozen) return;
+  await ledger.post(client, {
+    refType: 'withdrawal.release',
+    refId: withdrawal.id,
+    lines: [
+      { account: 'user:frozen', userId: withdrawal.user_id, coin: withdrawal.coin, amount: -withdrawal.amount },
+      { account: 'user:main', userId: withdrawal.user_id, coin: withdrawal.coin, amount: withdrawal.amount },
+    ],
+  });
+}
+
+// Move a locked withdrawal to `to` on behalf of `actor` ({ type: 'user' |
+// 'admin' | 'system', id }). Options: txHash (required to complete, unless
+// already set), reason (stored as rejection_reason when rejecting, and as the
+// history note). Returns { ok: true, withdrawal } or
+// { ok: false, reason: 'invalid_transition' | 'tx_hash_required' | 'insufficient_balance' }.
+async function transition(client, withdrawal, to, actor, { txHash = null, reason = null } = {}) {
+  const from = withdrawal.status;
+  if (!canTransition(from, to, actor.type)) return { ok: false, reason: 'invalid_transition' };
+
+  const hash = txHash || withdrawal.tx_hash;
+  if (to === 'completed' && !hash) return { ok: false, reason: 'tx_hash_required' };
+
+  if (to === 'completed') {
+    if (!(await settle(client, withdrawal))) return { ok: false, reason: 'insufficient_balance' };
+  } else if (RELEASES_FUNDS.includes(to)) {
+    await release(client, withdrawal);
+  }
+
+  const { rows } = await client.query(
+    `UPDATE withdrawals
+     SET status = $2, tx_hash = $3, rejection_reason = COALESCE($4, rejection_reason), updated_at = NOW()
+     WHERE id = $1
+     RETURNING *`,
+    [withdrawal.id, to, hash || null, to === 'rejected' ? reason : null]
+  );
+  await recordHistory(client, withdrawal.id, from, to, actor, reason);
+  return { ok: true, withdrawal: rows[0] };
+}
+
+// Lock withdrawal `id` and move it to `to` -- the one entry point for admin
+// status changes. Repeating a change that already happened (same status, no
+// different tx hash) is a no-op reported as unchanged: true, so a retried or
+// double-submitted approval can never pay out or release funds twice.
+// Returns { ok: true, unchanged, withdrawal, before } or
+// { ok: false, reason, withdrawal }.
+async function review(client, id, to, actor, { txHash = null, reason = null } = {}) {
+  const withdrawal = await lock(client, id);
+  if (!withdrawal) return { ok: false, reason: 'not_found', withdrawal: null };
+  if (withdrawal.status === to && (!txHash || txHash === withdrawal.tx_hash)) {
+    return { ok: true, unchanged: true, withdrawal, before: withdrawal };
+  }
+  const result = await transition(client, withdrawal, to, actor, { txHash, reason });
+  if (!result.ok) return { ...result, withdrawal };
+  return { ok: true, unchanged: false, withdrawal: result.withdrawal, before: withdrawal };
+}
+
+// Status history for a set of withdrawals: { [withdrawalId]: [{ status, from_status, at, note }] }
+async function historyFor(db, withdrawalIds) {
+  const byId = {};
+  if (withdrawalIds.length === 0) return byId;
+  const { rows } = await db.query(
+    `SELECT withdrawal_id, from_status, to_status, note, created_at
+     FROM withdrawal_status_history
+     WHERE withdrawal_id = ANY($1::int[])
+     ORDER BY created_at, id`,
+    [withdrawalIds]
+  );
+  for (const row of rows) {
+    (byId[row.withdrawal_id] = byId[row.withdrawal_id] || []).push({
+      status: row.to_status,
+      from_status: row.from_status,
+      at: row.created_at,
+      note: row.note,
+    });
+  }
+  return byId;
+}
+
+// HTTP status and body for a failed transition()
+function failureResponse(result, withdrawal, to) {
+  switch (result.reason) {
+    case 'not_found':
+      return { status: 404, body: { error: "Withdrawal not found" } };
+    case 'tx_hash_required':
+      return { status: 400, body: { error: "tx_hash is required to complete a withdrawal" } };
+    case 'insufficient_balance':
+      return { status: 400, body: { error: "Insufficient balance" } };
+    default:
+      return {
+        status: 409,
+        body: { error: `Cannot change a ${withdrawal.status} withdrawal to ${to}`, status: withdrawal.status },
+      };
+  }
+}
+
+module.exports = {
+  STATUSES,
+  TRANSITIONS,
+  CANCELLABLE,
+  canTransition,
+  lock,
+  create,
+  review,
+  transition,
+  historyFor,
+  failureResponse,
+};
@@ -0,0 +1,59 @@
+// Listing a user's deposit addresses derives nothing; a personal address is
+// created only when asked for, once, and listed from then on.
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startDatabase } = require('./helpers/database');
+
+// BIP32 test vector 1 master key, standing in for an EVM account xpub
+const XPUB = 'xpub661MyMwAqRbcFtXgS5sYJABqqG9YLmC4Q1Rdap9gSE8NqtwybGhePY2gZ29ESFjqJoCu1Rupje8YtGqsefD265TMg7usUDFdp6W1EGMcet8';
+
+let database, pool, depositAddresses;
+
+before(async () => {
+  process.env.DEPOSIT_XPUB_EVM = XPUB;
+  delete process.env.DEPOSIT_XPUB_BITCOIN;
+  delete process.env.DEPOSIT_XPUB_TRON;
+  database = await startDatabase();
+  pool = database.pool;
+  depositAddresses = require('../services/depositAddresses');
+});
+
+after(async () => {
+  if (database) await database.stop();
+});
+
+async function countRows(table) {
+  const { rows } = await pool.query(`SELECT COUNT(*)::int AS n FROM ${table}`);
+  return rows[0].n;
+}
+
+function personalOf(list, coin, network) {
+  return list.find(entry => entry.coin === coin && entry.network === network && entry.personal);
+}
+
+test('a personal address is derived on request, not by listing', async () => {
+  const { rows } = await pool.query(
+    `INSERT INTO users (username, email, password) VALUES ('depositor', 'depositor@example.com', 'x') RETURNING id`
+  );
+  const userId = rows[0].id;
+
+  const listed = await depositAddresses.listForUser(userId);
+  assert.deepEqual(personalOf(listed, 'USDT', 'ERC20'), {
+    coin: 'USDT', network: 'ERC20', address: null, qr_url: null, personal: true,
+  });
+  assert.equal(personalOf(listed, 'BTC', 'BTC'), undefined);
+  assert.equal(await countRows('user_deposit_addresses'), 0);
+  assert.equal(await countRows('hd_derivation_counters'), 0);
+
+  const created = await depositAddresses.getOrCreate(userId, 'USDT', 'ERC20');
+  assert.match(created.address, /^0x[0-9a-fA-F]{40}$/);
+  assert.equal((await depositAddresses.getOrCreate(userId, 'USDT', 'ERC20')).id, created.id);
+
+  const relisted = await depositAddresses.listForUser(userId);
+  assert.equal(personalOf(relisted, 'USDT', 'ERC20').address, created.address);
+  // ETH on ERC20 shares the index but is created on its own request
+  assert.equal(personalOf(relisted, 'ETH', 'ERC20').address, null);
+  assert.equal(await countRows('user_deposit_addresses'), 1);
+
+  assert.equal(await depositAddresses.getOrCreate(userId, 'BTC', 'BTC'), null);
+});
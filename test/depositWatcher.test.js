@@ -0,0 +1,175 @@
+// The deposit watcher, driven by the mock chain adapter: a confirmed transfer
+// that pays a deposit request is credited once however often the watcher
+// runs, a transfer nobody claimed stays unmatched and uncredited, and a
+// transaction is never credited through two deposits.
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startDatabase } = require('./helpers/database');
+
+// Valid mainnet addresses, so services/networks.js maps them to BTC/BTC:
+// the shared deposit address and two users' personal ones
+const ADDRESS = 'bc1qar0srrr7xfkvy5l643lydnw9re59gtzzwf5mdq';
+const PERSONAL = ['bc1qw508d6qejxtdg4y5r3zarvary0c5xw7kv8f3t4', '1BvBMSEYstWetqTFn5Au4m4GFg7xJaNVN2'];
+
+let database, pool, mock, depositWatcher;
+let userCount = 0;
+
+before(async () => {
+  process.env.DEPOSIT_WATCHERS = 'mock';
+  // re-check unmatched transfers on every tick
+  process.env.DEPOSIT_UNMATCHED_RECHECK_MS = '1';
+  database = await startDatabase();
+  pool = database.pool;
+  mock = require('../services/depositWatcher/adapters/mock');
+  depositWatcher = require('../services/depositWatcher');
+});
+
+after(async () => {
+  if (database) await database.stop();
+});
+
+async function createUser() {
+  userCount++;
+  const { rows } = await pool.query(
+    `INSERT INTO users (username, email, password) VALUES ($1, $2, 'x') RETURNING id`,
+    [`user${userCount}`, `user${userCount}@example.com`]
+  );
+  return rows[0].id;
+}
+
+async function givePersonalAddress(userId, address) {
+  await pool.query(
+    `INSERT INTO user_deposit_addresses (user_id, coin, network, address_type, key_fingerprint, derivation_index, address)
+     VALUES ($1, 'BTC', 'BTC', 'bitcoin', 'test', $2, $3)`,
+    [userId, userId, address]
+  );
+}
+
+// A deposit request naming the transaction, as POST /api/deposit stores it
+async function requestDeposit(userId, address, amount, txHash) {
+  const { rows } = await pool.query(
+    `INSERT INTO deposits (user_id, coin, amount, address, tx_hash, status)
+     VALUES ($1, 'BTC', $2, $3, $4, 'pending') RETURNING id`,
+    [userId, amount, address, txHash]
+  );
+  return rows[0].id;
+}
+
+async function tickTimes(n) {
+  const credited = [];
+  for (let i = 0; i < n; i++) credited.push(...await depositWatcher.tick());
+  return credited;
+}
+
+async function depositsOf(userId) {
+  const { rows } = await pool.query(`SELECT id, status, source FROM deposits WHERE user_id = $1 ORDER BY id`, [userId]);
+  return rows;
+}
+
+async function creditedBalance(userId) {
+  const { rows } = await pool.query(
+    `SELECT COALESCE(SUM(amount), 0) AS total FROM ledger_lines WHERE account = 'user:main' AND user_id = $1 AND coin = 'BTC'`,
+    [userId]
+  );
+  return Number(rows[0].total);
+}
+
+async function transferOf(txHash) {
+  const { rows } = await pool.query(
+    `SELECT status, deposit_id, user_id FROM chain_transfers WHERE tx_hash = $1`,
+    [txHash]
+  );
+  return rows[0];
+}
+
+test('a matched transfer is credited once, an unmatched one is left alone', async () => {
+  const userId = await createUser();
+  await pool.query(`INSERT INTO deposit_addresses (coin, address) VALUES ('BTC', $1)`, [ADDRESS]);
+  const { rows: requested } = await pool.query(
+    `INSERT INTO deposits (user_id, coin, amount, address, status) VALUES ($1, 'BTC', 0.01, $2, 'pending') RETURNING id`,
+    [userId, ADDRESS]
+  );
+  const depositId = requested[0].id;
+
+  const paid = mock.send({ coin: 'BTC', network: 'BTC', to: ADDRESS, amount: 0.01 });
+  const stray = mock.send({ coin: 'BTC', network: 'BTC', to: ADDRESS, amount: 0.5 });
+
+  // not confirmed yet: nothing is credited
+  assert.deepEqual(await depositWatcher.tick(), []);
+  mock.mine('BTC', 'BTC', 2);
+
+  const credited = await depositWatcher.tick();
+  assert.equal(credited.length, 1);
+  for (let i = 0; i < 3; i++) {
+    assert.deepEqual(await depositWatcher.tick(), []);
+  }
+
+  const { rows: transfers } = await pool.query(
+    `SELECT tx_hash, status, deposit_id, user_id FROM chain_transfers WHERE to_address = $1 ORDER BY id`,
+    [ADDRESS]
+  );
+  assert.deepEqual(transfers, [
+    { tx_hash: paid, status: 'credited', deposit_id: depositId, user_id: userId },
+    { tx_hash: stray, status: 'unmatched', deposit_id: null, user_id: null },
+  ]);
+
+  const { rows: deposits } = await pool.query(`SELECT id, status FROM deposits WHERE address = $1`, [ADDRESS]);
+  assert.deepEqual(deposits, [{ id: depositId, status: 'approved' }]);
+
+  const { rows: entries } = await pool.query(
+    `SELECT e.ref_id FROM ledger_entries e
+     JOIN ledger_lines l ON l.entry_id = e.id AND l.account = 'user:main'
+     WHERE e.ref_type = 'deposit' AND l.user_id = $1`,
+    [userId]
+  );
+  assert.deepEqual(entries, [{ ref_id: String(depositId) }]);
+
+  const { rows: balances } = await pool.query(
+    `SELECT balance FROM user_balances WHERE user_id = $1 AND coin = 'BTC'`,
+    [userId]
+  );
+  assert.equal(Number(balances[0].balance), 0.01);
+});
+
+test('a transfer to a personal address credits the request that names it, once', async () => {
+  const userId = await createUser();
+  await givePersonalAddress(userId, PERSONAL[0]);
+
+  const txHash = mock.send({ coin: 'BTC', network: 'BTC', to: PERSONAL[0], amount: 0.2 });
+  // the user reports the deposit before the watcher sees it
+  const requestId = await requestDeposit(userId, PERSONAL[0], 0.2, txHash);
+  mock.mine('BTC', 'BTC', 2);
+  await tickTimes(3);
+
+  assert.deepEqual(await depositsOf(userId), [{ id: requestId, status: 'approved', source: 'manual' }]);
+  assert.deepEqual(await transferOf(txHash), { status: 'credited', deposit_id: requestId, user_id: userId });
+  assert.equal(await creditedBalance(userId), 0.2);
+});
+
+test('a transfer whose hash another deposit claims is left for an admin', async () => {
+  const owner = await createUser();
+  const other = await createUser();
+  await givePersonalAddress(owner, PERSONAL[1]);
+
+  const txHash = mock.send({ coin: 'BTC', network: 'BTC', to: PERSONAL[1], amount: 0.3 });
+  const claimId = await requestDeposit(other, ADDRESS, 0.3, txHash);
+  mock.mine('BTC', 'BTC', 2);
+  await tickTimes(3);
+
+  assert.deepEqual(await depositsOf(owner), []);
+  assert.deepEqual(await depositsOf(other), [{ id: claimId, status: 'pending', source: 'manual' }]);
+  assert.deepEqual(await transferOf(txHash), { status: 'unmatched', deposit_id: null, user_id: null });
+
+  // assigning it to the owner would pay the transaction twice as well
+  const { rows } = await pool.query(`SELECT * FROM chain_transfers WHERE tx_hash = $1`, [txHash]);
+  const client = await pool.connect();
+  try {
+    await client.query('BEGIN');
+    await assert.rejects(depositWatcher.assign(client, rows[0], owner), { status: 409 });
+  } finally {
+    await client.query('ROLLBACK');
+    client.release();
+  }
+  assert.equal(await creditedBalance(owner), 0);
+  assert.equal(await creditedBalance(other), 0);
+});
@@ -0,0 +1,109 @@
+-- The tables that predate migrations/ (the migrations only alter them), as
+-- far as the code uses them. Loaded into the test database before the
+-- migrations run; see test/helpers/database.js.
+
+CREATE TABLE users (
+  id SERIAL PRIMARY KEY,
+  username TEXT,
+  email TEXT UNIQUE,
+  password TEXT,
+  balance NUMERIC DEFAULT 0,
+  verified BOOLEAN DEFAULT FALSE,
+  otp TEXT,
+  avatar TEXT,
+  kyc_status TEXT DEFAULT 'unverified',
+  kyc_selfie TEXT,
+  kyc_id_card TEXT,
+  created_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+CREATE TABLE user_balances (
+  id SERIAL PRIMARY KEY,
+  user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+  coin TEXT NOT NULL,
+  balance NUMERIC NOT NULL DEFAULT 0,
+  UNIQUE (user_id, coin)
+);
+
+CREATE TABLE earn_wallet (
+  id SERIAL PRIMARY KEY,
+  user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+  coin TEXT NOT NULL,
+  balance NUMERIC NOT NULL DEFAULT 0,
+  UNIQUE (user_id, coin)
+);
+
+CREATE TABLE deposits (
+  id SERIAL PRIMARY KEY,
+  user_id INTEGER REFERENCES users(id),
+  coin TEXT NOT NULL,
+  amount NUMERIC NOT NULL,
+  address TEXT,
+  screenshot TEXT NOT NULL,
+  status TEXT DEFAULT 'pending',
+  created_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+CREATE TABLE withdrawals (
+  id SERIAL PRIMARY KEY,
+  user_id INTEGER REFERENCES users(id),
+  coin TEXT NOT NULL,
+  amount NUMERIC NOT NULL,
+  address TEXT,
+  status TEXT DEFAULT 'pending',
+  created_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+CREATE TABLE trades (
+  id SERIAL PRIMARY KEY,
+  user_id INTEGER REFERENCES users(id),
+  symbol TEXT,
+  coin TEXT,
+  direction TEXT,
+  amount NUMERIC,
+  duration INTEGER,
+  start_price NUMERIC,
+  result TEXT,
+  profit NUMERIC,
+  result_price NUMERIC,
+  "timestamp" TIMESTAMPTZ DEFAULT NOW()
+);
+
+CREATE TABLE deposit_addresses (
+  coin TEXT PRIMARY KEY,
+  address TEXT,
+  qr_url TEXT,
+  updated_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+CREATE TABLE balance_history (
+  id SERIAL PRIMARY KEY,
+  user_id INTEGER,
+  coin TEXT,
+  balance NUMERIC,
+  price_usd NUMERIC,
+  "timestamp" TIMESTAMPTZ DEFAULT NOW()
+);
+
+CREATE TABLE prices (
+  id SERIAL PRIMARY KEY,
+  symbol TEXT,
+  price_usd NUMERIC,
+  updated_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+CREATE TABLE conversions (
+  id SERIAL PRIMARY KEY,
+  user_id INTEGER REFERENCES users(id),
+  from_coin TEXT,
+  to_coin TEXT,
+  amount NUMERIC,
+  received NUMERIC,
+  rate NUMERIC,
+  created_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+CREATE TABLE settings (
+  key TEXT PRIMARY KEY,
+  value TEXT
+);
@@ -0,0 +1,75 @@
+// Following next_cursor through an admin list returns every row once, in
+// order, and ends -- also when sort values differ only in microseconds or
+// are NULL.
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startDatabase } = require('./helpers/database');
+
+let database, pool, adminLists;
+
+before(async () => {
+  database = await startDatabase();
+  pool = database.pool;
+  adminLists = require('../services/adminLists');
+});
+
+after(async () => {
+  if (database) await database.stop();
+});
+
+// Every id, page by page (limit 2), failing instead of looping forever
+async function pageThrough(list, query) {
+  const ids = [];
+  let cursor;
+  for (let pages = 0; pages < 20; pages++) {
+    const page = await list({ ...query, limit: '2', ...(cursor ? { cursor } : {}) });
+    ids.push(...page.items.map(row => row.id));
+    if (!page.next_cursor) return ids;
+    cursor = page.next_cursor;
+  }
+  assert.fail(`still paging after 20 pages: ${ids.join(',')}`);
+}
+
+test('deposits created within the same millisecond page through completely', async () => {
+  const { rows: users } = await pool.query(
+    `INSERT INTO users (username, email, password) VALUES ('pager', 'pager@example.com', 'x') RETURNING id`
+  );
+  const ids = [];
+  for (let i = 0; i < 5; i++) {
+    const { rows } = await pool.query(
+      `INSERT INTO deposits (user_id, coin, amount, address, status, created_at)
+       VALUES ($1, 'USDT', 10, 'addr', 'pending', '2025-01-01 00:00:00.000100+00'::timestamptz + make_interval(secs => $2))
+       RETURNING id`,
+      [users[0].id, i / 1e6]
+    );
+    ids.push(rows[0].id);
+  }
+
+  assert.deepEqual(await pageThrough(adminLists.deposits, { sort: 'created_at', order: 'asc' }), ids);
+  assert.deepEqual(await pageThrough(adminLists.deposits, { sort: 'created_at', order: 'desc' }), [...ids].reverse());
+});
+
+test('withdrawals sorted by a nullable column page through completely', async () => {
+  const { rows: users } = await pool.query(
+    `INSERT INTO users (username, email, password) VALUES ('nulls', 'nulls@example.com', 'x') RETURNING id`
+  );
+  const ids = {};
+  for (const amountUsd of [30, null, 10, null, 20]) {
+    const { rows } = await pool.query(
+      `INSERT INTO withdrawals (user_id, coin, amount, address, amount_usd, status)
+       VALUES ($1, 'USDT', 1, 'addr', $2, 'requested') RETURNING id`,
+      [users[0].id, amountUsd]
+    );
+    (ids[amountUsd] = ids[amountUsd] || []).push(rows[0].id);
+  }
+  const nulls = ids[null];
+
+  assert.deepEqual(
+    await pageThrough(adminLists.withdrawals, { sort: 'amount_usd', order: 'asc' }),
+    [...ids[10], ...ids[20], ...ids[30], ...nulls]
+  );
+  assert.deepEqual(
+    await pageThrough(adminLists.withdrawals, { sort: 'amount_usd', order: 'desc' }),
+    [...ids[30], ...ids[20], ...ids[10], ...[...nulls].reverse()]
+  );
+});
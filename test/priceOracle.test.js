@@ -0,0 +1,80 @@
+// The price oracle on the offline fixture provider: quotes say where they came
+// from and are cached, a failing provider falls through to the next one and
+// is skipped once it keeps failing, and market data goes stale rather than
+// missing when every provider fails.
+const { test, before, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+
+let priceOracle, fixture;
+
+before(() => {
+  // Twelve Data fails without a key, before any request is made
+  delete process.env.TWELVE_API_KEY;
+  delete process.env.PRICE_FIXTURE_FILE;
+  priceOracle = require('../services/priceOracle');
+  fixture = require('../services/priceOracle/providers/fixture');
+});
+
+beforeEach(() => {
+  process.env.PRICE_PROVIDERS = 'fixture';
+  fixture.reset();
+  priceOracle.clearCache();
+});
+
+function healthOf(provider) {
+  return priceOracle.getHealth().find(h => h.provider === provider);
+}
+
+test('a quote comes from the fixture and is cached until cleared', async () => {
+  const quote = await priceOracle.getQuote('btc/usdt');
+  assert.equal(quote.symbol, 'BTC');
+  assert.equal(quote.price, fixture.DEFAULT_PRICES.BTC);
+  assert.equal(quote.source, 'fixture');
+  assert.ok(quote.at instanceof Date);
+
+  fixture.setPrice('BTC', 70000);
+  assert.equal(await priceOracle.getSpotUSD('BTC'), fixture.DEFAULT_PRICES.BTC);
+  priceOracle.clearCache();
+  assert.equal(await priceOracle.getSpotUSD('BTC'), 70000);
+
+  await assert.rejects(priceOracle.getQuote('NOPE'), /UNSUPPORTED_SYMBOL/);
+});
+
+test('a failing provider falls back to the next and cools down after three failures', async () => {
+  process.env.PRICE_PROVIDERS = 'twelvedata,fixture';
+
+  for (let i = 0; i < 3; i++) {
+    priceOracle.clearCache();
+    const quote = await priceOracle.getQuote('XAU');
+    assert.equal(quote.source, 'fixture');
+    assert.equal(quote.price, fixture.DEFAULT_PRICES.XAU);
+  }
+  const failing = healthOf('twelvedata');
+  assert.equal(failing.failures, 3);
+  assert.equal(failing.consecutive_failures, 3);
+  assert.match(failing.last_error, /API Key not configured/);
+  assert.equal(failing.cooling_down, true);
+
+  // skipped while cooling down: no fourth failure
+  priceOracle.clearCache();
+  assert.equal((await priceOracle.getQuote('XAU')).source, 'fixture');
+  assert.equal(healthOf('twelvedata').failures, 3);
+  assert.deepEqual(priceOracle.getHealth().map(h => h.provider), ['twelvedata', 'fixture']);
+  assert.ok(healthOf('fixture').successes >= 4);
+});
+
+test('with no provider for an asset the quote fails and market data goes stale', async () => {
+  const market = await priceOracle.getMarketData('ETH');
+  assert.equal(market.source, 'fixture');
+  assert.equal(market.price, fixture.DEFAULT_PRICES.ETH);
+
+  // the fixture no longer lists ETH, and the cached copy is past maxAgeMs
+  fixture.setPrice('ETH', undefined);
+  const stale = await priceOracle.getMarketData('ETH', { maxAgeMs: -1 });
+  assert.equal(stale.stale, true);
+  assert.equal(stale.price, fixture.DEFAULT_PRICES.ETH);
+
+  priceOracle.clearCache();
+  await assert.rejects(priceOracle.getQuote('ETH'), /PRICE_UNAVAILABLE \(ETH\)/);
+  await assert.rejects(priceOracle.getMarketData('ETH'), /PRICE_UNAVAILABLE \(ETH\)/);
+});
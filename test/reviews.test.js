@@ -0,0 +1,238 @@
+// Approving a deposit or completing a withdrawal twice -- one after the
+// other or at the same time, through the services or the admin routes --
+// must post one ledger entry and move the balance once.
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startDatabase } = require('./helpers/database');
+
+let database, pool, ledger, deposits, withdrawals, admins;
+let server, baseUrl, adminToken;
+
+before(async () => {
+  database = await startDatabase();
+  pool = database.pool;
+  ledger = require('../services/ledger');
+  deposits = require('../services/deposits');
+  withdrawals = require('../services/withdrawals');
+  admins = require('../services/admins');
+
+  const express = require('express');
+  const app = express();
+  app.use(express.json());
+  app.use('/api/admin', require('../routes/admin'));
+  server = await new Promise(resolve => {
+    const listening = app.listen(0, '127.0.0.1', () => resolve(listening));
+  });
+  baseUrl = `http://127.0.0.1:${server.address().port}/api/admin`;
+
+  await admins.create({ email: 'finance@example.com', password: 'finance-password', role: 'finance' });
+  adminToken = (await admins.login('finance@example.com', 'finance-password')).token;
+});
+
+after(async () => {
+  if (server) await new Promise(resolve => server.close(resolve));
+  if (database) await database.stop();
+});
+
+/* -------------------- Helpers -------------------- */
+
+let userCount = 0;
+
+// A user holding `usdt` in their main balance
+async function createUser(usdt = 0) {
+  userCount++;
+  const { rows } = await pool.query(
+    `INSERT INTO users (username, email, password) VALUES ($1, $2, 'x') RETURNING id`,
+    [`user${userCount}`, `user${userCount}@example.com`]
+  );
+  const userId = rows[0].id;
+  await pool.query(`INSERT INTO user_balances (user_id, coin, balance) VALUES ($1, 'USDT', 0)`, [userId]);
+  if (usdt > 0) {
+    await inTransaction(client => ledger.post(client, {
+      refType: 'opening_balance',
+      refId: `user-${userId}`,
+      lines: [
+        { account: 'user:main', userId, coin: 'USDT', amount: usdt },
+        { account: ledger.SYSTEM.OPENING, coin: 'USDT', amount: -usdt },
+      ],
+    }));
+  }
+  return userId;
+}
+
+async function inTransaction(fn) {
+  const client = await pool.connect();
+  try {
+    await client.query('BEGIN');
+    const result = await fn(client);
+    await client.query('COMMIT');
+    return result;
+  } catch (err) {
+    await client.query('ROLLBACK');
+    throw err;
+  } finally {
+    client.release();
+  }
+}
+
+async function createDeposit(userId, amount) {
+  const { rows } = await pool.query(
+    `INSERT INTO deposits (user_id, coin, amount, address, status) VALUES ($1, 'USDT', $2, 'addr', 'pending') RETURNING id`,
+    [userId, amount]
+  );
+  return rows[0].id;
+}
+
+// An approved withdrawal of `amount` (frozen, not paid out yet)
+async function createApprovedWithdrawal(userId, amount) {
+  return inTransaction(async client => {
+    const created = await withdrawals.create(client, { userId, coin: 'USDT', amount, address: 'addr' });
+    assert.ok(created.ok, created.reason);
+    const approved = await withdrawals.review(client, created.withdrawal.id, 'approved', { type: 'admin' });
+    assert.ok(approved.ok, approved.reason);
+    return created.withdrawal.id;
+  });
+}
+
+async function balanceOf(userId) {
+  const { rows } = await pool.query(
+    `SELECT balance, frozen FROM user_balances WHERE user_id = $1 AND coin = 'USDT'`,
+    [userId]
+  );
+  return { balance: Number(rows[0].balance), frozen: Number(rows[0].frozen) };
+}
+
+async function entryCount(refType, refId) {
+  const { rows } = await pool.query(
+    `SELECT COUNT(*)::int AS n FROM ledger_entries WHERE ref_type = $1 AND ref_id = $2`,
+    [refType, String(refId)]
+  );
+  return rows[0].n;
+}
+
+function approveDeposit(id) {
+  return inTransaction(client => deposits.review(client, id, 'approved'));
+}
+
+function completeWithdrawal(id) {
+  return inTransaction(client => withdrawals.review(client, id, 'completed', { type: 'admin' }, { txHash: 'tx-1' }));
+}
+
+async function adminPost(path, body) {
+  const res = await fetch(`${baseUrl}${path}`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json', Authorization: `Bearer ${adminToken}` },
+    body: JSON.stringify(body),
+  });
+  return { status: res.status, body: await res.json() };
+}
+
+// Exactly one of the results made the change
+function assertOneChange(results) {
+  assert.deepEqual(results.map(r => r.unchanged).sort(), [false, true]);
+}
+
+// Journal and user_balances agree
+async function assertReconciled(userId) {
+  assert.deepEqual(await ledger.reconcile(userId), []);
+}
+
+/* -------------------- Deposits -------------------- */
+
+test('approving a deposit twice in a row credits it once', async () => {
+  const userId = await createUser();
+  const id = await createDeposit(userId, 100);
+
+  assertOneChange([await approveDeposit(id), await approveDeposit(id)]);
+  assert.equal(await entryCount('deposit', id), 1);
+  assert.deepEqual(await balanceOf(userId), { balance: 100, frozen: 0 });
+  await assertReconciled(userId);
+});
+
+test('approving a deposit twice at once credits it once', async () => {
+  const userId = await createUser();
+  const id = await createDeposit(userId, 100);
+
+  assertOneChange(await Promise.all([approveDeposit(id), approveDeposit(id)]));
+  assert.equal(await entryCount('deposit', id), 1);
+  assert.deepEqual(await balanceOf(userId), { balance: 100, frozen: 0 });
+  await assertReconciled(userId);
+});
+
+test('POST /api/admin/deposits/:id/status twice in a row credits once', async () => {
+  const userId = await createUser();
+  const id = await createDeposit(userId, 100);
+
+  const results = [];
+  results.push(await adminPost(`/deposits/${id}/status`, { status: 'approved' }));
+  results.push(await adminPost(`/deposits/${id}/status`, { status: 'approved' }));
+  assert.deepEqual(results.map(r => r.status), [200, 200]);
+  assertOneChange(results.map(r => r.body));
+  assert.equal(await entryCount('deposit', id), 1);
+  assert.deepEqual(await balanceOf(userId), { balance: 100, frozen: 0 });
+});
+
+test('POST /api/admin/deposits/:id/status twice at once credits once', async () => {
+  const userId = await createUser();
+  const id = await createDeposit(userId, 100);
+
+  const results = await Promise.all([
+    adminPost(`/deposits/${id}/status`, { status: 'approved' }),
+    adminPost(`/deposits/${id}/status`, { status: 'approved' }),
+  ]);
+  assert.deepEqual(results.map(r => r.status), [200, 200]);
+  assertOneChange(results.map(r => r.body));
+  assert.equal(await entryCount('deposit', id), 1);
+  assert.deepEqual(await balanceOf(userId), { balance: 100, frozen: 0 });
+});
+
+/* -------------------- Withdrawals -------------------- */
+
+test('completing a withdrawal twice in a row pays it out once', async () => {
+  const userId = await createUser(100);
+  const id = await createApprovedWithdrawal(userId, 40);
+
+  assertOneChange([await completeWithdrawal(id), await completeWithdrawal(id)]);
+  assert.equal(await entryCount('withdrawal', id), 1);
+  assert.deepEqual(await balanceOf(userId), { balance: 60, frozen: 0 });
+  await assertReconciled(userId);
+});
+
+test('completing a withdrawal twice at once pays it out once', async () => {
+  const userId = await createUser(100);
+  const id = await createApprovedWithdrawal(userId, 40);
+
+  assertOneChange(await Promise.all([completeWithdrawal(id), completeWithdrawal(id)]));
+  assert.equal(await entryCount('withdrawal', id), 1);
+  assert.deepEqual(await balanceOf(userId), { balance: 60, frozen: 0 });
+  await assertReconciled(userId);
+});
+
+test('POST /api/admin/withdrawals/:id/status twice in a row pays out once', async () => {
+  const userId = await createUser(100);
+  const id = await createApprovedWithdrawal(userId, 40);
+
+  const body = { status: 'completed', tx_hash: 'tx-1' };
+  const results = [];
+  results.push(await adminPost(`/withdrawals/${id}/status`, body));
+  results.push(await adminPost(`/withdrawals/${id}/status`, body));
+  assert.deepEqual(results.map(r => r.status), [200, 200]);
+  assertOneChange(results.map(r => r.body));
+  assert.equal(await entryCount('withdrawal', id), 1);
+  assert.deepEqual(await balanceOf(userId), { balance: 60, frozen: 0 });
+});
+
+test('POST /api/admin/withdrawals/:id/status twice at once pays out once', async () => {
+  const userId = await createUser(100);
+  const id = await createApprovedWithdrawal(userId, 40);
+
+  const body = { status: 'completed', tx_hash: 'tx-1' };
+  const results = await Promise.all([
+    adminPost(`/withdrawals/${id}/status`, body),
+    adminPost(`/withdrawals/${id}/status`, body),
+  ]);
+  assert.deepEqual(results.map(r => r.status), [200, 200]);
+  assertOneChange(results.map(r => r.body));
+  assert.equal(await entryCount('withdrawal', id), 1);
+  assert.deepEqual(await balanceOf(userId), { balance: 60, frozen: 0 });
+});
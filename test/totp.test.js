@@ -0,0 +1,79 @@
+// TOTP codes under a fixed clock: the RFC 6238 test vectors (SHA-1, last six
+// digits), and verification accepting only the current step ± the window.
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+
+// RFC 6238 appendix B: the ASCII secret "12345678901234567890"
+const RFC_SECRET = 'GEZDGNBVGY3TQOJQGEZDGNBVGY3TQOJQ';
+
+const VECTORS = [
+  { time: 59, code: '287082' },
+  { time: 1111111109, code: '081804' },
+  { time: 1111111111, code: '050471' },
+  { time: 1234567890, code: '005924' },
+  { time: 2000000000, code: '279037' },
+  { time: 20000000000, code: '353130' },
+];
+
+let totp, clock;
+
+before(() => {
+  process.env.FIXED_CLOCK = '1111111111000';
+  clock = require('../utils/clock');
+  totp = require('../services/totp');
+});
+
+after(() => {
+  delete process.env.FIXED_CLOCK;
+  clock.reset();
+});
+
+// first, before any test freezes the clock itself
+test('FIXED_CLOCK pins the time codes are generated at', () => {
+  assert.equal(clock.now(), 1111111111000);
+  assert.equal(totp.generate(RFC_SECRET), '050471');
+});
+
+test('the RFC 6238 secret round-trips through base32', () => {
+  assert.equal(totp.base32Encode(Buffer.from('12345678901234567890')), RFC_SECRET);
+  assert.equal(totp.base32Decode(RFC_SECRET).toString(), '12345678901234567890');
+});
+
+test('codes match the RFC 6238 test vectors', () => {
+  for (const { time, code } of VECTORS) {
+    clock.freeze(time * 1000);
+    assert.equal(totp.generate(RFC_SECRET), code, `at T=${time}`);
+    assert.equal(totp.generate(RFC_SECRET, time * 1000), code, `at T=${time}, passed in`);
+  }
+});
+
+test('a code verifies one step either side of now, and no further', () => {
+  const now = 1111111111 * 1000;
+  clock.freeze(now);
+  const step = Math.floor(now / 30000);
+  const codeAt = offset => totp.generate(RFC_SECRET, now + offset * 30000);
+
+  assert.equal(totp.verify(RFC_SECRET, codeAt(0)), step);
+  assert.equal(totp.verify(RFC_SECRET, codeAt(-1)), step - 1);
+  assert.equal(totp.verify(RFC_SECRET, codeAt(1)), step + 1);
+  assert.equal(totp.verify(RFC_SECRET, codeAt(-2)), null);
+  assert.equal(totp.verify(RFC_SECRET, codeAt(2)), null);
+
+  // a wider or narrower window on request
+  assert.equal(totp.verify(RFC_SECRET, codeAt(2), { window: 2 }), step + 2);
+  assert.equal(totp.verify(RFC_SECRET, codeAt(1), { window: 0 }), null);
+});
+
+test('a step at or before afterStep is refused, and malformed codes never match', () => {
+  const now = 1111111111 * 1000;
+  clock.freeze(now);
+  const step = Math.floor(now / 30000);
+  const code = totp.generate(RFC_SECRET);
+
+  assert.equal(totp.verify(RFC_SECRET, code, { afterStep: step - 1 }), step);
+  assert.equal(totp.verify(RFC_SECRET, code, { afterStep: step }), null);
+  assert.equal(totp.verify(RFC_SECRET, code.slice(0, 3) + ' ' + code.slice(3)), step);
+  for (const bad of ['', '12345', '1234567', 'abcdef', null]) {
+    assert.equal(totp.verify(RFC_SECRET, bad), null);
+  }
+});
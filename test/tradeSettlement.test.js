@@ -0,0 +1,95 @@
+// Settling due trades against the fixture price provider: a trade is paid
+// out once, its row is not locked while the end quote is fetched, and a trade
+// settled meanwhile by someone else is left alone.
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startDatabase } = require('./helpers/database');
+
+let database, pool, priceOracle, fixture, tradeSettlement;
+let userCount = 0;
+
+before(async () => {
+  process.env.PRICE_PROVIDERS = 'fixture';
+  database = await startDatabase();
+  pool = database.pool;
+  priceOracle = require('../services/priceOracle');
+  fixture = require('../services/priceOracle/providers/fixture');
+  tradeSettlement = require('../services/tradeSettlement');
+});
+
+after(async () => {
+  if (database) await database.stop();
+});
+
+async function createUser() {
+  userCount++;
+  const { rows } = await pool.query(
+    `INSERT INTO users (username, email, password) VALUES ($1, $2, 'x') RETURNING id`,
+    [`trader${userCount}`, `trader${userCount}@example.com`]
+  );
+  await pool.query(`INSERT INTO user_balances (user_id, coin, balance) VALUES ($1, 'USDT', 0)`, [rows[0].id]);
+  return rows[0].id;
+}
+
+// A 60s BTC trade of 100 USDT that expired a second ago
+async function createDueTrade(userId, direction, startPrice) {
+  const { rows } = await pool.query(
+    `INSERT INTO trades (user_id, symbol, direction, amount, duration, start_price, result, profit, timestamp, expires_at)
+     VALUES ($1, 'BTC', $2, 100, 60, $3, 'PENDING', 0, NOW() - interval '61 seconds', NOW() - interval '1 second')
+     RETURNING id`,
+    [userId, direction, startPrice]
+  );
+  return rows[0].id;
+}
+
+async function tradeOf(id) {
+  const { rows } = await pool.query(`SELECT result, profit, end_price_source FROM trades WHERE id = $1`, [id]);
+  return { ...rows[0], profit: Number(rows[0].profit) };
+}
+
+async function balanceOf(userId) {
+  const { rows } = await pool.query(`SELECT balance FROM user_balances WHERE user_id = $1 AND coin = 'USDT'`, [userId]);
+  return Number(rows[0].balance);
+}
+
+test('a won trade is settled and paid out once', async () => {
+  const userId = await createUser();
+  const id = await createDueTrade(userId, 'BUY', fixture.DEFAULT_PRICES.BTC - 100);
+
+  assert.deepEqual(await tradeSettlement.settleDueTrades(), [id]);
+  assert.deepEqual(await tradeSettlement.settleDueTrades(), []);
+
+  assert.deepEqual(await tradeOf(id), { result: 'WIN', profit: 50, end_price_source: 'fixture' });
+  assert.equal(await balanceOf(userId), 150);
+});
+
+test('the trade row is not locked while the end quote is fetched', async t => {
+  const userId = await createUser();
+  const id = await createDueTrade(userId, 'SELL', fixture.DEFAULT_PRICES.BTC - 100);
+
+  const getQuote = priceOracle.getQuote;
+  t.mock.method(priceOracle, 'getQuote', async (...args) => {
+    // fails with "could not obtain lock" if settlement holds the row
+    await pool.query(`SELECT id FROM trades WHERE id = $1 FOR UPDATE NOWAIT`, [id]);
+    return getQuote(...args);
+  });
+
+  assert.deepEqual(await tradeSettlement.settleDueTrades(), [id]);
+  assert.equal((await tradeOf(id)).result, 'LOSE');
+  assert.equal(await balanceOf(userId), 0);
+});
+
+test('a trade settled while its quote was fetched is not settled again', async t => {
+  const userId = await createUser();
+  const id = await createDueTrade(userId, 'BUY', fixture.DEFAULT_PRICES.BTC - 100);
+
+  const getQuote = priceOracle.getQuote;
+  t.mock.method(priceOracle, 'getQuote', async (...args) => {
+    await pool.query(`UPDATE trades SET result = 'VOID', settled_at = NOW() WHERE id = $1`, [id]);
+    return getQuote(...args);
+  });
+
+  assert.deepEqual(await tradeSettlement.settleDueTrades(), []);
+  assert.equal((await tradeOf(id)).result, 'VOID');
+  assert.equal(await balanceOf(userId), 0);
+});
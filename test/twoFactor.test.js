@@ -0,0 +1,125 @@
+// Two-factor login over HTTP under a fixed clock: set up and enable 2FA with
+// a code from the authenticator, then log in with the password and a later
+// code. Each code is accepted once, and a code outside the ±1 step window is
+// refused.
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startDatabase } = require('./helpers/database');
+
+const START = Date.parse('2026-01-01T00:00:00Z');
+const STEP_MS = 30_000;
+
+let database, pool, clock, totp, passwords;
+let server, baseUrl;
+
+before(async () => {
+  process.env.FIXED_CLOCK = String(START);
+  database = await startDatabase();
+  pool = database.pool;
+  clock = require('../utils/clock');
+  totp = require('../services/totp');
+  passwords = require('../services/passwords');
+
+  const express = require('express');
+  const app = express();
+  app.use(express.json());
+  app.use('/api/auth/2fa', require('../routes/twoFactor'));
+  app.use('/api/auth', require('../routes/auth'));
+  server = await new Promise(resolve => {
+    const listening = app.listen(0, '127.0.0.1', () => resolve(listening));
+  });
+  baseUrl = `http://127.0.0.1:${server.address().port}/api/auth`;
+
+  await pool.query(
+    `INSERT INTO users (username, email, password, verified) VALUES ('totp', 'totp@example.com', $1, true)`,
+    [await passwords.hash('totp-password')]
+  );
+});
+
+after(async () => {
+  if (server) await new Promise(resolve => server.close(resolve));
+  if (database) await database.stop();
+});
+
+async function post(path, body, token) {
+  const headers = { 'Content-Type': 'application/json' };
+  if (token) headers.Authorization = `Bearer ${token}`;
+  const res = await fetch(`${baseUrl}${path}`, { method: 'POST', headers, body: JSON.stringify(body) });
+  return { status: res.status, body: await res.json() };
+}
+
+// Move the fixed clock to `steps` whole steps after START
+function atStep(steps) {
+  clock.freeze(START + steps * STEP_MS);
+}
+
+test('enabling 2FA and logging in with it', async () => {
+  const login = await post('/login', { email: 'totp@example.com', password: 'totp-password' });
+  assert.equal(login.status, 200);
+  const token = login.body.token;
+  assert.ok(token);
+
+  const setup = await post('/2fa/setup', {}, token);
+  assert.equal(setup.status, 200);
+  const { secret } = setup.body;
+  assert.match(setup.body.otpauth_url, /^otpauth:\/\/totp\//);
+
+  // the authenticator shows the next step's code a little early
+  const enabled = await post('/2fa/enable', { code: totp.generate(secret, START + STEP_MS) }, token);
+  assert.equal(enabled.status, 200);
+  assert.equal(enabled.body.recovery_codes.length, 10);
+
+  // the password alone no longer logs in
+  atStep(2);
+  const first = await post('/login', { email: 'totp', password: 'totp-password' });
+  assert.equal(first.status, 200);
+  assert.equal(first.body.mfa_required, true);
+  assert.equal(first.body.token, undefined);
+  const mfaToken = first.body.mfa_token;
+
+  // two steps back is outside the window
+  const tooOld = await post('/login/2fa', { mfa_token: mfaToken, code: totp.generate(secret, START) });
+  assert.equal(tooOld.status, 400);
+
+  const code = totp.generate(secret);
+  const second = await post('/login/2fa', { mfa_token: mfaToken, code });
+  assert.equal(second.status, 200);
+  assert.ok(second.body.token);
+  assert.ok(second.body.refresh_token);
+
+  // the same code, or the one before it, is not accepted again
+  const replayed = await post('/login/2fa', { mfa_token: mfaToken, code });
+  assert.equal(replayed.status, 400);
+  const earlier = await post('/login/2fa', { mfa_token: mfaToken, code: totp.generate(secret, START + STEP_MS) });
+  assert.equal(earlier.status, 400);
+
+  // a recovery code works once instead of a TOTP code
+  const recoveryCode = enabled.body.recovery_codes[0];
+  const recovered = await post('/login/2fa', { mfa_token: mfaToken, recovery_code: recoveryCode });
+  assert.equal(recovered.status, 200);
+  const reused = await post('/login/2fa', { mfa_token: mfaToken, recovery_code: recoveryCode });
+  assert.equal(reused.status, 400);
+
+  // the next step's code is accepted one step early
+  const next = await post('/login/2fa', { mfa_token: mfaToken, code: totp.generate(secret, START + 3 * STEP_MS) });
+  assert.equal(next.status, 200);
+});
+
+test('a wrong code at enable leaves 2FA off', async () => {
+  atStep(0);
+  await pool.query(
+    `INSERT INTO users (username, email, password, verified) VALUES ('pending', 'pending@example.com', $1, true)`,
+    [await passwords.hash('pending-password')]
+  );
+  const { token } = (await post('/login', { email: 'pending', password: 'pending-password' })).body;
+  const { secret } = (await post('/2fa/setup', {}, token)).body;
+
+  const wrong = await post('/2fa/enable', { code: totp.generate(secret, START + 2 * STEP_MS) }, token);
+  assert.equal(wrong.status, 400);
+  assert.equal(wrong.body.attempts_left, 4);
+
+  const login = await post('/login', { email: 'pending', password: 'pending-password' });
+  assert.equal(login.status, 200);
+  assert.ok(login.body.token);
+  assert.equal(login.body.mfa_required, undefined);
+});
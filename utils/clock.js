@@ -0,0 +1,27 @@
+// utils/clock.js — current time in ms, with a fixed clock for offline tests
+//
+// Set FIXED_CLOCK (ISO date or epoch ms) to pin the time for a whole process,
+// or call freeze()/reset() from a test.
+let fixedMs = null;
+
+function parse(value) {
+  const ms = /^\d+$/.test(String(value)) ? Number(value) : Date.parse(value);
+  if (!isFinite(ms)) throw new Error(`Invalid clock time: ${value}`);
+  return ms;
+}
+
+if (process.env.FIXED_CLOCK) fixedMs = parse(process.env.FIXED_CLOCK);
+
+function now() {
+  return fixedMs !== null ? fixedMs : Date.now();
+}
+
+function freeze(time) {
+  fixedMs = parse(time);
+}
+
+function reset() {
+  fixedMs = null;
+}
+
+module.exports = { now, freeze, reset };
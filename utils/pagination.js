@@ -0,0 +1,152 @@
+// utils/pagination.js — cursor pagination, filters and sorting for admin lists
+//
+// listQuery(query, spec) turns a request's query string into SQL pieces:
+//
+//   ?limit=50&cursor=...&sort=created_at&order=desc
+//   &status=pending,approved&coin=BTC&user_id=12
+//   &from=2025-01-01&to=2025-02-01&min_amount=10&max_amount=500&q=alice
+//
+// Pages are keyset-based: the cursor holds the sort value and id of the last
+// row of the previous page, so paging stays stable while new rows arrive.
+// Comma-separated filter values match any of them; q is a case-insensitive
+// substring search over spec.search.
+//
+//   const spec = {
+//     id: 'd.id',                              // unique tie-breaker
+//     sorts: { created_at: 'd.created_at', amount: 'd.amount' },
+//     defaultSort: 'created_at',
+//     filters: { status: 'd.status', coin: 'd.coin', user_id: { column: 'd.user_id', type: 'int' } },
+//     date: 'd.created_at',                    // from / to
+//     amount: 'd.amount',                      // min_amount / max_amount
+//     search: ['u.email', 'u.username'],       // q
+//   };
+//
+// The query must select cursorColumn as well (run it as
+// `SELECT ${list.cursorColumn}, ...`): it is the sort value as Postgres
+// prints it, so the cursor keeps full precision (a timestamp's microseconds
+// would be lost in a JS Date). Sort columns may be nullable: NULLs always
+// sort last, in either order, and a cursor can sit on a NULL value. Bad
+// input throws an Error with status 400.
+const DEFAULT_LIMIT = 50;
+const MAX_LIMIT = 200;
+
+function badRequest(message) {
+  return Object.assign(new Error(message), { status: 400 });
+}
+
+function encodeCursor(value, id) {
+  return Buffer.from(JSON.stringify([value, id])).toString('base64url');
+}
+
+function decodeCursor(cursor) {
+  try {
+    const decoded = JSON.parse(Buffer.from(String(cursor), 'base64url').toString('utf8'));
+    if (Array.isArray(decoded) && decoded.length === 2) return decoded;
+  } catch (err) {
+    // fall through
+  }
+  throw badRequest('Invalid cursor');
+}
+
+function escapeLike(text) {
+  return text.replace(/[\\%_]/g, ch => '\\' + ch);
+}
+
+function listQuery(query, spec) {
+  const where = [];
+  const params = [];
+  const add = (sql, value) => {
+    params.push(value);
+    where.push(sql.replace(/\?/g, `$${params.length}`));
+  };
+
+  for (const [key, filter] of Object.entries(spec.filters || {})) {
+    const raw = query[key];
+    if (typeof raw !== 'string' || raw === '') continue;
+    const { column, type } = typeof filter === 'string' ? { column: filter, type: 'text' } : filter;
+    const values = raw.split(',').map(v => v.trim()).filter(Boolean);
+    if (type === 'int') {
+      if (!values.every(v => /^\d+$/.test(v))) throw badRequest(`Invalid ${key}`);
+      add(`${column} = ANY(?::int[])`, values.map(Number));
+    } else if (type === 'bool') {
+      if (!['true', 'false'].includes(raw)) throw badRequest(`${key} must be true or false`);
+      add(`${column} = ?`, raw === 'true');
+    } else {
+      add(`${column} = ANY(?::text[])`, values);
+    }
+  }
+
+  if (spec.date) {
+    for (const [key, op] of [['from', '>='], ['to', '<=']]) {
+      if (!query[key]) continue;
+      if (isNaN(Date.parse(query[key]))) throw badRequest(`Invalid ${key} date`);
+      add(`${spec.date} ${op} ?`, query[key]);
+    }
+  }
+
+  if (spec.amount) {
+    for (const [key, op] of [['min_amount', '>='], ['max_amount', '<=']]) {
+      if (query[key] === undefined || query[key] === '') continue;
+      if (!isFinite(Number(query[key]))) throw badRequest(`Invalid ${key}`);
+      add(`${spec.amount} ${op} ?`, Number(query[key]));
+    }
+  }
+
+  if (spec.search && typeof query.q === 'string' && query.q.trim()) {
+    const pattern = `%${escapeLike(query.q.trim())}%`;
+    add(`(${spec.search.map(col => `${col}::text ILIKE ?`).join(' OR ')})`, pattern);
+  }
+
+  const sort = query.sort || spec.defaultSort;
+  if (!spec.sorts[sort]) {
+    throw badRequest(`Invalid sort. Use one of: ${Object.keys(spec.sorts).join(', ')}`);
+  }
+  const order = String(query.order || 'desc').toLowerCase();
+  if (!['asc', 'desc'].includes(order)) throw badRequest('order must be asc or desc');
+  const sortColumn = spec.sorts[sort];
+
+  if (query.cursor) {
+    const [value, id] = decodeCursor(query.cursor);
+    const cmp = order === 'desc' ? '<' : '>';
+    if (value === null) {
+      // already in the NULLs at the end: only later ids are left
+      add(`(${sortColumn} IS NULL AND ${spec.id} ${cmp} ?)`, id);
+    } else {
+      // a row compare with a NULL is NULL, so the NULLs after the cursor are
+      // added explicitly. The cursor is text; as an untyped parameter next to
+      // the sort column, Postgres casts it to that column's type.
+      params.push(value, id);
+      where.push(
+        `((${sortColumn}, ${spec.id}) ${cmp} ($${params.length - 1}, $${params.length}) OR ${sortColumn} IS NULL)`
+      );
+    }
+  }
+
+  const limit = Math.min(Math.max(parseInt(query.limit, 10) || DEFAULT_LIMIT, 1), MAX_LIMIT);
+  params.push(limit + 1);
+
+  return {
+    where: where.length ? `WHERE ${where.join(' AND ')}` : '',
+    cursorColumn: `${sortColumn}::text AS page_cursor`,
+    orderBy: `ORDER BY ${sortColumn} ${order.toUpperCase()} NULLS LAST, ${spec.id} ${order.toUpperCase()}`,
+    limitSql: `LIMIT $${params.length}`,
+    params,
+    limit,
+    sort,
+    order,
+    // Trim the extra row fetched to detect another page and build the response
+    page(rows) {
+      const kept = rows.slice(0, limit);
+      const last = kept[kept.length - 1];
+      const next_cursor = rows.length > limit ? encodeCursor(last.page_cursor, last.id) : null;
+      const items = kept.map(({ page_cursor, ...row }) => row);
+      return { items, next_cursor, limit, sort, order };
+    },
+  };
+}
+
+module.exports = {
+  DEFAULT_LIMIT,
+  MAX_LIMIT,
+  listQuery,
+};